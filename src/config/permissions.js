@@ -0,0 +1,43 @@
+/**
+ * Permission catalog
+ * Admin roles (see models/Role.js) grant a subset of these to admins.
+ */
+const PERMISSIONS = {
+  'dashboard:read': 'View the admin dashboard',
+  'users:read': 'View users',
+  'users:manage': 'Create, edit, delete, activate and deactivate users',
+  'roles:manage': 'Create and edit admin roles and assign them to admins',
+  'agent-applications:review': 'Approve or reject agent applications',
+  'analytics:read': 'View click analytics and agent reports',
+  'transactions:read': 'View transactions',
+  'transactions:write': 'Create commissions and change transaction or click commission status',
+  'withdrawals:read': 'View withdrawal requests',
+  'withdrawals:approve': 'Approve or reject withdrawals',
+  'ledger:read': 'View the ledger and reconciliation report',
+  'ledger:repair': 'Write corrective ledger adjustments',
+  'fraud:review': 'Review clicks held by fraud checks',
+  'commissions:read': 'View commission rules and agent tiers',
+  'commissions:write': 'Edit commission rules and agent tiers',
+  'associates:import': 'Import Amazon Associates reports',
+  'tracking-ids:manage': 'Manage the Associates tracking ID pool',
+  'catalog:manage': 'Run catalog syncs and browse admin product data',
+  'categories:write': 'Create, edit and delete categories',
+  'banners:write': 'Create and edit banners',
+  'banners:delete': 'Delete banners',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// What each account role can do without an admin role assigned
+// Admins without an admin role keep full access, so existing admins aren't locked out.
+const BASE_ROLE_PERMISSIONS = {
+  user: [],
+  agent: ['banners:write'],
+  admin: ALL_PERMISSIONS,
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BASE_ROLE_PERMISSIONS,
+};
@@ -5,7 +5,18 @@ const ProductClick = require('../models/ProductClick');
 const Transaction = require('../models/Transaction');
 const Withdrawal = require('../models/Withdrawal');
 const asyncHandler = require('../utils/asyncHandler');
-const { generateToken } = require('../utils/tokenUtils');
+const { createSession, revokeAllTokens, getSessionContext } = require('../services/authTokenService');
+const { sendDeactivated } = require('../middleware/auth');
+const { canManageAdmins } = require('../services/permissionService');
+const {
+  completeTransaction,
+  failTransaction,
+  recordWithdrawalPayout,
+} = require('../services/ledgerService');
+const { runInTransaction } = require('../utils/dbTransaction');
+const { isCommissionWithheld } = require('../services/clickFraudService');
+const { resolveCommission } = require('../services/commissionRuleService');
+const { LedgerError } = require('../utils/ledgerErrors');
 const {
   sendSuccess,
   sendError,
@@ -37,6 +48,10 @@ exports.adminLogin = asyncHandler(async (req, res) => {
     return sendForbidden(res, 'Access denied. Admin privileges required.');
   }
 
+  if (user.isDeactivated) {
+    return sendDeactivated(res);
+  }
+
   // Check if password matches
   // const isMatch = await user.matchPassword(password);
 
@@ -44,10 +59,12 @@ exports.adminLogin = asyncHandler(async (req, res) => {
   //   return sendUnauthorized(res, 'Invalid credentials');
   // }
 
-  // Generate token with error handling
+  // Generate tokens with error handling
   let token;
+  let refreshToken;
+  let refreshTokenExpiresAt;
   try {
-    token = generateToken(user._id.toString());
+    ({ token, refreshToken, refreshTokenExpiresAt } = await createSession(user, getSessionContext(req)));
 
     // Validate token was generated
     if (!token || typeof token !== 'string' || token.trim().length === 0) {
@@ -63,6 +80,8 @@ exports.adminLogin = asyncHandler(async (req, res) => {
     success: true,
     message: 'Admin login successful',
     token: token, // Explicitly set token
+    refreshToken,
+    refreshTokenExpiresAt,
     data: {
       id: user._id,
       name: user.name,
@@ -78,6 +97,7 @@ exports.adminLogin = asyncHandler(async (req, res) => {
 // @route   PUT /api/admin/users/:id/status
 // @access  Private/Admin
 exports.toggleUserStatus = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
   const user = await User.findById(req.params.id);
 
   if (!user) {
@@ -89,13 +109,32 @@ exports.toggleUserStatus = asyncHandler(async (req, res) => {
     return sendValidationError(res, 'You cannot deactivate your own account');
   }
 
+  if (user.role === 'admin' && !(await canManageAdmins(req))) {
+    return sendForbidden(res, 'Only full-access admins can deactivate or activate admins');
+  }
+
   user.isDeactivated = !user.isDeactivated;
+  if (user.isDeactivated) {
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user._id;
+    user.deactivationReason = reason ? String(reason).trim() : null;
+    // Deactivation signs the user out everywhere
+    await revokeAllTokens(user, 'revoked');
+  } else {
+    user.deactivatedAt = null;
+    user.deactivatedBy = null;
+    user.deactivationReason = null;
+  }
   await user.save();
 
+  console.log(`[Admin] User ${user.email} ${user.isDeactivated ? 'deactivated' : 'activated'} by ${req.user.email}`);
+
   return sendSuccess(res, {
     id: user._id,
     name: user.name,
-    isDeactivated: user.isDeactivated
+    isDeactivated: user.isDeactivated,
+    deactivatedAt: user.deactivatedAt,
+    deactivationReason: user.deactivationReason
   }, `User ${user.isDeactivated ? 'deactivated' : 'activated'} successfully`);
 });
 
@@ -322,6 +361,10 @@ exports.createTransactionForClick = asyncHandler(async (req, res) => {
     return sendValidationError(res, 'Product click has no associated agent');
   }
 
+  if (isCommissionWithheld(productClick)) {
+    return sendValidationError(res, `Product click is ${productClick.fraudStatus} by fraud checks; review it first`);
+  }
+
   // Check if transaction already exists
   const existingTransaction = await Transaction.findOne({
     referenceId: productClickId,
@@ -332,52 +375,45 @@ exports.createTransactionForClick = asyncHandler(async (req, res) => {
     return sendValidationError(res, 'Transaction already exists for this product click');
   }
 
-  // Calculate commission amount if not provided
+  // Calculate commission amount if not provided, using the rules in force when the click happened
   let commissionAmount = amount;
   if (!commissionAmount || commissionAmount <= 0) {
-    // Use default 2% or category percentage
-    let commissionPercentage = 0.02; // Default 2%
-
-    if (productClick.category && productClick.category !== 'Uncategorized') {
-      const categoryData = await Category.findOne({
-        $or: [
-          { name: productClick.category },
-          { amazonSearchIndex: productClick.category }
-        ]
-      });
-      if (categoryData && categoryData.percentage > 0) {
-        commissionPercentage = categoryData.percentage / 100;
-      }
-    }
+    const { commissionRate } = await resolveCommission({
+      asin: productClick.asin,
+      productName: productClick.productName,
+      category: productClick.category,
+      price: productClick.price,
+      agentId: productClick.agent._id,
+      at: productClick.createdAt
+    });
 
-    commissionAmount = (productClick.price || 0) * commissionPercentage;
+    commissionAmount = Math.round((productClick.price || 0) * commissionRate * 100) / 100;
   }
 
   if (commissionAmount <= 0) {
     return sendValidationError(res, 'Commission amount must be greater than 0');
   }
 
-  // Create transaction
-  const transaction = await Transaction.create({
-    user: productClick.agent._id,
-    type: 'earnings',
-    amount: commissionAmount,
-    status: status,
-    description: `Admin Created Commission: ${productClick.productName}`,
-    referenceId: productClick._id,
-    referenceModel: 'ProductClick'
+  // Completed commissions are created pending and posted through the ledger in the same
+  // MongoDB transaction, so a failure never leaves a completed commission without its credit
+  const transaction = await runInTransaction(async (session) => {
+    const [created] = await Transaction.create([{
+      user: productClick.agent._id,
+      type: 'earnings',
+      amount: commissionAmount,
+      status: status === 'completed' ? 'pending' : status,
+      description: `Admin Created Commission: ${productClick.productName}`,
+      referenceId: productClick._id,
+      referenceModel: 'ProductClick',
+      idempotencyKey: `commission:click:${productClick._id}`
+    }], { session });
+
+    if (status !== 'completed') {
+      return created;
+    }
+    return completeTransaction(created._id, { postedBy: req.user._id, session });
   });
 
-  // If status is completed, add to user balance
-  if (status === 'completed') {
-    await User.findByIdAndUpdate(productClick.agent._id, {
-      $inc: {
-        balance: commissionAmount,
-        totalEarnings: commissionAmount
-      }
-    });
-  }
-
   return sendSuccess(res, transaction, 'Transaction created successfully', 201);
 });
 
@@ -386,35 +422,18 @@ exports.createTransactionForClick = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 exports.updateTransactionStatus = asyncHandler(async (req, res) => {
   const { status } = req.body;
-  const transaction = await Transaction.findById(req.params.id);
-
-  if (!transaction) {
-    return sendError(res, 'Transaction not found', 404);
-  }
-
-  if (transaction.status !== 'pending') {
-    return sendValidationError(res, 'Transaction is already processed');
-  }
 
+  // Status changes are conditional on the transaction still being pending;
+  // completing one posts it to the ledger and refreshes the agent's balance
+  let transaction;
   if (status === 'completed') {
-    // If it's earnings, add to user balance
-    if (transaction.type === 'earnings') {
-      await User.findByIdAndUpdate(transaction.user, {
-        $inc: {
-          balance: transaction.amount,
-          totalEarnings: transaction.amount
-        }
-      });
-    }
-    transaction.status = 'completed';
+    transaction = await completeTransaction(req.params.id, { postedBy: req.user._id });
   } else if (status === 'failed') {
-    transaction.status = 'failed';
+    transaction = await failTransaction(req.params.id);
   } else {
     return sendValidationError(res, 'Invalid status update');
   }
 
-  await transaction.save();
-
   return sendSuccess(res, transaction, 'Transaction updated successfully');
 });
 
@@ -474,28 +493,30 @@ exports.updateWithdrawalStatus = asyncHandler(async (req, res) => {
   }
 
   if (status === 'approved') {
-    // Deduct from agent balance if not already done
-    const user = await User.findById(withdrawal.user);
-    if (user.balance < withdrawal.amount) {
-      return sendValidationError(res, 'Insufficient balance in agent account');
+    const agent = await User.findById(withdrawal.user).select('isDeactivated');
+    if (agent && agent.isDeactivated) {
+      return sendValidationError(res, 'Cannot pay out to a deactivated account; reject the withdrawal instead');
     }
 
-    user.balance -= withdrawal.amount;
-    await user.save();
-
-    // Create payout transaction
-    await Transaction.create({
-      user: user._id,
-      type: 'payout',
-      amount: -withdrawal.amount,
-      status: 'completed',
-      description: `Payout approved: ${withdrawal.paymentMethod}`,
-      referenceId: withdrawal._id,
-      referenceModel: 'Withdrawal'
+    // Payout transaction, ledger entry, balance and withdrawal status commit together
+    const approved = await runInTransaction(async (session) => {
+      const pending = await Withdrawal.findOne({ _id: withdrawal._id, status: 'pending' }).session(session);
+      if (!pending) {
+        throw new LedgerError('Withdrawal already processed');
+      }
+
+      // Throws if the agent's balance does not cover the withdrawal
+      await recordWithdrawalPayout(pending, { postedBy: req.user._id, session });
+
+      pending.status = 'approved';
+      pending.processedAt = Date.now();
+      if (adminNotes) pending.adminNotes = adminNotes;
+      await pending.save({ session });
+
+      return pending;
     });
 
-    withdrawal.status = 'approved';
-    withdrawal.processedAt = Date.now();
+    return sendSuccess(res, approved, 'Withdrawal status updated successfully');
   } else if (status === 'rejected') {
     withdrawal.status = 'rejected';
     withdrawal.processedAt = Date.now();
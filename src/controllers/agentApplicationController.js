@@ -0,0 +1,276 @@
+const AgentApplication = require('../models/AgentApplication');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const sendEmail = require('../utils/sendEmail');
+const { runInTransaction } = require('../utils/dbTransaction');
+const { validateAndFormatMobile, validateRequiredFields } = require('../utils/validationUtils');
+const {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+} = require('../utils/responseHandler');
+
+// Applicants must be adults to receive payouts
+const MIN_APPLICANT_AGE_YEARS = 18;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Email the applicant the outcome of their review
+ * Failures are logged; the review itself has already been saved.
+ * @param {Object} user - Applicant User
+ * @param {Object} application - Reviewed AgentApplication
+ */
+const notifyApplicant = async (user, application) => {
+  const approved = application.status === 'approved';
+  const subject = approved
+    ? 'Your HasCart agent application was approved'
+    : 'Your HasCart agent application was not approved';
+  const outcome = approved
+    ? `You are now a HasCart agent. Your referral code is ${user.referralCode}. Share it to earn commission on your referrals' purchases.`
+    : 'Unfortunately we could not approve your application at this time.';
+  const note = application.reviewNote ? `\n\nReviewer note: ${application.reviewNote}` : '';
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject,
+      message: `Hi ${user.name},\n\n${outcome}${note}`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(outcome)}</p>${application.reviewNote ? `<p>Reviewer note: ${escapeHtml(application.reviewNote)}</p>` : ''}`,
+    });
+  } catch (error) {
+    console.error(`[AgentApplication] Failed to notify ${user.email}:`, error.message);
+  }
+};
+
+// @desc    Apply to become an agent
+// @route   POST /api/agent-applications
+// @access  Private/User
+exports.applyForAgent = asyncHandler(async (req, res) => {
+  const {
+    fullName, mobile, dateOfBirth, address, idType, idNumber, promotionChannels, about, referralCode,
+  } = req.body;
+
+  if (req.user.role !== 'user') {
+    return sendValidationError(res, `You already have the ${req.user.role} role`);
+  }
+
+  const { valid, missing } = validateRequiredFields(req.body, ['fullName', 'mobile', 'dateOfBirth', 'address', 'idType', 'idNumber']);
+  if (!valid) {
+    return sendValidationError(res, `Missing required fields: ${missing.join(', ')}`);
+  }
+
+  const mobileCheck = validateAndFormatMobile(mobile);
+  if (!mobileCheck.valid) {
+    return sendValidationError(res, 'Mobile number must be 10 digits');
+  }
+
+  const birthDate = new Date(dateOfBirth);
+  if (Number.isNaN(birthDate.getTime())) {
+    return sendValidationError(res, 'dateOfBirth must be a valid date');
+  }
+  const adultCutoff = new Date();
+  adultCutoff.setFullYear(adultCutoff.getFullYear() - MIN_APPLICANT_AGE_YEARS);
+  if (birthDate > adultCutoff) {
+    return sendValidationError(res, `Agents must be at least ${MIN_APPLICANT_AGE_YEARS} years old`);
+  }
+
+  const existing = await AgentApplication.findOne({ user: req.user._id, status: 'pending' });
+  if (existing) {
+    return sendError(res, 'You already have a pending agent application', 409);
+  }
+
+  // The recruiting agent: the code given with the application, else whoever referred the applicant
+  let recruitedBy = null;
+  if (referralCode) {
+    const recruiter = await User.findOne({
+      referralCode: String(referralCode).toUpperCase(),
+      role: { $in: ['agent', 'admin'] },
+      isDeactivated: { $ne: true },
+    }).select('_id');
+    if (!recruiter) {
+      return sendValidationError(res, 'Invalid referral code');
+    }
+    recruitedBy = recruiter._id;
+  } else if (req.user.referredBy) {
+    recruitedBy = req.user.referredBy;
+  }
+
+  const application = await AgentApplication.create({
+    user: req.user._id,
+    fullName,
+    mobile: mobileCheck.cleaned,
+    dateOfBirth: birthDate,
+    address,
+    idType,
+    idNumber,
+    promotionChannels: Array.isArray(promotionChannels) ? promotionChannels : [],
+    about,
+    recruitedBy,
+  });
+
+  console.log(`[AgentApplication] ${req.user.email} applied to become an agent`);
+
+  return sendSuccess(res, application, 'Agent application submitted successfully', 201);
+});
+
+// @desc    Get my agent applications (newest first)
+// @route   GET /api/agent-applications/me
+// @access  Private
+exports.getMyApplications = asyncHandler(async (req, res) => {
+  const applications = await AgentApplication.find({ user: req.user._id })
+    .populate('recruitedBy', 'name referralCode')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return sendSuccess(res, applications, 'Agent applications retrieved successfully');
+});
+
+// @desc    Withdraw my pending agent application
+// @route   PUT /api/agent-applications/me/withdraw
+// @access  Private
+exports.withdrawMyApplication = asyncHandler(async (req, res) => {
+  const application = await AgentApplication.findOneAndUpdate(
+    { user: req.user._id, status: 'pending' },
+    { $set: { status: 'withdrawn' } },
+    { new: true }
+  );
+
+  if (!application) {
+    return sendNotFound(res, 'No pending agent application found');
+  }
+
+  return sendSuccess(res, application, 'Agent application withdrawn');
+});
+
+// @desc    Get the agent application review queue
+// @route   GET /api/admin/agent-applications
+// @access  Private/Admin
+exports.getAgentApplications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'pending', search } = req.query;
+
+  const query = {};
+  if (status !== 'all') {
+    query.status = status;
+  }
+  if (search) {
+    const regex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ fullName: regex }, { mobile: regex }];
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await AgentApplication.countDocuments(query);
+  const applications = await AgentApplication.find(query)
+    .populate('user', 'name email mobile role createdAt')
+    .populate('recruitedBy', 'name email referralCode')
+    .populate('reviewedBy', 'name email')
+    // Oldest pending applications are reviewed first
+    .sort({ createdAt: status === 'pending' ? 1 : -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return sendSuccess(res, {
+    applications,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }, 'Agent applications retrieved successfully');
+});
+
+// @desc    Get an agent application with its KYC details
+// @route   GET /api/admin/agent-applications/:id
+// @access  Private/Admin
+exports.getAgentApplication = asyncHandler(async (req, res) => {
+  const application = await AgentApplication.findById(req.params.id)
+    .select('+idNumber')
+    .populate('user', 'name email mobile role referredBy isDeactivated createdAt')
+    .populate('recruitedBy', 'name email referralCode')
+    .populate('reviewedBy', 'name email');
+
+  if (!application) {
+    return sendNotFound(res, 'Agent application not found');
+  }
+
+  return sendSuccess(res, application, 'Agent application retrieved successfully');
+});
+
+// @desc    Approve or reject an agent application
+// @route   PUT /api/admin/agent-applications/:id
+// @access  Private/Admin
+exports.reviewAgentApplication = asyncHandler(async (req, res) => {
+  const { decision, note } = req.body;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return sendValidationError(res, "decision must be 'approve' or 'reject'");
+  }
+
+  const result = await runInTransaction(async (session) => {
+    const application = await AgentApplication.findById(req.params.id).session(session);
+    if (!application) {
+      return { error: 'Agent application not found', status: 404 };
+    }
+    if (application.status !== 'pending') {
+      return { error: `Application is ${application.status}; only pending applications can be reviewed`, status: 400 };
+    }
+
+    const user = await User.findById(application.user).session(session);
+    if (!user) {
+      return { error: 'Applicant no longer exists', status: 404 };
+    }
+
+    application.status = decision === 'approve' ? 'approved' : 'rejected';
+    application.reviewedBy = req.user._id;
+    application.reviewedAt = new Date();
+    application.reviewNote = note;
+
+    if (decision === 'approve') {
+      if (user.isDeactivated) {
+        return { error: 'Applicant account is deactivated', status: 400 };
+      }
+      // Saving as an agent generates the referral code (User pre-save hook)
+      user.role = 'agent';
+      if (!user.referredBy && application.recruitedBy && !application.recruitedBy.equals(user._id)) {
+        user.referredBy = application.recruitedBy;
+      }
+      if (!user.mobile) {
+        const mobileTaken = await User.exists({ mobile: application.mobile, _id: { $ne: user._id } }).session(session);
+        if (!mobileTaken) {
+          user.mobile = application.mobile;
+        }
+      }
+      await user.save({ session });
+    }
+
+    await application.save({ session });
+    return { application, user };
+  });
+
+  if (result.error) {
+    return result.status === 404 ? sendNotFound(res, result.error) : sendValidationError(res, result.error);
+  }
+
+  const { application, user } = result;
+  console.log(`[AgentApplication] Application ${application._id} ${application.status} by ${req.user.email}`);
+  await notifyApplicant(user, application);
+
+  return sendSuccess(
+    res,
+    {
+      application,
+      user: { id: user._id, name: user.name, email: user.email, role: user.role, referralCode: user.referralCode },
+    },
+    decision === 'approve' ? 'Application approved, user is now an agent' : 'Application rejected'
+  );
+});
@@ -0,0 +1,169 @@
+const AgentTier = require('../models/AgentTier');
+const AgentTierRun = require('../models/AgentTierRun');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendError, sendValidationError, sendNotFound } = require('../utils/responseHandler');
+const { recalculateAgentTiers, getMonthRange, getPreviousMonth } = require('../services/agentTierService');
+
+const NUMERIC_FIELDS = ['rank', 'minMonthlyEarnings', 'minMonthlyClicks', 'multiplier'];
+
+/**
+ * Copy tier fields from the request body onto a tier
+ * @returns {string|null} Validation error, if any
+ */
+const applyTierFields = (tier, body) => {
+  if (body.name !== undefined) tier.name = String(body.name).trim();
+  if (body.description !== undefined) tier.description = body.description;
+
+  for (const field of NUMERIC_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = parseFloat(body[field]);
+    if (Number.isNaN(value)) {
+      return `${field} must be a number`;
+    }
+    tier[field] = value;
+  }
+
+  if (body.status !== undefined) {
+    if (!['active', 'inactive'].includes(body.status)) {
+      return 'Status must be either active or inactive';
+    }
+    tier.status = body.status;
+  }
+
+  return null;
+};
+
+// @desc    Get agent tiers, best first, with how many agents hold each
+// @route   GET /api/admin/agent-tiers
+// @access  Private/Admin
+exports.getAgentTiers = asyncHandler(async (req, res) => {
+  const [tiers, counts] = await Promise.all([
+    AgentTier.find().sort({ rank: -1 }).lean(),
+    User.aggregate([
+      { $match: { role: 'agent' } },
+      { $group: { _id: '$tier', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countByTier = new Map(counts.map((row) => [row._id || null, row.count]));
+
+  return sendSuccess(res, {
+    tiers: tiers.map((tier) => ({ ...tier, agentCount: countByTier.get(tier.name) || 0 })),
+    untieredAgents: countByTier.get(null) || 0,
+  }, 'Agent tiers retrieved successfully');
+});
+
+// @desc    Create an agent tier
+// @route   POST /api/admin/agent-tiers
+// @access  Private/Admin
+exports.createAgentTier = asyncHandler(async (req, res) => {
+  if (!req.body.name) {
+    return sendValidationError(res, 'Tier name is required');
+  }
+  if (req.body.rank === undefined) {
+    return sendValidationError(res, 'Tier rank is required');
+  }
+
+  const tier = new AgentTier();
+  const error = applyTierFields(tier, req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  await tier.save();
+
+  return sendSuccess(res, tier, 'Agent tier created successfully', 201);
+});
+
+// @desc    Update an agent tier
+// @route   PUT /api/admin/agent-tiers/:id
+// @access  Private/Admin
+exports.updateAgentTier = asyncHandler(async (req, res) => {
+  const tier = await AgentTier.findById(req.params.id);
+  if (!tier) {
+    return sendNotFound(res, 'Agent tier not found');
+  }
+
+  const previousName = tier.name;
+  const error = applyTierFields(tier, req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  await tier.save();
+
+  // Agents store the tier by name
+  if (tier.name !== previousName) {
+    await User.updateMany({ tier: previousName }, { $set: { tier: tier.name } });
+  }
+
+  return sendSuccess(res, tier, 'Agent tier updated successfully');
+});
+
+// @desc    Delete an agent tier
+// @route   DELETE /api/admin/agent-tiers/:id
+// @access  Private/Admin
+exports.deleteAgentTier = asyncHandler(async (req, res) => {
+  const tier = await AgentTier.findById(req.params.id);
+  if (!tier) {
+    return sendNotFound(res, 'Agent tier not found');
+  }
+
+  const holders = await User.countDocuments({ tier: tier.name });
+  if (holders > 0) {
+    return sendError(res, `${holders} agent(s) are in this tier; set it inactive or recalculate tiers first`, 409);
+  }
+
+  await tier.deleteOne();
+
+  return sendSuccess(res, null, 'Agent tier deleted successfully');
+});
+
+// @desc    Recalculate every agent's tier from a month's performance
+// @route   POST /api/admin/agent-tiers/recalculate
+// @access  Private/Admin
+exports.recalculateTiers = asyncHandler(async (req, res) => {
+  const month = req.body.month || getPreviousMonth();
+
+  if (!getMonthRange(month)) {
+    return sendValidationError(res, 'month must look like YYYY-MM');
+  }
+
+  const run = await recalculateAgentTiers({ month, trigger: 'manual', triggeredBy: req.user._id });
+  if (!run) {
+    return sendError(res, 'A tier recalculation is already running', 409);
+  }
+
+  return sendSuccess(res, run, `Agent tiers recalculated from ${month}`);
+});
+
+// @desc    Get tier recalculation history
+// @route   GET /api/admin/agent-tiers/runs
+// @access  Private/Admin
+exports.getTierRuns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await AgentTierRun.countDocuments();
+  const runs = await AgentTierRun.find()
+    .populate('triggeredBy', 'name email')
+    .populate('changes.agent', 'name email referralCode')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return sendSuccess(res, {
+    runs,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }, 'Tier recalculation runs retrieved successfully');
+});
@@ -7,10 +7,10 @@ const {
 } = require('../utils/responseHandler');
 const {
   validateAWSCredentials,
-  validateAPIResult,
   validateSearchResponse,
   validateGetItemsResponse,
 } = require('../utils/awsApiValidator');
+const { applyTrackingTagToResponse } = require('../utils/affiliateLink');
 
 // @desc    Search items on Amazon
 // @route   POST /api/amazon/search
@@ -40,71 +40,21 @@ exports.searchItems = asyncHandler(async (req, res) => {
     brand,
   });
 
-  // Validate API result
-  const apiValidation = validateAPIResult(result);
-  if (!apiValidation.valid) {
-    // Determine appropriate status code based on error details
-    // Use the statusCode from errorDetails if available, otherwise infer from error type
-    let statusCode = apiValidation.errorDetails?.statusCode;
-    
-    if (!statusCode) {
-      const errorType = apiValidation.errorDetails?.type;
-      const originalError = apiValidation.errorDetails?.originalError;
-      
-      // Check type field first (from errorDetails)
-      if (errorType === 'ServiceUnavailable') {
-        statusCode = 503;
-      } else if (errorType === 'BadRequest') {
-        statusCode = 400;
-      } else if (errorType === 'Unauthorized') {
-        statusCode = 401;
-      } else if (errorType === 'Forbidden') {
-        statusCode = 403;
-      } else if (errorType === 'TooManyRequests') {
-        statusCode = 429;
-      } else if (errorType === 'ServerError') {
-        statusCode = 500;
-      } else if (originalError) {
-        // Fallback to checking originalError Type field
-        if (originalError.Type === 'ServiceUnavailable') {
-          statusCode = 503;
-        } else if (originalError.Type === 'BadRequest' || originalError.Code?.startsWith('HTTP_400')) {
-          statusCode = 400;
-        } else if (originalError.Type === 'Unauthorized' || originalError.Code?.startsWith('HTTP_401')) {
-          statusCode = 401;
-        } else if (originalError.Type === 'Forbidden' || originalError.Code?.startsWith('HTTP_403')) {
-          statusCode = 403;
-        } else if (originalError.Type === 'TooManyRequests' || originalError.Code?.startsWith('HTTP_429')) {
-          statusCode = 429;
-        } else if (originalError.Type === 'ServerError' || (originalError.Code && /^HTTP_5\d{2}$/.test(originalError.Code))) {
-          statusCode = 500;
-        }
-      }
-    }
-    
-    // Default to 400 if status code still not determined
-    statusCode = statusCode || 400;
-    
-    return sendError(
-      res,
-      apiValidation.error,
-      statusCode,
-      apiValidation.errorDetails || null
-    );
-  }
+  // Links carry the tracking tag of the agent this visitor is attributed to
+  const data = applyTrackingTagToResponse(result.data, req.attribution?.trackingTag);
 
   // Validate response structure
-  const responseValidation = validateSearchResponse(result.data);
+  const responseValidation = validateSearchResponse(data);
   if (!responseValidation.valid) {
     return sendError(
       res,
       `Invalid response from Amazon API: ${responseValidation.errors.join(', ')}`,
       400,
-      result.data
+      data
     );
   }
 
-  return sendSuccess(res, { ...result.data, validated: true }, 'Items retrieved successfully');
+  return sendSuccess(res, { ...data, validated: true, cache: result.cache }, 'Items retrieved successfully');
 });
 
 // @desc    Get item details by ASIN
@@ -166,71 +116,20 @@ exports.getItems = asyncHandler(async (req, res) => {
 
   const result = await amazonApiService.getItems(finalItemIds, options);
 
-  // Validate API result
-  const apiValidation = validateAPIResult(result);
-  if (!apiValidation.valid) {
-    // Determine appropriate status code based on error details
-    // Use the statusCode from errorDetails if available, otherwise infer from error type
-    let statusCode = apiValidation.errorDetails?.statusCode;
-    
-    if (!statusCode) {
-      const errorType = apiValidation.errorDetails?.type;
-      const originalError = apiValidation.errorDetails?.originalError;
-      
-      // Check type field first (from errorDetails)
-      if (errorType === 'ServiceUnavailable') {
-        statusCode = 503;
-      } else if (errorType === 'BadRequest') {
-        statusCode = 400;
-      } else if (errorType === 'Unauthorized') {
-        statusCode = 401;
-      } else if (errorType === 'Forbidden') {
-        statusCode = 403;
-      } else if (errorType === 'TooManyRequests') {
-        statusCode = 429;
-      } else if (errorType === 'ServerError') {
-        statusCode = 500;
-      } else if (originalError) {
-        // Fallback to checking originalError Type field
-        if (originalError.Type === 'ServiceUnavailable') {
-          statusCode = 503;
-        } else if (originalError.Type === 'BadRequest' || originalError.Code?.startsWith('HTTP_400')) {
-          statusCode = 400;
-        } else if (originalError.Type === 'Unauthorized' || originalError.Code?.startsWith('HTTP_401')) {
-          statusCode = 401;
-        } else if (originalError.Type === 'Forbidden' || originalError.Code?.startsWith('HTTP_403')) {
-          statusCode = 403;
-        } else if (originalError.Type === 'TooManyRequests' || originalError.Code?.startsWith('HTTP_429')) {
-          statusCode = 429;
-        } else if (originalError.Type === 'ServerError' || (originalError.Code && /^HTTP_5\d{2}$/.test(originalError.Code))) {
-          statusCode = 500;
-        }
-      }
-    }
-    
-    // Default to 400 if status code still not determined
-    statusCode = statusCode || 400;
-    
-    return sendError(
-      res,
-      apiValidation.error,
-      statusCode,
-      apiValidation.errorDetails || null
-    );
-  }
+  const data = applyTrackingTagToResponse(result.data, req.attribution?.trackingTag);
 
   // Validate response structure
-  const responseValidation = validateGetItemsResponse(result.data);
-  if (!responseValidation.valid && !result.data?.ItemsResult) {
+  const responseValidation = validateGetItemsResponse(data);
+  if (!responseValidation.valid && !data?.ItemsResult) {
     return sendError(
       res,
       `Invalid response from Amazon API: ${responseValidation.errors.join(', ')}`,
       400,
-      result.data
+      data
     );
   }
 
-  return sendSuccess(res, { ...result.data, validated: true }, 'Items retrieved successfully');
+  return sendSuccess(res, { ...data, validated: true, cache: result.cache }, 'Items retrieved successfully');
 });
 
 // @desc    Get browse nodes
@@ -255,59 +154,6 @@ exports.getBrowseNodes = asyncHandler(async (req, res) => {
 
   const result = await amazonApiService.getBrowseNodes(browseNodeIds);
 
-  // Validate API result
-  const apiValidation = validateAPIResult(result);
-  if (!apiValidation.valid) {
-    // Determine appropriate status code based on error details
-    // Use the statusCode from errorDetails if available, otherwise infer from error type
-    let statusCode = apiValidation.errorDetails?.statusCode;
-    
-    if (!statusCode) {
-      const errorType = apiValidation.errorDetails?.type;
-      const originalError = apiValidation.errorDetails?.originalError;
-      
-      // Check type field first (from errorDetails)
-      if (errorType === 'ServiceUnavailable') {
-        statusCode = 503;
-      } else if (errorType === 'BadRequest') {
-        statusCode = 400;
-      } else if (errorType === 'Unauthorized') {
-        statusCode = 401;
-      } else if (errorType === 'Forbidden') {
-        statusCode = 403;
-      } else if (errorType === 'TooManyRequests') {
-        statusCode = 429;
-      } else if (errorType === 'ServerError') {
-        statusCode = 500;
-      } else if (originalError) {
-        // Fallback to checking originalError Type field
-        if (originalError.Type === 'ServiceUnavailable') {
-          statusCode = 503;
-        } else if (originalError.Type === 'BadRequest' || originalError.Code?.startsWith('HTTP_400')) {
-          statusCode = 400;
-        } else if (originalError.Type === 'Unauthorized' || originalError.Code?.startsWith('HTTP_401')) {
-          statusCode = 401;
-        } else if (originalError.Type === 'Forbidden' || originalError.Code?.startsWith('HTTP_403')) {
-          statusCode = 403;
-        } else if (originalError.Type === 'TooManyRequests' || originalError.Code?.startsWith('HTTP_429')) {
-          statusCode = 429;
-        } else if (originalError.Type === 'ServerError' || (originalError.Code && /^HTTP_5\d{2}$/.test(originalError.Code))) {
-          statusCode = 500;
-        }
-      }
-    }
-    
-    // Default to 400 if status code still not determined
-    statusCode = statusCode || 400;
-    
-    return sendError(
-      res,
-      apiValidation.error,
-      statusCode,
-      apiValidation.errorDetails || null
-    );
-  }
-
   // Check for errors in response (AWS sometimes returns errors in response body)
   if (result.data?.Errors && Array.isArray(result.data.Errors) && result.data.Errors.length > 0) {
     return sendError(
@@ -318,6 +164,6 @@ exports.getBrowseNodes = asyncHandler(async (req, res) => {
     );
   }
 
-  return sendSuccess(res, { ...result.data, validated: true }, 'Browse nodes retrieved successfully');
+  return sendSuccess(res, { ...result.data, validated: true, cache: result.cache }, 'Browse nodes retrieved successfully');
 });
 
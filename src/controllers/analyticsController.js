@@ -1,9 +1,13 @@
 const ProductClick = require('../models/ProductClick');
-const User = require('../models/User');
 const Transaction = require('../models/Transaction');
-const Category = require('../models/Category');
 const Product = require('../models/Product');
 const amazonApiService = require('../services/amazonApiService');
+const { recordPriceObservation } = require('../services/priceHistoryService');
+const { resolveAttribution } = require('../services/attributionService');
+const { recordProductClick } = require('../services/clickTrackingService');
+const { resolveCommission } = require('../services/commissionRuleService');
+const { getClickContext, isCommissionWithheld } = require('../services/clickFraudService');
+const { extractItemPrice } = require('../utils/amazonItemMapper');
 
 const asyncHandler = require('../utils/asyncHandler');
 const { sendSuccess, sendError, sendValidationError } = require('../utils/responseHandler');
@@ -46,35 +50,14 @@ exports.trackProductClick = asyncHandler(async (req, res) => {
                 console.log(`[Affiliate] Not found in local cache. Hitting Amazon API for ${cleanAsin}...`);
                 const amazonRes = await amazonApiService.getItems(cleanAsin);
                 
-                if (amazonRes.success && amazonRes.data?.ItemsResult?.Items?.length > 0) {
+                // Failed requests throw an AmazonApiError, handled by the catch below
+                if (amazonRes.data?.ItemsResult?.Items?.length > 0) {
                     const item = amazonRes.data.ItemsResult.Items[0];
                     
-                    // Robust recursive price extraction
-                    const extractPrice = (obj) => {
-                        if (!obj || typeof obj !== 'object') return null;
-                        
-                        // Check common PA-API 5.0 paths
-                        const paths = [
-                            item.Offers?.Listings?.[0]?.Price,
-                            item.ItemInfo?.ProductInfo?.Price,
-                            item.ItemInfo?.ProductInfo?.ListPrice,
-                            item.Offers?.Summaries?.[0]?.LowestPrice
-                        ];
-
-                        for (const p of paths) {
-                            if (p?.Amount && p.Amount > 0) return p.Amount;
-                            if (p?.DisplayAmount || p?.DisplayValue) {
-                                const val = parseFloat((p.DisplayAmount || p.DisplayValue).replace(/[^0-9.]/g, ''));
-                                if (val > 0) return val;
-                            }
-                        }
-                        return null;
-                    };
-
-                    const recoveredPrice = extractPrice(item);
+                    const recoveredPrice = extractItemPrice(item);
                     
-                    if (recoveredPrice && recoveredPrice > 0) {
-                        price = recoveredPrice;
+                    if (recoveredPrice) {
+                        price = recoveredPrice.amount;
                         console.log(`[Affiliate] Successfully recovered price from Amazon API: ₹${price} for ${cleanAsin}`);
                         
                         // Async update local product cache so future clicks are faster
@@ -89,11 +72,18 @@ exports.trackProductClick = asyncHandler(async (req, res) => {
                             },
                             { upsert: true }
                         ).catch(e => console.error(`[Affiliate] Cache update failed for ${cleanAsin}:`, e.message));
+
+                        recordPriceObservation({
+                            asin: cleanAsin,
+                            amount: recoveredPrice.amount,
+                            currency: recoveredPrice.currency,
+                            source: 'click_recovery'
+                        }).catch(e => console.error(`[Affiliate] Price history update failed for ${cleanAsin}:`, e.message));
                     } else {
                         console.warn(`[Affiliate] Amazon API returned data but no price found for ${cleanAsin}. Response structure:`, JSON.stringify(item.Offers || item.ItemInfo?.ProductInfo, null, 2));
                     }
                 } else {
-                    console.error(`[Affiliate] Amazon API price recovery failed for ${cleanAsin}. Success: ${amazonRes.success}, Error:`, amazonRes.error || 'No items returned');
+                    console.error(`[Affiliate] Amazon API price recovery failed for ${cleanAsin}: No items returned`);
                 }
             }
         } catch (err) {
@@ -106,248 +96,41 @@ exports.trackProductClick = asyncHandler(async (req, res) => {
     }
 
 
-    let agentId = providedAgentId || null;
-
-    // Priority 0: Self-attribution if the user is an agent/admin
-    // If the logged-in user is an agent, they get the attribution regardless of other factors
-    if (req.user && (req.user.role === 'agent' || req.user.role === 'admin')) {
-        agentId = req.user._id;
-        console.log(`[Affiliate] Self-attributing click to agent/admin: ${agentId}`);
-    }
-
-    // First priority: Referral code from the share link (if agentId not already provided)
-    // IMPORTANT: This works even for guest/unknown users
-    if (!agentId && referralCode) {
-        const agent = await User.findOne({ referralCode: referralCode.trim().toUpperCase() });
-        if (agent) {
-            agentId = agent._id;
-            console.log(`[Affiliate] Attributing click to agent from code: ${referralCode.toUpperCase()} (User: ${userId ? userId : 'Guest'})`);
-        }
-    }
-
-    // Second priority: Permanent referrer of the logged-in user (if not already attributed by link)
-    if (!agentId && userId) {
-        const user = await User.findById(userId);
-        if (user && user.referredBy) {
-            agentId = user.referredBy;
-            console.log(`[Affiliate] Attributing click to user's permanent referrer: ${agentId}`);
-        }
-    }
-
-    // Determine commission percentage based on category
-    let commissionPercentage = 0.02; // Default 2%
-    let finalCategory = category || 'Uncategorized';
-    let matchedCategory = null;
-
-    console.log(`[Affiliate] Processing click for product: ${productName}, Category: ${category}`);
-
-    // 1. First priority: Try to match by explicit category name or search queries (exact/regex)
-    if (finalCategory && finalCategory !== 'Uncategorized' && finalCategory !== 'Unknown') {
-        const escapedCategory = finalCategory.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const searchRegex = new RegExp(`^${escapedCategory}$`, 'i');
-
-        matchedCategory = await Category.findOne({
-            $or: [
-                { name: { $regex: searchRegex } },
-                { searchQueries: { $elemMatch: { $regex: searchRegex } } }
-            ]
-        });
-
-        if (matchedCategory) {
-            console.log(`[Affiliate] Matched explicit category by name/query: ${matchedCategory.name} (${matchedCategory.percentage}%)`);
-        }
-    }
-
-    // 2. Second priority: If no direct match, try matching via Smart Map / Amazon Search Index
-    if (!matchedCategory && finalCategory && finalCategory !== 'Uncategorized' && finalCategory !== 'Unknown') {
-        const resolvedIndex = amazonApiService.resolveSearchIndex(finalCategory);
-        if (resolvedIndex !== 'All') {
-            matchedCategory = await Category.findOne({ amazonSearchIndex: resolvedIndex });
-            if (matchedCategory) {
-                console.log(`[Affiliate] Matched category via Smart Map resolution ('${finalCategory}' -> '${resolvedIndex}'): ${matchedCategory.name} (${matchedCategory.percentage}%)`);
-            }
-        }
-    }
-
-    // 3. Update commission if matched
-    if (matchedCategory) {
-        if (matchedCategory.percentage > 0) {
-            commissionPercentage = matchedCategory.percentage / 100;
-        }
-        finalCategory = matchedCategory.name;
-    }
-
-    // 4. Fallback: Auto-detect from Product Name if still at default or no match
-    if (!matchedCategory || commissionPercentage === 0.02) {
-        console.log(`[Affiliate] Attempting auto-detection for '${productName}' (Current Category: ${finalCategory})`);
-
-        // Fetch all potential categories to match against product name
-        const categories = await Category.find({ status: 'active' });
-
-        // A weak helper map for common uncategorized terms -> Likely Category Name partial
-        const SMART_MAP = {
-            // Electronics & TV
-            'tv': 'Electronics',
-            'television': 'Electronics',
-            'televisions': 'Electronics',
-            'smart televisions': 'Electronics',
-            'led tv': 'Electronics',
-            'smart led tv': 'Electronics',
-            'led': 'Electronics',
-            'lcd': 'Electronics',
-            'monitor': 'Electronics',
-            'phone': 'Electronics',
-            'mobile': 'Electronics',
-            'tablet': 'Electronics',
-            'camera': 'Electronics',
-            'headphone': 'Electronics',
-            'earphone': 'Electronics',
-            'speaker': 'Electronics',
-            'laptop': 'Computers',
-            'computer': 'Computers',
-            'macbook': 'Computers',
-            'keyboard': 'Computers',
-            'mouse': 'Computers',
-            // Watches
-            'watch': 'Watches',
-            'clock': 'Watches',
-            'timepiece': 'Watches',
-            // Home & Appliances
-            'fridge': 'Appliances',
-            'refrigerator': 'Appliances',
-            'washing machine': 'Appliances',
-            'ac': 'Appliances',
-            'air conditioner': 'Appliances',
-            'microwave': 'Appliances',
-            'kitchen': 'HomeAndKitchen',
-            'home': 'HomeAndKitchen',
-            'furniture': 'Furniture',
-            // Beauty & Personal Care
-            'soap': 'Beauty',
-            'shampoo': 'Beauty',
-            'cream': 'Beauty',
-            'makeup': 'Beauty',
-            'perfume': 'Beauty',
-            'hair': 'Beauty',
-            // Fashion
-            'shirt': 'Fashion',
-            'pant': 'Fashion',
-            'jeans': 'Fashion',
-            'shoe': 'Shoes',
-            'sandal': 'Shoes',
-            'sneaker': 'Shoes',
-            'bag': 'Luggage',
-            'luggage': 'Luggage',
-            'wallet': 'Luggage',
-            // Grocery
-            'fresh': 'GroceryAndGourmetFood',
-            'vegetable': 'GroceryAndGourmetFood',
-            'fruit': 'GroceryAndGourmetFood',
-            'food': 'GroceryAndGourmetFood',
-            'snack': 'GroceryAndGourmetFood',
-            'chocolate': 'GroceryAndGourmetFood',
-            'oil': 'GroceryAndGourmetFood',
-            'rice': 'GroceryAndGourmetFood',
-            'tea': 'GroceryAndGourmetFood',
-            'coffee': 'GroceryAndGourmetFood'
-        };
-
-        // Check Smart Map first
-        for (const [term, targetCatPartial] of Object.entries(SMART_MAP)) {
-            // Use word boundary check to avoid false positives (e.g. 'led' in 'sealed')
-            // Escape special chars in term just in case
-            const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const regex = new RegExp(`\\b${escapedTerm}\\b`, 'i');
-
-            if (regex.test(productName)) {
-                // Find the actual category object that matches our target partial
-                const smartMatch = categories.find(c =>
-                    c.name.toLowerCase().includes(targetCatPartial.toLowerCase()) ||
-                    c.amazonSearchIndex === targetCatPartial
-                );
-                if (smartMatch) {
-                    if (smartMatch.percentage > 0) {
-                        commissionPercentage = smartMatch.percentage / 100;
-                    }
-                    finalCategory = smartMatch.name;
-                    console.log(`[Affiliate] Smart-detected category via term '${term}': ${finalCategory} (${smartMatch.percentage}%)`);
-                    break;
-                }
-            }
-        }
-
-        // specific keywords to match first (priority) - ONLY if smart match didn't find anything
-        if (finalCategory === 'Uncategorized' || finalCategory === 'Unknown') {
-            for (const cat of categories) {
-                let matched = false;
-
-                // Check if product name contains the category name (e.g. "Automotive" in "Automotive Parts")
-                // or if any search query keyword exists in product name
-                const keywords = [cat.name, ...(cat.searchQueries || [])];
-
-                for (const keyword of keywords) {
-                    if (!keyword || keyword.length < 3) continue; // Skip very short keywords
-
-                    // Use word boundary for better accuracy
-                    // Escape special characters in keyword for regex
-                    const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                    const keywordRegex = new RegExp(`\\b${escapedKeyword}\\b`, 'i');
-
-                    if (keywordRegex.test(productName)) {
-                        matched = true;
-                        // console.log(`Matched keyword: ${keyword}`);
-                        break;
-                    }
-                }
+    const { agentId, trackingTag } = await resolveAttribution({
+        user: req.user,
+        referralCode,
+        providedAgentId
+    });
 
-                if (matched) {
-                    if (cat.percentage > 0) {
-                        commissionPercentage = cat.percentage / 100;
-                    }
-                    finalCategory = cat.name;
-                    console.log(`[Affiliate] Auto-detected category: ${finalCategory} (${cat.percentage}%)`);
-                    break; // Use the first strong match
-                }
-            }
-        }
-    }
+    // Determine commission percentage from the commission rules (falls back to the category rate)
+    const commission = await resolveCommission({
+        asin: cleanAsin,
+        productName,
+        category,
+        price,
+        agentId
+    });
 
-    const productClick = await ProductClick.create({
-        user: userId || null, // Allow null for guest users
-        asin,
+    const { click: productClick, duplicate } = await recordProductClick({
+        userId,
+        asin: cleanAsin,
         productName,
-        category: finalCategory || 'Uncategorized',
-        price: price || 0,
+        category: commission.category,
+        price,
         imageUrl,
         productUrl,
-        agent: agentId,
-        commissionRate: commissionPercentage,
+        agentId,
+        trackingTag,
+        commissionPercentage: commission.commissionRate,
+        commissionRuleId: commission.rule?._id,
+        tierMultiplier: commission.multiplier,
+        context: getClickContext(req)
     });
 
-    console.log(`[Affiliate] Saved click with rate: ${commissionPercentage} (${(commissionPercentage * 100).toFixed(2)}%)`);
-
-    // Create pending commission transaction (requires admin approval)
-    if (agentId && price > 0) {
-        let commissionAmount = price * commissionPercentage;
-        // Round to 2 decimal places to avoid floating point issues
-        commissionAmount = Math.round(commissionAmount * 100) / 100;
-        
-        if (commissionAmount > 0) {
-            // Create transaction record in PENDING state
-            await Transaction.create({
-                user: agentId,
-                type: 'earnings',
-                amount: commissionAmount,
-                status: 'pending', // Requires manual approval now
-                description: `Pending Commission (${(commissionPercentage * 100).toFixed(2)}%): ${productName}`,
-                referenceId: productClick._id,
-                referenceModel: 'ProductClick'
-            });
-            console.log(`[Commission] Created pending transaction for agent: ${agentId} at ${(commissionPercentage * 100).toFixed(2)}% (Amount: ${commissionAmount})`);
-        }
+    if (duplicate) {
+        return sendSuccess(res, productClick, 'Click already tracked');
     }
 
-
     return sendSuccess(res, productClick, 'Click tracked successfully', 201);
 });
 
@@ -472,6 +255,16 @@ exports.updateClickCommission = asyncHandler(async (req, res) => {
         return sendError(res, 'Product click not found', 404);
     }
 
+    // Find the associated Transaction; settled commissions are already in the ledger
+    const transaction = await Transaction.findOne({
+        referenceId: click._id,
+        referenceModel: 'ProductClick'
+    });
+
+    if (transaction && transaction.status === 'completed') {
+        return sendValidationError(res, 'Commission is already completed and can no longer be changed');
+    }
+
     // Update click record
     const oldRate = click.commissionRate;
     click.commissionRate = decimalRate;
@@ -479,12 +272,6 @@ exports.updateClickCommission = asyncHandler(async (req, res) => {
 
     console.log(`[Admin] Updated rate for click ${id}: ${oldRate} -> ${decimalRate} (from input: ${req.body.commissionRate})`);
 
-    // Update associated Transaction if exists
-    const transaction = await Transaction.findOne({
-        referenceId: click._id,
-        referenceModel: 'ProductClick'
-    });
-
     const newAmount = click.price * decimalRate;
 
     if (transaction) {
@@ -499,8 +286,8 @@ exports.updateClickCommission = asyncHandler(async (req, res) => {
             transaction.status = 'failed'; // effectively cancelled
             await transaction.save();
         }
-    } else if (newAmount > 0 && click.agent) {
-        // Create new if missing and we have an agent + valid amount
+    } else if (newAmount > 0 && click.agent && !isCommissionWithheld(click)) {
+        // Create new if missing and we have an agent + valid amount (flagged clicks wait for fraud review)
         await Transaction.create({
             user: click.agent,
             type: 'earnings',
@@ -508,7 +295,8 @@ exports.updateClickCommission = asyncHandler(async (req, res) => {
             status: 'pending',
             description: `Commission (${(decimalRate * 100).toFixed(2)}%): ${click.productName} [Manual Update]`,
             referenceId: click._id,
-            referenceModel: 'ProductClick'
+            referenceModel: 'ProductClick',
+            idempotencyKey: `commission:click:${click._id}`
         });
     }
 
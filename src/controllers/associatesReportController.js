@@ -0,0 +1,83 @@
+const AssociatesReportImport = require('../models/AssociatesReportImport');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendNotFound, sendValidationError } = require('../utils/responseHandler');
+const { importAssociatesReport } = require('../services/associatesImportService');
+
+// @desc    Import an Amazon Associates earnings report (CSV/TSV)
+// @route   POST /api/admin/associates-reports
+// @access  Private/Admin
+exports.importReport = asyncHandler(async (req, res) => {
+  // Raw file body (text/csv, text/tab-separated-values, text/plain) or JSON { content, fileName }
+  const content = typeof req.body === 'string' ? req.body : req.body?.content;
+  const fileName = req.query.fileName || req.body?.fileName || 'report.csv';
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+  if (!content || !String(content).trim()) {
+    return sendValidationError(res, 'Report file content is required');
+  }
+
+  const result = await importAssociatesReport({
+    content,
+    fileName,
+    importedBy: req.user._id,
+    dryRun,
+  });
+
+  return sendSuccess(
+    res,
+    result,
+    dryRun ? 'Report checked (dry run, nothing was changed)' : 'Report imported successfully',
+    dryRun ? 200 : 201
+  );
+});
+
+// @desc    Get Associates report imports
+// @route   GET /api/admin/associates-reports
+// @access  Private/Admin
+exports.getReportImports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await AssociatesReportImport.countDocuments();
+  const imports = await AssociatesReportImport.find()
+    .select('-rows')
+    .populate('importedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return sendSuccess(res, {
+    imports,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }, 'Report imports retrieved successfully');
+});
+
+// @desc    Get a single Associates report import with per-row results
+// @route   GET /api/admin/associates-reports/:id
+// @access  Private/Admin
+exports.getReportImport = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const reportImport = await AssociatesReportImport.findById(req.params.id)
+    .populate('importedBy', 'name email')
+    .lean();
+
+  if (!reportImport) {
+    return sendNotFound(res, 'Report import not found');
+  }
+
+  if (status) {
+    reportImport.rows = reportImport.rows.filter((row) => row.status === status);
+  }
+
+  return sendSuccess(res, reportImport, 'Report import retrieved successfully');
+});
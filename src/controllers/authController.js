@@ -1,13 +1,22 @@
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
-const { generateToken } = require('../utils/tokenUtils');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+  getSessionContext,
+} = require('../services/authTokenService');
 const sendEmail = require('../utils/sendEmail');
+const { createResetCode, clearResetCode, consumeResetCode } = require('../services/passwordResetService');
+const { getUserPermissions } = require('../services/permissionService');
 const {
   sendSuccess,
   sendValidationError,
   sendUnauthorized,
   sendError,
 } = require('../utils/responseHandler');
+const { sendDeactivated } = require('../middleware/auth');
 const {
   isValidEmail,
   validateAndFormatMobile,
@@ -32,11 +41,6 @@ exports.login = asyncHandler(async (req, res) => {
     return sendUnauthorized(res, 'Invalid credentials');
   }
 
-  // Check if account is deactivated
-  if (user.isDeactivated) {
-    return sendUnauthorized(res, 'Your account has been deactivated. Please contact support.');
-  }
-
   // Check if password matches
   const isMatch = await user.matchPassword(password);
 
@@ -44,13 +48,20 @@ exports.login = asyncHandler(async (req, res) => {
     return sendUnauthorized(res, 'Invalid credentials');
   }
 
-  // Generate token
-  const token = generateToken(user._id.toString());
+  // Check if account is deactivated (after the password, so it doesn't reveal which emails exist)
+  if (user.isDeactivated) {
+    return sendDeactivated(res);
+  }
+
+  // Generate access and refresh tokens
+  const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, getSessionContext(req));
 
   return res.status(200).json({
     success: true,
     message: 'Login successful',
     token,
+    refreshToken,
+    refreshTokenExpiresAt,
     data: {
       id: user._id,
       name: user.name,
@@ -132,13 +143,15 @@ exports.signup = asyncHandler(async (req, res) => {
   // Create user
   const user = await User.create(userData);
 
-  // Generate token for auto-login after signup
-  const token = generateToken(user._id.toString());
+  // Generate tokens for auto-login after signup
+  const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, getSessionContext(req));
 
   return res.status(201).json({
     success: true,
     message: 'Account created successfully',
     token,
+    refreshToken,
+    refreshTokenExpiresAt,
     data: {
       id: user._id,
       name: user.name,
@@ -166,10 +179,8 @@ exports.forgotPassword = asyncHandler(async (req, res) => {
     return sendError(res, 'There is no user with that email', 404);
   }
 
-  // Get reset token
-  const resetToken = user.getResetPasswordToken();
-
-  await user.save({ validateBeforeSave: false });
+  // Get reset code (throws 429 while resets are locked for this account)
+  const { code: resetToken, expiresInMinutes } = await createResetCode(user);
 
   const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Your reset OTP is: \n\n ${resetToken}`;
   const html = `
@@ -180,7 +191,7 @@ exports.forgotPassword = asyncHandler(async (req, res) => {
       <div style="background-color: #f4f4f4; padding: 15px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; color: #2B3990; border-radius: 5px; margin: 20px 0;">
         ${resetToken}
       </div>
-      <p>This OTP is valid for 10 minutes.</p>
+      <p>This OTP is valid for ${expiresInMinutes} minutes and can only be used once.</p>
       <p>If you did not request this, please ignore this email.</p>
       <hr style="border: 0; border-top: 1px solid #e0e0e0; margin: 20px 0;" />
       <p style="font-size: 12px; color: #777; text-align: center;">HasCart Support</p>
@@ -198,10 +209,7 @@ exports.forgotPassword = asyncHandler(async (req, res) => {
     return sendSuccess(res, null, 'OTP sent to email');
   } catch (err) {
     console.error('Email send error:', err);
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
-
-    await user.save({ validateBeforeSave: false });
+    await clearResetCode(user._id);
 
     return sendError(res, 'Email could not be sent. Please check SMTP configuration.', 500);
   }
@@ -211,37 +219,90 @@ exports.forgotPassword = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/resetpassword
 // @access  Public
 exports.resetPassword = asyncHandler(async (req, res) => {
-  const { otp, password } = req.body;
+  const { email, otp, password } = req.body;
 
-  if (!otp || !password) {
-    return sendValidationError(res, 'Please provide OTP and new password');
+  // The email is required so every wrong code counts towards that account's lockout
+  if (!email || !otp || !password) {
+    return sendValidationError(res, 'Please provide email, OTP and new password');
   }
 
-  const user = await User.findOne({
-    resetPasswordToken: otp,
-    resetPasswordExpire: { $gt: Date.now() },
-  });
+  if (!isValidPassword(password, 6)) {
+    return sendValidationError(res, 'Password must be at least 6 characters long');
+  }
 
-  if (!user) {
-    return sendError(res, 'Invalid or expired OTP', 400);
+  // Single use: the code is removed as it is accepted (throws on wrong code or lockout)
+  const user = await consumeResetCode(email, otp);
+
+  if (user.isDeactivated) {
+    return sendDeactivated(res);
   }
 
-  // Set new password
+  // Set new password and sign out every existing session
   user.password = password;
-  user.resetPasswordToken = undefined;
-  user.resetPasswordExpire = undefined;
+  await revokeAllTokens(user, 'revoked');
   await user.save();
 
-  // Generate token
-  const token = generateToken(user._id.toString());
+  // Generate tokens
+  const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, getSessionContext(req));
 
   return res.status(200).json({
     success: true,
     message: 'Password reset successful',
     token,
+    refreshToken,
+    refreshTokenExpiresAt,
+  });
+});
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return sendValidationError(res, 'Please provide a refresh token');
+  }
+
+  const session = await rotateRefreshToken(refreshToken, getSessionContext(req));
+  if (!session) {
+    return sendUnauthorized(res, 'Invalid or expired refresh token');
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Token refreshed',
+    token: session.token,
+    refreshToken: session.refreshToken,
+    refreshTokenExpiresAt: session.refreshTokenExpiresAt,
   });
 });
 
+// @desc    Logout (revoke the refresh token)
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return sendValidationError(res, 'Please provide a refresh token');
+  }
+
+  // Unknown or already revoked tokens are not an error: the client is logged out either way
+  await revokeRefreshToken(refreshToken);
+
+  return sendSuccess(res, null, 'Logged out successfully');
+});
+
+// @desc    Logout from all devices (revoke every access and refresh token)
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res) => {
+  await revokeAllTokens(req.user._id, 'logout');
+
+  return sendSuccess(res, null, 'Logged out from all devices');
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -255,6 +316,8 @@ exports.getMe = asyncHandler(async (req, res) => {
     role: user.role,
     referralCode: user.referralCode,
     balance: user.balance,
-    totalEarnings: user.totalEarnings
+    totalEarnings: user.totalEarnings,
+    adminRole: user.adminRole,
+    permissions: [...(await getUserPermissions(user))]
   }, 'User retrieved successfully');
 });
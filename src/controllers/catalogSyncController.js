@@ -0,0 +1,70 @@
+const CatalogSyncRun = require('../models/CatalogSyncRun');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendNotFound } = require('../utils/responseHandler');
+const { startCatalogSync } = require('../services/catalogSyncService');
+
+// @desc    Trigger a catalog sync run
+// @route   POST /api/admin/catalog-sync
+// @access  Private/Admin
+exports.triggerCatalogSync = asyncHandler(async (req, res) => {
+  const { started, run } = await startCatalogSync({
+    trigger: 'manual',
+    triggeredBy: req.user._id,
+  });
+
+  if (!started) {
+    return sendSuccess(res, run, 'A catalog sync is already running');
+  }
+
+  return sendSuccess(res, run, 'Catalog sync started', 202);
+});
+
+// @desc    Get catalog sync run history
+// @route   GET /api/admin/catalog-sync
+// @access  Private/Admin
+exports.getCatalogSyncRuns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await CatalogSyncRun.countDocuments(query);
+  const runs = await CatalogSyncRun.find(query)
+    .select('-syncErrors')
+    .populate('triggeredBy', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return sendSuccess(res, {
+    runs,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }, 'Catalog sync runs retrieved successfully');
+});
+
+// @desc    Get a single catalog sync run with its errors
+// @route   GET /api/admin/catalog-sync/:id
+// @access  Private/Admin
+exports.getCatalogSyncRun = asyncHandler(async (req, res) => {
+  const run = await CatalogSyncRun.findById(req.params.id)
+    .populate('triggeredBy', 'name email')
+    .lean();
+
+  if (!run) {
+    return sendNotFound(res, 'Catalog sync run not found');
+  }
+
+  return sendSuccess(res, run, 'Catalog sync run retrieved successfully');
+});
@@ -0,0 +1,87 @@
+const ProductClick = require('../models/ProductClick');
+const Transaction = require('../models/Transaction');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendValidationError, sendNotFound } = require('../utils/responseHandler');
+const { createPendingCommission } = require('../services/clickTrackingService');
+
+// @desc    Get clicks held for fraud review
+// @route   GET /api/admin/fraud/clicks
+// @access  Private/Admin
+exports.getFlaggedClicks = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'flagged', agentId, signal } = req.query;
+
+  const query = { fraudStatus: status };
+  if (agentId) {
+    query.agent = agentId;
+  }
+  if (signal) {
+    query['fraudSignals.code'] = signal;
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await ProductClick.countDocuments(query);
+  const clicks = await ProductClick.find(query)
+    .populate('user', 'name email mobile')
+    .populate('agent', 'name email referralCode')
+    .populate('fraudReviewedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return sendSuccess(res, {
+    clicks,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }, 'Flagged clicks retrieved successfully');
+});
+
+// @desc    Approve or reject a flagged click
+// @route   PUT /api/admin/fraud/clicks/:id
+// @access  Private/Admin
+exports.reviewFlaggedClick = asyncHandler(async (req, res) => {
+  const { decision, note } = req.body;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return sendValidationError(res, "decision must be 'approve' or 'reject'");
+  }
+
+  const click = await ProductClick.findById(req.params.id);
+  if (!click) {
+    return sendNotFound(res, 'Product click not found');
+  }
+
+  if (click.fraudStatus !== 'flagged') {
+    return sendValidationError(res, `Click is ${click.fraudStatus}; only flagged clicks can be reviewed`);
+  }
+
+  click.fraudStatus = decision === 'approve' ? 'approved' : 'rejected';
+  click.fraudReviewedBy = req.user._id;
+  click.fraudReviewedAt = new Date();
+  click.fraudReviewNote = note;
+  await click.save();
+
+  // Approving releases the withheld commission
+  let transaction = null;
+  if (decision === 'approve') {
+    transaction = await Transaction.findOne({ referenceId: click._id, referenceModel: 'ProductClick' });
+    if (!transaction) {
+      transaction = await createPendingCommission(click);
+    }
+  }
+
+  console.log(`[Fraud] Click ${click._id} ${click.fraudStatus} by ${req.user.email}`);
+
+  return sendSuccess(
+    res,
+    { click, transaction },
+    decision === 'approve' ? 'Click approved, commission released' : 'Click rejected, commission withheld'
+  );
+});
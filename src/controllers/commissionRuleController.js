@@ -0,0 +1,229 @@
+const CommissionRule = require('../models/CommissionRule');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendValidationError, sendNotFound } = require('../utils/responseHandler');
+const { resolveCommission } = require('../services/commissionRuleService');
+
+const LIST_CONDITIONS = ['categories', 'searchIndexes', 'brands', 'asins', 'agentTiers'];
+const NUMBER_CONDITIONS = ['minPrice', 'maxPrice'];
+const DATE_CONDITIONS = ['startsAt', 'endsAt'];
+
+/**
+ * Normalize a conditions object from the request body
+ * Only conditions present in the body are returned, so updates can be partial.
+ * @param {Object} input - Request body conditions
+ * @returns {Object} { conditions, error }
+ */
+const parseConditions = (input = {}) => {
+  const conditions = {};
+
+  for (const key of LIST_CONDITIONS) {
+    if (input[key] === undefined) continue;
+    const list = Array.isArray(input[key]) ? input[key] : [input[key]];
+    conditions[key] = list.map((value) => String(value).trim()).filter(Boolean);
+  }
+
+  for (const key of NUMBER_CONDITIONS) {
+    if (input[key] === undefined) continue;
+    if (input[key] === null || input[key] === '') {
+      conditions[key] = null;
+      continue;
+    }
+    const value = parseFloat(input[key]);
+    if (Number.isNaN(value) || value < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    conditions[key] = value;
+  }
+
+  for (const key of DATE_CONDITIONS) {
+    if (input[key] === undefined) continue;
+    if (input[key] === null || input[key] === '') {
+      conditions[key] = null;
+      continue;
+    }
+    const value = new Date(input[key]);
+    if (Number.isNaN(value.getTime())) {
+      return { error: `${key} must be a valid date` };
+    }
+    conditions[key] = value;
+  }
+
+  return { conditions };
+};
+
+const parsePercentage = (percentage) => {
+  const value = parseFloat(percentage);
+  return Number.isNaN(value) || value < 0 || value > 100 ? null : value;
+};
+
+// @desc    Get commission rules in evaluation order
+// @route   GET /api/admin/commission-rules
+// @access  Private/Admin
+exports.getCommissionRules = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 50 } = req.query;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 50;
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await CommissionRule.countDocuments(query);
+  const rules = await CommissionRule.find(query)
+    .populate('createdBy', 'name email')
+    .populate('updatedBy', 'name email')
+    .sort({ priority: -1, createdAt: 1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return sendSuccess(res, {
+    rules,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }, 'Commission rules retrieved successfully');
+});
+
+// @desc    Get a commission rule
+// @route   GET /api/admin/commission-rules/:id
+// @access  Private/Admin
+exports.getCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await CommissionRule.findById(req.params.id).lean();
+
+  if (!rule) {
+    return sendNotFound(res, 'Commission rule not found');
+  }
+
+  return sendSuccess(res, rule, 'Commission rule retrieved successfully');
+});
+
+// @desc    Create a commission rule
+// @route   POST /api/admin/commission-rules
+// @access  Private/Admin
+exports.createCommissionRule = asyncHandler(async (req, res) => {
+  const { name, description, priority, percentage, status, conditions: conditionsInput } = req.body;
+
+  if (!name) {
+    return sendValidationError(res, 'Rule name is required');
+  }
+
+  const percentageNum = parsePercentage(percentage);
+  if (percentageNum === null) {
+    return sendValidationError(res, 'Percentage must be between 0 and 100');
+  }
+
+  const { conditions, error } = parseConditions(conditionsInput);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const rule = await CommissionRule.create({
+    name,
+    description,
+    priority: parseInt(priority, 10) || 0,
+    percentage: percentageNum,
+    status: status || 'active',
+    conditions,
+    createdBy: req.user._id,
+    updatedBy: req.user._id,
+  });
+
+  return sendSuccess(res, rule, 'Commission rule created successfully', 201);
+});
+
+// @desc    Update a commission rule
+// @route   PUT /api/admin/commission-rules/:id
+// @access  Private/Admin
+exports.updateCommissionRule = asyncHandler(async (req, res) => {
+  const { name, description, priority, percentage, status, conditions: conditionsInput } = req.body;
+
+  const rule = await CommissionRule.findById(req.params.id);
+  if (!rule) {
+    return sendNotFound(res, 'Commission rule not found');
+  }
+
+  if (name !== undefined) rule.name = name;
+  if (description !== undefined) rule.description = description;
+
+  if (priority !== undefined) {
+    const priorityNum = parseInt(priority, 10);
+    if (Number.isNaN(priorityNum)) {
+      return sendValidationError(res, 'Priority must be a number');
+    }
+    rule.priority = priorityNum;
+  }
+
+  if (percentage !== undefined) {
+    const percentageNum = parsePercentage(percentage);
+    if (percentageNum === null) {
+      return sendValidationError(res, 'Percentage must be between 0 and 100');
+    }
+    rule.percentage = percentageNum;
+  }
+
+  if (status !== undefined) {
+    if (!['active', 'inactive'].includes(status)) {
+      return sendValidationError(res, 'Status must be either active or inactive');
+    }
+    rule.status = status;
+  }
+
+  if (conditionsInput !== undefined) {
+    const { conditions, error } = parseConditions(conditionsInput);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    Object.entries(conditions).forEach(([key, value]) => {
+      rule.conditions[key] = value;
+    });
+  }
+
+  rule.updatedBy = req.user._id;
+  await rule.save();
+
+  return sendSuccess(res, rule, 'Commission rule updated successfully');
+});
+
+// @desc    Delete a commission rule
+// @route   DELETE /api/admin/commission-rules/:id
+// @access  Private/Admin
+exports.deleteCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+
+  if (!rule) {
+    return sendNotFound(res, 'Commission rule not found');
+  }
+
+  return sendSuccess(res, null, 'Commission rule deleted successfully');
+});
+
+// @desc    Dry run: show which rule (or fallback) sets the commission for a product
+// @route   POST /api/admin/commission-rules/explain
+// @access  Private/Admin
+exports.explainCommission = asyncHandler(async (req, res) => {
+  const { asin, productName, category, price, brand, searchIndex, agentId, agentTier, at } = req.body;
+
+  if (!asin && !productName) {
+    return sendValidationError(res, 'asin or productName is required');
+  }
+
+  if (at && Number.isNaN(new Date(at).getTime())) {
+    return sendValidationError(res, 'at must be a valid date');
+  }
+
+  const result = await resolveCommission(
+    { asin, productName, category, price, brand, searchIndex, agentId, agentTier, at },
+    { explain: true }
+  );
+
+  const amount = Math.round(result.facts.price * result.commissionRate * 100) / 100;
+
+  return sendSuccess(res, { ...result, commissionAmount: amount }, 'Commission explained successfully');
+});
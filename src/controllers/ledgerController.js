@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendNotFound, sendValidationError } = require('../utils/responseHandler');
+const { getLedgerBalance, getTransactionTotals } = require('../services/ledgerService');
+const { buildReconciliationReport, repairBalances } = require('../services/reconciliationService');
+
+/**
+ * Parse user ids from a comma-separated string or an array
+ * @param {string|Array} value - Raw value
+ * @returns {Object} { valid: boolean, ids: Array<string>|null }
+ */
+const parseUserIds = (value) => {
+  if (!value || (Array.isArray(value) && value.length === 0)) {
+    return { valid: true, ids: null };
+  }
+  const ids = (Array.isArray(value) ? value : String(value).split(','))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+  return { valid: ids.every((id) => mongoose.isValidObjectId(id)), ids };
+};
+
+// { "<userId>": amount } -> same object with numeric amounts, or null if invalid
+const parseAdjustments = (value) => {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const adjustments = {};
+  for (const [userId, amount] of Object.entries(value)) {
+    const parsed = Number(amount);
+    if (!mongoose.isValidObjectId(userId) || amount === '' || amount === null || !Number.isFinite(parsed)) {
+      return null;
+    }
+    adjustments[userId] = parsed;
+  }
+  return adjustments;
+};
+
+// @desc    Get journal entries (optionally for one agent or transaction)
+// @route   GET /api/admin/ledger/entries
+// @access  Private/Admin
+exports.getJournalEntries = asyncHandler(async (req, res) => {
+  const { userId, transactionId, entryType, page = 1, limit = 50 } = req.query;
+
+  const query = {};
+  if (transactionId) {
+    query.transaction = transactionId;
+  }
+  if (entryType) {
+    query.entryType = entryType;
+  }
+  if (userId) {
+    const account = await LedgerAccount.findOne({ code: `agent:${userId}` });
+    if (!account) {
+      return sendNotFound(res, 'No ledger account for this user');
+    }
+    query['lines.account'] = account._id;
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 50;
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await JournalEntry.countDocuments(query);
+  const entries = await JournalEntry.find(query)
+    .populate('transaction', 'type amount status description')
+    .populate('postedBy', 'name email')
+    .sort({ postedAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return sendSuccess(res, {
+    entries,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }, 'Journal entries retrieved successfully');
+});
+
+// @desc    Get an agent's balance from the ledger, transactions and user record
+// @route   GET /api/admin/ledger/agents/:id
+// @access  Private/Admin
+exports.getAgentLedger = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email role balance totalEarnings');
+  if (!user) {
+    return sendNotFound(res, 'User not found');
+  }
+
+  const account = await LedgerAccount.findOne({ code: `agent:${user._id}` }).lean();
+  const ledgerBalance = await getLedgerBalance(user._id);
+  const transactionTotals = await getTransactionTotals(user._id);
+
+  return sendSuccess(res, {
+    user,
+    account,
+    ledgerBalance,
+    transactionTotals,
+    inSync: ledgerBalance === transactionTotals.balance
+      && Math.round((user.balance || 0) * 100) === Math.round(transactionTotals.balance * 100),
+  }, 'Agent ledger retrieved successfully');
+});
+
+// @desc    Reconcile agent balances against transaction history and the ledger
+// @route   GET /api/admin/ledger/reconciliation
+// @access  Private/Admin
+exports.getReconciliationReport = asyncHandler(async (req, res) => {
+  const { userId, all } = req.query;
+
+  const { valid, ids } = parseUserIds(userId);
+  if (!valid) {
+    return sendValidationError(res, 'userId must be a comma-separated list of valid ids');
+  }
+
+  const report = await buildReconciliationReport({
+    userIds: ids,
+    onlyDiscrepancies: all !== 'true',
+  });
+
+  return sendSuccess(res, report, 'Reconciliation report generated successfully');
+});
+
+// @desc    Repair balance discrepancies (resync from history, explicit adjustments)
+// @route   POST /api/admin/ledger/reconciliation/repair
+// @access  Private/Admin
+exports.repairReconciliation = asyncHandler(async (req, res) => {
+  const { userIds, note } = req.body;
+
+  if (!note || !String(note).trim()) {
+    return sendValidationError(res, 'An audit note explaining the repair is required');
+  }
+
+  const { valid, ids } = parseUserIds(userIds);
+  if (!valid) {
+    return sendValidationError(res, 'userIds must be an array of valid ids');
+  }
+
+  const adjustments = parseAdjustments(req.body.adjustments);
+  if (!adjustments) {
+    return sendValidationError(res, 'adjustments must map user ids to amounts');
+  }
+
+  const result = await repairBalances({ userIds: ids, note, adjustments, repairedBy: req.user._id });
+
+  return sendSuccess(res, result, `Repaired ${result.repaired.length} balance(s)`);
+});
@@ -4,15 +4,17 @@ const {
   sendSuccess,
   sendError,
   sendValidationError,
+  sendUnauthorized,
 } = require('../utils/responseHandler');
 const {
   validateAWSCredentials,
-  validateAPIResult,
   validateSearchResponse,
   validateGetItemsResponse,
 } = require('../utils/awsApiValidator');
+const { applyTrackingTag, applyTrackingTagToResponse } = require('../utils/affiliateLink');
 const ProductClick = require('../models/ProductClick');
 const Product = require('../models/Product');
+const { recordPriceObservation, getPriceHistory } = require('../services/priceHistoryService');
 
 // @desc    Search products from Amazon
 // @route   GET /api/products
@@ -51,75 +53,26 @@ exports.getAllProducts = asyncHandler(async (req, res) => {
     brand,
   });
 
-  // Validate API result
-  const apiValidation = validateAPIResult(result);
-  if (!apiValidation.valid) {
-    // Determine appropriate status code based on error details
-    // Use the statusCode from errorDetails if available, otherwise infer from error type
-    let statusCode = apiValidation.errorDetails?.statusCode;
-
-    if (!statusCode) {
-      const errorType = apiValidation.errorDetails?.type;
-      const originalError = apiValidation.errorDetails?.originalError;
-
-      // Check type field first (from errorDetails)
-      if (errorType === 'ServiceUnavailable') {
-        statusCode = 503;
-      } else if (errorType === 'BadRequest') {
-        statusCode = 400;
-      } else if (errorType === 'Unauthorized') {
-        statusCode = 401;
-      } else if (errorType === 'Forbidden') {
-        statusCode = 403;
-      } else if (errorType === 'TooManyRequests') {
-        statusCode = 429;
-      } else if (errorType === 'ServerError') {
-        statusCode = 500;
-      } else if (originalError) {
-        // Fallback to checking originalError Type field
-        if (originalError.Type === 'ServiceUnavailable') {
-          statusCode = 503;
-        } else if (originalError.Type === 'BadRequest' || originalError.Code?.startsWith('HTTP_400')) {
-          statusCode = 400;
-        } else if (originalError.Type === 'Unauthorized' || originalError.Code?.startsWith('HTTP_401')) {
-          statusCode = 401;
-        } else if (originalError.Type === 'Forbidden' || originalError.Code?.startsWith('HTTP_403')) {
-          statusCode = 403;
-        } else if (originalError.Type === 'TooManyRequests' || originalError.Code?.startsWith('HTTP_429')) {
-          statusCode = 429;
-        } else if (originalError.Type === 'ServerError' || (originalError.Code && /^HTTP_5\d{2}$/.test(originalError.Code))) {
-          statusCode = 500;
-        }
-      }
-    }
-
-    // Default to 400 if status code still not determined
-    statusCode = statusCode || 400;
-
-    return sendError(
-      res,
-      apiValidation.error,
-      statusCode,
-      apiValidation.errorDetails || null
-    );
-  }
+  // Links carry the tracking tag of the agent this visitor is attributed to
+  const data = applyTrackingTagToResponse(result.data, req.attribution?.trackingTag);
 
   // Validate response structure
-  const responseValidation = validateSearchResponse(result.data);
+  const responseValidation = validateSearchResponse(data);
   if (!responseValidation.valid) {
     return sendError(
       res,
       `Invalid response from Amazon API: ${responseValidation.errors.join(', ')}`,
       400,
-      result.data
+      data
     );
   }
 
   return res.status(200).json({
     success: true,
     page: parseInt(page),
-    data: result.data,
+    data,
     validated: true,
+    cache: result.cache,
   });
 });
 
@@ -150,59 +103,6 @@ exports.getProduct = asyncHandler(async (req, res) => {
 
   const result = await amazonApiService.getItems(asin);
 
-  // Validate API result
-  const apiValidation = validateAPIResult(result);
-  if (!apiValidation.valid) {
-    // Determine appropriate status code based on error details
-    // Use the statusCode from errorDetails if available, otherwise infer from error type
-    let statusCode = apiValidation.errorDetails?.statusCode;
-
-    if (!statusCode) {
-      const errorType = apiValidation.errorDetails?.type;
-      const originalError = apiValidation.errorDetails?.originalError;
-
-      // Check type field first (from errorDetails)
-      if (errorType === 'ServiceUnavailable') {
-        statusCode = 503;
-      } else if (errorType === 'BadRequest') {
-        statusCode = 400;
-      } else if (errorType === 'Unauthorized') {
-        statusCode = 401;
-      } else if (errorType === 'Forbidden') {
-        statusCode = 403;
-      } else if (errorType === 'TooManyRequests') {
-        statusCode = 429;
-      } else if (errorType === 'ServerError') {
-        statusCode = 500;
-      } else if (originalError) {
-        // Fallback to checking originalError Type field
-        if (originalError.Type === 'ServiceUnavailable') {
-          statusCode = 503;
-        } else if (originalError.Type === 'BadRequest' || originalError.Code?.startsWith('HTTP_400')) {
-          statusCode = 400;
-        } else if (originalError.Type === 'Unauthorized' || originalError.Code?.startsWith('HTTP_401')) {
-          statusCode = 401;
-        } else if (originalError.Type === 'Forbidden' || originalError.Code?.startsWith('HTTP_403')) {
-          statusCode = 403;
-        } else if (originalError.Type === 'TooManyRequests' || originalError.Code?.startsWith('HTTP_429')) {
-          statusCode = 429;
-        } else if (originalError.Type === 'ServerError' || (originalError.Code && /^HTTP_5\d{2}$/.test(originalError.Code))) {
-          statusCode = 500;
-        }
-      }
-    }
-
-    // Default to 400 if status code still not determined
-    statusCode = statusCode || 400;
-
-    return sendError(
-      res,
-      apiValidation.error,
-      statusCode,
-      apiValidation.errorDetails || null
-    );
-  }
-
   // Validate response structure
   const responseValidation = validateGetItemsResponse(result.data);
   if (!responseValidation.valid || !responseValidation.hasData) {
@@ -239,18 +139,57 @@ exports.getProduct = asyncHandler(async (req, res) => {
       { upsert: true, new: true }
     );
     console.log(`[Product] Cached/Updated product detail for ${asin}: ₹${itemPrice}`);
+
+    // A cache hit is not a new observation of Amazon's price
+    if (!result.cache?.hit) {
+      await recordPriceObservation({
+        asin,
+        amount: itemPrice,
+        currency: listing?.Price?.Currency || 'INR',
+        source: 'product_view',
+      });
+    }
   } catch (dbErr) {
     console.error(`[Product] Failed to cache product ${asin}:`, dbErr.message);
   }
 
   return sendSuccess(
     res,
-    { ...responseValidation.item, validated: true },
+    {
+      ...responseValidation.item,
+      // The stored productUrl stays untagged; only the response carries the visitor's tag
+      DetailPageURL: applyTrackingTag(responseValidation.item.DetailPageURL, req.attribution?.trackingTag),
+      validated: true,
+      cache: result.cache,
+    },
     'Product retrieved successfully'
   );
 
 });
 
+// @desc    Get price history for a product
+// @route   GET /api/products/:asin/price-history
+// @access  Public
+exports.getProductPriceHistory = asyncHandler(async (req, res) => {
+  const { asin } = req.params;
+  const { days = 90, limit = 500 } = req.query;
+
+  if (!/^[A-Z0-9]{10}$/i.test(asin)) {
+    return sendValidationError(res, 'Invalid ASIN format. ASIN must be 10 alphanumeric characters');
+  }
+
+  const daysNum = parseInt(days, 10);
+  if (Number.isNaN(daysNum) || daysNum < 1 || daysNum > 730) {
+    return sendValidationError(res, 'days must be between 1 and 730');
+  }
+
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 500, 1), 2000);
+
+  const history = await getPriceHistory(asin, { days: daysNum, limit: limitNum });
+
+  return sendSuccess(res, history, 'Price history retrieved successfully');
+});
+
 // @desc    Update product category/details (Admin)
 // @route   PUT /api/products/:asin
 // @access  Private/Admin
@@ -347,75 +286,25 @@ exports.searchProducts = asyncHandler(async (req, res) => {
     brand,
   });
 
-  // Validate API result
-  const apiValidation = validateAPIResult(result);
-  if (!apiValidation.valid) {
-    // Determine appropriate status code based on error details
-    // Use the statusCode from errorDetails if available, otherwise infer from error type
-    let statusCode = apiValidation.errorDetails?.statusCode;
-
-    if (!statusCode) {
-      const errorType = apiValidation.errorDetails?.type;
-      const originalError = apiValidation.errorDetails?.originalError;
-
-      // Check type field first (from errorDetails)
-      if (errorType === 'ServiceUnavailable') {
-        statusCode = 503;
-      } else if (errorType === 'BadRequest') {
-        statusCode = 400;
-      } else if (errorType === 'Unauthorized') {
-        statusCode = 401;
-      } else if (errorType === 'Forbidden') {
-        statusCode = 403;
-      } else if (errorType === 'TooManyRequests') {
-        statusCode = 429;
-      } else if (errorType === 'ServerError') {
-        statusCode = 500;
-      } else if (originalError) {
-        // Fallback to checking originalError Type field
-        if (originalError.Type === 'ServiceUnavailable') {
-          statusCode = 503;
-        } else if (originalError.Type === 'BadRequest' || originalError.Code?.startsWith('HTTP_400')) {
-          statusCode = 400;
-        } else if (originalError.Type === 'Unauthorized' || originalError.Code?.startsWith('HTTP_401')) {
-          statusCode = 401;
-        } else if (originalError.Type === 'Forbidden' || originalError.Code?.startsWith('HTTP_403')) {
-          statusCode = 403;
-        } else if (originalError.Type === 'TooManyRequests' || originalError.Code?.startsWith('HTTP_429')) {
-          statusCode = 429;
-        } else if (originalError.Type === 'ServerError' || (originalError.Code && /^HTTP_5\d{2}$/.test(originalError.Code))) {
-          statusCode = 500;
-        }
-      }
-    }
-
-    // Default to 400 if status code still not determined
-    statusCode = statusCode || 400;
-
-    return sendError(
-      res,
-      apiValidation.error,
-      statusCode,
-      apiValidation.errorDetails || null
-    );
-  }
+  const data = applyTrackingTagToResponse(result.data, req.attribution?.trackingTag);
 
   // Validate response structure
-  const responseValidation = validateSearchResponse(result.data);
+  const responseValidation = validateSearchResponse(data);
   if (!responseValidation.valid) {
     return sendError(
       res,
       `Invalid response from Amazon API: ${responseValidation.errors.join(', ')}`,
       400,
-      result.data
+      data
     );
   }
 
   return res.status(200).json({
     success: true,
     query: q,
-    data: result.data,
+    data,
     validated: true,
+    cache: result.cache,
   });
 });
 
@@ -454,75 +343,25 @@ exports.getProductsByCategory = asyncHandler(async (req, res) => {
     brand,
   });
 
-  // Validate API result
-  const apiValidation = validateAPIResult(result);
-  if (!apiValidation.valid) {
-    // Determine appropriate status code based on error details
-    // Use the statusCode from errorDetails if available, otherwise infer from error type
-    let statusCode = apiValidation.errorDetails?.statusCode;
-
-    if (!statusCode) {
-      const errorType = apiValidation.errorDetails?.type;
-      const originalError = apiValidation.errorDetails?.originalError;
-
-      // Check type field first (from errorDetails)
-      if (errorType === 'ServiceUnavailable') {
-        statusCode = 503;
-      } else if (errorType === 'BadRequest') {
-        statusCode = 400;
-      } else if (errorType === 'Unauthorized') {
-        statusCode = 401;
-      } else if (errorType === 'Forbidden') {
-        statusCode = 403;
-      } else if (errorType === 'TooManyRequests') {
-        statusCode = 429;
-      } else if (errorType === 'ServerError') {
-        statusCode = 500;
-      } else if (originalError) {
-        // Fallback to checking originalError Type field
-        if (originalError.Type === 'ServiceUnavailable') {
-          statusCode = 503;
-        } else if (originalError.Type === 'BadRequest' || originalError.Code?.startsWith('HTTP_400')) {
-          statusCode = 400;
-        } else if (originalError.Type === 'Unauthorized' || originalError.Code?.startsWith('HTTP_401')) {
-          statusCode = 401;
-        } else if (originalError.Type === 'Forbidden' || originalError.Code?.startsWith('HTTP_403')) {
-          statusCode = 403;
-        } else if (originalError.Type === 'TooManyRequests' || originalError.Code?.startsWith('HTTP_429')) {
-          statusCode = 429;
-        } else if (originalError.Type === 'ServerError' || (originalError.Code && /^HTTP_5\d{2}$/.test(originalError.Code))) {
-          statusCode = 500;
-        }
-      }
-    }
-
-    // Default to 400 if status code still not determined
-    statusCode = statusCode || 400;
-
-    return sendError(
-      res,
-      apiValidation.error,
-      statusCode,
-      apiValidation.errorDetails || null
-    );
-  }
+  const data = applyTrackingTagToResponse(result.data, req.attribution?.trackingTag);
 
   // Validate response structure
-  const responseValidation = validateSearchResponse(result.data);
+  const responseValidation = validateSearchResponse(data);
   if (!responseValidation.valid) {
     return sendError(
       res,
       `Invalid response from Amazon API: ${responseValidation.errors.join(', ')}`,
       400,
-      result.data
+      data
     );
   }
 
   return res.status(200).json({
     success: true,
     category,
-    data: result.data,
+    data,
     validated: true,
+    cache: result.cache,
   });
 });
 // @desc    Get multiple products by ASINs
@@ -556,18 +395,9 @@ exports.getProductsByAsins = asyncHandler(async (req, res) => {
 
   const result = await amazonApiService.getItems(itemIds);
 
-  // Validate API result
-  const apiValidation = validateAPIResult(result);
-  if (!apiValidation.valid) {
-    return sendError(
-      res,
-      apiValidation.error,
-      apiValidation.errorDetails?.statusCode || 400,
-      apiValidation.errorDetails || null
-    );
-  }
+  const data = applyTrackingTagToResponse(result.data, req.attribution?.trackingTag);
 
-  return sendSuccess(res, { ...result.data, validated: true }, 'Items retrieved successfully');
+  return sendSuccess(res, { ...data, validated: true, cache: result.cache }, 'Items retrieved successfully');
 });
 
 // @desc    Get personalized products based on user click history
@@ -602,5 +432,7 @@ exports.getPersonalizedProducts = asyncHandler(async (req, res) => {
     itemCount: 10,
   });
 
-  return sendSuccess(res, result.data, 'Personalized products retrieved successfully');
+  const data = applyTrackingTagToResponse(result.data, req.attribution?.trackingTag);
+
+  return sendSuccess(res, data, 'Personalized products retrieved successfully');
 });
@@ -0,0 +1,99 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { sendValidationError, sendNotFound } = require('../utils/responseHandler');
+const { resolveAttribution } = require('../services/attributionService');
+const { recordProductClick, getClickProduct } = require('../services/clickTrackingService');
+const { resolveCommission } = require('../services/commissionRuleService');
+const { getClickContext } = require('../services/clickFraudService');
+const { applyTrackingTag } = require('../utils/affiliateLink');
+const { readInt } = require('../utils/env');
+
+// Remembers the share-link referral code so later redirects in the same browser stay attributed
+const REFERRAL_COOKIE = 'hc_ref';
+
+/**
+ * Referral cookie lifetime from environment
+ * REFERRAL_COOKIE_DAYS - Days a share-link referral code is remembered (default 30, 0 = no cookie)
+ * @returns {number} Days
+ */
+const getReferralCookieDays = () => readInt('REFERRAL_COOKIE_DAYS', 30);
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join('='));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// @desc    Record a click server-side and redirect to the Amazon detail page
+// @route   GET /r/:asin?ref=CODE
+// @access  Public/Private
+exports.redirectToProduct = asyncHandler(async (req, res) => {
+  const asin = String(req.params.asin || '').trim().toUpperCase();
+
+  if (!/^[A-Z0-9]{10}$/.test(asin)) {
+    return sendValidationError(res, 'Invalid ASIN format. ASIN must be 10 alphanumeric characters');
+  }
+
+  const refFromQuery = typeof req.query.ref === 'string' ? req.query.ref.trim().toUpperCase() : null;
+  const referralCode = refFromQuery || readCookie(req, REFERRAL_COOKIE);
+
+  const cookieDays = getReferralCookieDays();
+  if (refFromQuery && cookieDays > 0) {
+    res.cookie(REFERRAL_COOKIE, refFromQuery, {
+      maxAge: cookieDays * 24 * 60 * 60 * 1000,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+    });
+  }
+
+  const { agentId, trackingTag } = await resolveAttribution({ user: req.user, referralCode });
+
+  const product = await getClickProduct(asin);
+  if (!product) {
+    return sendNotFound(res, 'Product not found');
+  }
+
+  // The shopper is on their way to Amazon: a failed write must not strand them here
+  try {
+    const commission = await resolveCommission({
+      asin,
+      productName: product.title,
+      category: product.category,
+      price: product.price,
+      brand: product.brand,
+      searchIndex: product.searchIndex,
+      agentId,
+    });
+
+    await recordProductClick({
+      userId: req.user ? req.user.id : null,
+      asin,
+      productName: product.title,
+      category: commission.category,
+      price: product.price,
+      imageUrl: product.imageUrl,
+      productUrl: product.productUrl,
+      agentId,
+      trackingTag,
+      commissionPercentage: commission.commissionRate,
+      commissionRuleId: commission.rule?._id,
+      tierMultiplier: commission.multiplier,
+      context: getClickContext(req),
+    });
+  } catch (error) {
+    console.error(`[Affiliate] Failed to record redirect click for ${asin}:`, error.message);
+  }
+
+  return res.redirect(302, applyTrackingTag(product.productUrl, trackingTag));
+});
@@ -1,5 +1,7 @@
 const User = require('../models/User');
 const ProductClick = require('../models/ProductClick');
+const Transaction = require('../models/Transaction');
+const { getOverrideConfig } = require('../services/referralOverrideService');
 const asyncHandler = require('../utils/asyncHandler');
 const {
   sendSuccess,
@@ -37,6 +39,36 @@ exports.getReferralStats = asyncHandler(async (req, res) => {
   }, 'Referral statistics retrieved successfully');
 });
 
+// @desc    Get referral override earnings paid to me from my downline
+// @route   GET /api/referral/overrides
+// @access  Private/Agent
+exports.getMyOverrides = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const query = { user: req.user._id, type: 'earnings', referenceModel: 'Transaction' };
+
+  const [items, total, totals] = await Promise.all([
+    Transaction.find(query)
+      .populate({ path: 'referenceId', select: 'user amount description', populate: { path: 'user', select: 'name email' } })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Transaction.countDocuments(query),
+    Transaction.aggregate([
+      { $match: { ...query, status: 'completed' } },
+      { $group: { _id: '$overrideLevel', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  return sendSuccess(res, {
+    rates: getOverrideConfig().rates,
+    byLevel: totals.map(({ _id, amount, count }) => ({ level: _id, amount, count })),
+    items,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  }, 'Referral overrides retrieved successfully');
+});
+
 // @desc    Get my referral code
 // @route   GET /api/referral/my-code
 // @access  Private/Agent
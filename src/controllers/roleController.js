@@ -0,0 +1,171 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendError, sendValidationError, sendNotFound, sendForbidden } = require('../utils/responseHandler');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+const { canManageAdmins } = require('../services/permissionService');
+
+/**
+ * Copy role fields from the request body onto a role
+ * Admins can only grant permissions they hold themselves.
+ * @param {Object} role - Role document
+ * @param {Object} body - Request body
+ * @param {Set<string>} granterPermissions - Permissions of the admin making the change
+ * @returns {string|null} Validation error, if any
+ */
+const applyRoleFields = (role, body, granterPermissions) => {
+  if (body.name !== undefined) role.name = String(body.name).trim();
+  if (body.description !== undefined) role.description = body.description;
+
+  if (body.permissions !== undefined) {
+    if (!Array.isArray(body.permissions)) {
+      return 'permissions must be an array';
+    }
+    const unknown = body.permissions.filter((permission) => !ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+    const notHeld = body.permissions.filter((permission) => !granterPermissions.has(permission));
+    if (notHeld.length > 0) {
+      return `You cannot grant permissions you don't have: ${notHeld.join(', ')}`;
+    }
+    role.permissions = [...new Set(body.permissions)];
+  }
+
+  return null;
+};
+
+// @desc    Get the permission catalog
+// @route   GET /api/admin/permissions
+// @access  Private/Admin (roles:manage)
+exports.getPermissions = asyncHandler(async (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+  return sendSuccess(res, permissions, 'Permissions retrieved successfully');
+});
+
+// @desc    Get admin roles with how many admins hold each
+// @route   GET /api/admin/roles
+// @access  Private/Admin (roles:manage)
+exports.getRoles = asyncHandler(async (req, res) => {
+  const [roles, counts] = await Promise.all([
+    Role.find().sort({ name: 1 }).lean(),
+    User.aggregate([
+      { $match: { role: 'admin' } },
+      { $group: { _id: '$adminRole', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countByRole = new Map(counts.map((row) => [String(row._id || null), row.count]));
+
+  return sendSuccess(res, {
+    roles: roles.map((role) => ({ ...role, adminCount: countByRole.get(String(role._id)) || 0 })),
+    fullAccessAdmins: countByRole.get('null') || 0,
+  }, 'Roles retrieved successfully');
+});
+
+// @desc    Create an admin role
+// @route   POST /api/admin/roles
+// @access  Private/Admin (roles:manage)
+exports.createRole = asyncHandler(async (req, res) => {
+  if (!req.body.name) {
+    return sendValidationError(res, 'Role name is required');
+  }
+
+  const role = new Role({ createdBy: req.user._id });
+  const error = applyRoleFields(role, req.body, req.permissions);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  await role.save();
+
+  return sendSuccess(res, role, 'Role created successfully', 201);
+});
+
+// @desc    Update an admin role
+// @route   PUT /api/admin/roles/:id
+// @access  Private/Admin (roles:manage)
+exports.updateRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+  if (!role) {
+    return sendNotFound(res, 'Role not found');
+  }
+
+  // Otherwise an admin could widen their own access
+  if (req.user.adminRole && role._id.equals(req.user.adminRole)) {
+    return sendValidationError(res, 'You cannot edit the role assigned to you');
+  }
+
+  const error = applyRoleFields(role, req.body, req.permissions);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  role.updatedBy = req.user._id;
+  await role.save();
+
+  return sendSuccess(res, role, 'Role updated successfully');
+});
+
+// @desc    Delete an admin role (only when no admin holds it)
+// @route   DELETE /api/admin/roles/:id
+// @access  Private/Admin (roles:manage)
+exports.deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+  if (!role) {
+    return sendNotFound(res, 'Role not found');
+  }
+
+  const holders = await User.countDocuments({ adminRole: role._id });
+  if (holders > 0) {
+    return sendError(res, `${holders} admin(s) still have this role. Assign them another role first.`, 409);
+  }
+
+  await role.deleteOne();
+
+  return sendSuccess(res, null, 'Role deleted successfully');
+});
+
+// @desc    Assign an admin role to an admin (null restores full access)
+// @route   PUT /api/admin/users/:id/admin-role
+// @access  Private/Admin (roles:manage, full access only)
+exports.assignAdminRole = asyncHandler(async (req, res) => {
+  const { roleId = null } = req.body;
+
+  // Changing what an admin can do (including taking away full access) is for full-access admins
+  if (!(await canManageAdmins(req))) {
+    return sendForbidden(res, 'Only full-access admins can assign admin roles');
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return sendNotFound(res, 'User not found');
+  }
+
+  if (user.role !== 'admin') {
+    return sendValidationError(res, 'Admin roles can only be assigned to admins');
+  }
+
+  if (user._id.equals(req.user._id)) {
+    return sendValidationError(res, 'You cannot change your own admin role');
+  }
+
+  let role = null;
+  if (roleId) {
+    role = await Role.findById(roleId);
+    if (!role) {
+      return sendNotFound(res, 'Role not found');
+    }
+  }
+
+  user.adminRole = role ? role._id : null;
+  await user.save();
+
+  console.log(`[Roles] ${req.user.email} set admin role of ${user.email} to ${role ? role.name : 'full access'}`);
+
+  return sendSuccess(res, {
+    id: user._id,
+    name: user.name,
+    adminRole: role ? { id: role._id, name: role.name, permissions: role.permissions } : null,
+  }, 'Admin role updated successfully');
+});
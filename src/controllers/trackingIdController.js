@@ -0,0 +1,97 @@
+const TrackingId = require('../models/TrackingId');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendValidationError, sendNotFound } = require('../utils/responseHandler');
+const { addTrackingIds, assignTrackingId, releaseTrackingId } = require('../services/trackingIdService');
+
+// @desc    Get the tracking ID pool
+// @route   GET /api/admin/tracking-ids
+// @access  Private/Admin
+exports.getTrackingIds = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, agentId } = req.query;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+  if (agentId) {
+    query.agent = agentId;
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const [total, trackingIds, available] = await Promise.all([
+    TrackingId.countDocuments(query),
+    TrackingId.find(query)
+      .populate('agent', 'name email referralCode')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    TrackingId.countDocuments({ status: 'available' }),
+  ]);
+
+  return sendSuccess(res, {
+    trackingIds,
+    available,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }, 'Tracking IDs retrieved successfully');
+});
+
+// @desc    Add tracking IDs to the pool
+// @route   POST /api/admin/tracking-ids
+// @access  Private/Admin
+exports.createTrackingIds = asyncHandler(async (req, res) => {
+  const { tags } = req.body;
+
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return sendValidationError(res, 'tags must be a non-empty array of tracking IDs');
+  }
+
+  const result = await addTrackingIds(tags, req.user._id);
+
+  return sendSuccess(res, result, `${result.added.length} tracking ID(s) added`, 201);
+});
+
+// @desc    Assign a tracking ID to an agent
+// @route   PUT /api/admin/tracking-ids/:id/assign
+// @access  Private/Admin
+exports.assignTrackingIdToAgent = asyncHandler(async (req, res) => {
+  const { agentId } = req.body;
+
+  if (!agentId) {
+    return sendValidationError(res, 'agentId is required');
+  }
+
+  const agent = await User.findById(agentId).select('role');
+  if (!agent) {
+    return sendNotFound(res, 'Agent not found');
+  }
+  if (agent.role !== 'agent' && agent.role !== 'admin') {
+    return sendValidationError(res, 'Tracking IDs can only be assigned to agents');
+  }
+
+  const trackingId = await assignTrackingId(req.params.id, agent._id);
+
+  return sendSuccess(res, trackingId, 'Tracking ID assigned successfully');
+});
+
+// @desc    Release a tracking ID (retire it, or delete it if it was never used)
+// @route   PUT /api/admin/tracking-ids/:id/release
+// @access  Private/Admin
+exports.releaseTrackingIdFromAgent = asyncHandler(async (req, res) => {
+  const trackingId = await releaseTrackingId(req.params.id);
+
+  return sendSuccess(
+    res,
+    trackingId,
+    trackingId ? 'Tracking ID retired successfully' : 'Unused tracking ID removed from the pool'
+  );
+});
@@ -1,11 +1,21 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
 const {
   sendSuccess,
   sendError,
   sendValidationError,
+  sendUnauthorized,
+  sendForbidden,
   sendNotFound,
 } = require('../utils/responseHandler');
+const { canManageAdmins } = require('../services/permissionService');
+const { createSession, revokeAllTokens, getSessionContext } = require('../services/authTokenService');
+const {
+  wouldCreateReferralCycle,
+  getDeletionBlocker,
+  deleteUserAccount,
+} = require('../services/userAccountService');
 const {
   isValidEmail,
   validateAndFormatMobile,
@@ -13,13 +23,223 @@ const {
   validateRequiredFields,
 } = require('../utils/validationUtils');
 
-// Get all users
+// Self-service profiles may only change name, email and mobile; admins may also change role and referredBy
+const SELF_ONLY_PROTECTED_HINTS = {
+  role: 'apply through /api/agent-applications',
+  referredBy: 'only admins can change referrers',
+};
+// Fields neither endpoint changes, and where to change them instead
+const PROTECTED_FIELD_HINTS = {
+  balance: 'balance only changes through ledger transactions',
+  totalEarnings: 'totalEarnings only changes through ledger transactions',
+  password: 'use PUT /api/users/me/password or the password reset flow',
+  isDeactivated: 'use PUT /api/admin/users/:id/status',
+  referralCode: 'referral codes are generated automatically',
+  tier: 'tiers are recalculated monthly',
+};
+
+/**
+ * Reject attempts to change protected fields
+ * Protected fields sent back unchanged (clients often echo the whole user) are fine;
+ * other unknown fields are ignored by the handlers.
+ * @param {Object} body - Request body
+ * @param {Object} user - User being updated
+ * @param {Object} extraHints - More protected fields for this endpoint ({ field: hint })
+ * @returns {string|null} Error message, or null if nothing protected changes
+ */
+const findForbiddenChanges = (body, user, extraHints = {}) => {
+  const hints = { ...PROTECTED_FIELD_HINTS, ...extraHints };
+  const forbidden = Object.keys(hints).filter((field) => (
+    body[field] !== undefined && String(body[field] ?? '') !== String(user[field] ?? '')
+  ));
+  if (forbidden.length === 0) return null;
+
+  return `These fields cannot be updated here: ${forbidden.map((field) => `${field} (${hints[field]})`).join(', ')}`;
+};
+
+/**
+ * Validate and normalize email/mobile changes, checking they aren't taken by someone else
+ * @param {Object} res - Express response (errors are sent on it)
+ * @param {Object} changes - { email, mobile } from the request
+ * @param {string} userId - User being updated
+ * @returns {Object|null} Normalized { email?, mobile? }, or null if an error was sent
+ */
+const normalizeContactChanges = async (res, { email, mobile }, userId) => {
+  const normalized = {};
+
+  // If mobile is being updated, format it with +91
+  if (mobile) {
+    const mobileValidation = validateAndFormatMobile(mobile);
+    if (!mobileValidation.valid) {
+      sendValidationError(res, 'Mobile number must be 10 digits');
+      return null;
+    }
+    normalized.mobile = mobileValidation.cleaned;
+
+    // Check if mobile already exists for another user
+    const existingUserByMobile = await User.findOne({
+      mobile: normalized.mobile,
+      _id: { $ne: userId },
+    });
+    if (existingUserByMobile) {
+      sendError(res, 'User with this mobile number already exists', 409);
+      return null;
+    }
+  }
+
+  // If email is being updated, validate and check for duplicates
+  if (email) {
+    if (!isValidEmail(email)) {
+      sendValidationError(res, 'Please provide a valid email address');
+      return null;
+    }
+    const existingUserByEmail = await User.findOne({
+      email: email.toLowerCase(),
+      _id: { $ne: userId },
+    });
+    if (existingUserByEmail) {
+      sendError(res, 'User with this email already exists', 409);
+      return null;
+    }
+    normalized.email = email.toLowerCase().trim();
+  }
+
+  return normalized;
+};
+
+const toProfile = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  mobile: user.mobile,
+  role: user.role,
+  referralCode: user.referralCode,
+  referredBy: user.referredBy,
+  balance: user.balance,
+  totalEarnings: user.totalEarnings,
+  tier: user.tier,
+  createdAt: user.createdAt,
+});
+
+// @desc    Get my profile
+// @route   GET /api/users/me
+// @access  Private
+exports.getMyProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  return sendSuccess(res, toProfile(user), 'Profile retrieved successfully');
+});
+
+// @desc    Update my profile (name, email, mobile)
+// @route   PUT /api/users/me
+// @access  Private
+exports.updateMyProfile = asyncHandler(async (req, res) => {
+  const { currentPassword, ...changes } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  const forbidden = findForbiddenChanges(changes, user, SELF_ONLY_PROTECTED_HINTS);
+  if (forbidden) {
+    return sendValidationError(res, forbidden);
+  }
+
+  // Changing the login email needs the password, so a hijacked session can't take over the account
+  if (changes.email && changes.email.toLowerCase().trim() !== user.email) {
+    if (!currentPassword || !(await user.matchPassword(currentPassword))) {
+      return sendUnauthorized(res, 'Current password is required to change your email');
+    }
+  }
+
+  const normalized = await normalizeContactChanges(res, changes, user._id);
+  if (!normalized) return undefined;
+
+  if (changes.name !== undefined) {
+    if (!String(changes.name).trim()) {
+      return sendValidationError(res, 'Name cannot be empty');
+    }
+    user.name = String(changes.name).trim();
+  }
+  if (normalized.email) user.email = normalized.email;
+  if (normalized.mobile) user.mobile = normalized.mobile;
+  await user.save();
+
+  return sendSuccess(res, toProfile(user), 'Profile updated successfully');
+});
+
+// @desc    Change my password (signs out other devices)
+// @route   PUT /api/users/me/password
+// @access  Private
+exports.changeMyPassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return sendValidationError(res, 'Please provide currentPassword and newPassword');
+  }
+
+  if (!isValidPassword(newPassword, 6)) {
+    return sendValidationError(res, 'Password must be at least 6 characters long');
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!(await user.matchPassword(currentPassword))) {
+    return sendUnauthorized(res, 'Current password is incorrect');
+  }
+
+  user.password = newPassword;
+  await revokeAllTokens(user, 'revoked');
+  await user.save();
+
+  // Keep this device signed in with fresh tokens
+  const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, getSessionContext(req));
+
+  return res.status(200).json({
+    success: true,
+    message: 'Password changed successfully',
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+  });
+});
+
+// @desc    Delete my account
+// @route   DELETE /api/users/me
+// @access  Private
+exports.deleteMyAccount = asyncHandler(async (req, res) => {
+  const { password } = req.body || {};
+
+  if (!password) {
+    return sendValidationError(res, 'Please confirm with your password');
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!(await user.matchPassword(password))) {
+    return sendUnauthorized(res, 'Password is incorrect');
+  }
+
+  if (user.role === 'admin') {
+    return sendValidationError(res, 'Admin accounts cannot be deleted by their owner');
+  }
+
+  const blocker = await getDeletionBlocker(user);
+  if (blocker) {
+    return sendValidationError(res, blocker);
+  }
+
+  await deleteUserAccount(user);
+
+  return sendSuccess(res, null, 'Account deleted successfully');
+});
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private/Admin
 exports.getAllUsers = asyncHandler(async (req, res) => {
   const users = await User.find().select('-password');
   return sendSuccess(res, users, 'Users retrieved successfully');
 });
 
-// Get single user
+// @desc    Get single user
+// @route   GET /api/users/:id
+// @access  Private/Admin
 exports.getUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id).select('-password');
   if (!user) {
@@ -28,10 +248,20 @@ exports.getUser = asyncHandler(async (req, res) => {
   return sendSuccess(res, user, 'User retrieved successfully');
 });
 
-// Create user
+// @desc    Create user (any role)
+// @route   POST /api/users
+// @access  Private/Admin
 exports.createUser = asyncHandler(async (req, res) => {
   const { name, email, password, mobile, role, referralCode } = req.body;
 
+  if (role && !User.schema.path('role').enumValues.includes(role)) {
+    return sendValidationError(res, `Invalid role '${role}'`);
+  }
+
+  if (role === 'admin' && !(await canManageAdmins(req))) {
+    return sendForbidden(res, 'Only full-access admins can create admins');
+  }
+
   // Validate required fields
   const requiredValidation = validateRequiredFields(
     { name, email, password, mobile },
@@ -110,64 +340,104 @@ exports.createUser = asyncHandler(async (req, res) => {
   );
 });
 
-// Update user
+// @desc    Update user (name, email, mobile, role, referredBy)
+// @route   PUT /api/users/:id
+// @access  Private/Admin
 exports.updateUser = asyncHandler(async (req, res) => {
-  const { mobile, email } = req.body;
-  const updateData = { ...req.body };
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return sendNotFound(res, 'User not found');
+  }
 
-  // If mobile is being updated, format it with +91
-  if (mobile) {
-    const mobileValidation = validateAndFormatMobile(mobile);
-    if (!mobileValidation.valid) {
-      return sendValidationError(res, 'Mobile number must be 10 digits');
-    }
-    updateData.mobile = mobileValidation.cleaned;
+  const forbidden = findForbiddenChanges(req.body, user);
+  if (forbidden) {
+    return sendValidationError(res, forbidden);
+  }
 
-    // Check if mobile already exists for another user
-    const existingUserByMobile = await User.findOne({
-      mobile: updateData.mobile,
-      _id: { $ne: req.params.id },
-    });
-    if (existingUserByMobile) {
-      return sendError(res, 'User with this mobile number already exists', 409);
-    }
+  const touchesAdmin = user.role === 'admin' || req.body.role === 'admin';
+  if (touchesAdmin && !user._id.equals(req.user._id) && !(await canManageAdmins(req))) {
+    return sendForbidden(res, 'Only full-access admins can edit admin accounts');
   }
 
-  // If email is being updated, validate and check for duplicates
-  if (email) {
-    if (!isValidEmail(email)) {
-      return sendValidationError(res, 'Please provide a valid email address');
+  const { name, role, referredBy } = req.body;
+
+  const normalized = await normalizeContactChanges(res, req.body, user._id);
+  if (!normalized) return undefined;
+
+  if (role !== undefined && role !== user.role) {
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return sendValidationError(res, `Invalid role '${role}'`);
     }
-    const existingUserByEmail = await User.findOne({
-      email: email.toLowerCase(),
-      _id: { $ne: req.params.id },
-    });
-    if (existingUserByEmail) {
-      return sendError(res, 'User with this email already exists', 409);
+    // Stops an admin from removing their own access by accident
+    if (user._id.equals(req.user._id)) {
+      return sendValidationError(res, 'You cannot change your own role');
+    }
+    if (user.role !== 'user' && role === 'user' && (user.balance || 0) !== 0) {
+      return sendValidationError(res, 'Settle the agent\'s balance before changing them to a user');
     }
-    updateData.email = email.toLowerCase().trim();
+    console.log(`[Users] ${req.user.email} changed role of ${user.email}: ${user.role} -> ${role}`);
+    user.role = role;
   }
 
-  const user = await User.findByIdAndUpdate(req.params.id, updateData, {
-    new: true,
-    runValidators: true,
-  }).select('-password');
+  if (referredBy !== undefined) {
+    if (referredBy === null || referredBy === '') {
+      user.referredBy = null;
+    } else {
+      if (!mongoose.isValidObjectId(referredBy)) {
+        return sendValidationError(res, 'referredBy must be a user ID');
+      }
+      const referrer = await User.findOne({ _id: referredBy, role: { $in: ['agent', 'admin'] } }).select('_id');
+      if (!referrer) {
+        return sendValidationError(res, 'referredBy must be an agent or admin');
+      }
+      if (await wouldCreateReferralCycle(user._id, referrer._id)) {
+        return sendValidationError(res, 'This referrer would create a referral loop');
+      }
+      console.log(`[Users] ${req.user.email} changed referrer of ${user.email} to ${referrer._id}`);
+      user.referredBy = referrer._id;
+    }
+  }
 
-  if (!user) {
-    return sendNotFound(res, 'User not found');
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      return sendValidationError(res, 'Name cannot be empty');
+    }
+    user.name = String(name).trim();
   }
+  if (normalized.email) user.email = normalized.email;
+  if (normalized.mobile) user.mobile = normalized.mobile;
+
+  // save() (not findByIdAndUpdate) so agents promoted here get a referral code
+  await user.save();
 
-  return sendSuccess(res, user, 'User updated successfully');
+  const updated = await User.findById(user._id).select('-password');
+  return sendSuccess(res, updated, 'User updated successfully');
 });
 
-// Delete user
+// @desc    Delete user
+// @route   DELETE /api/users/:id
+// @access  Private/Admin
 exports.deleteUser = asyncHandler(async (req, res) => {
-  const user = await User.findByIdAndDelete(req.params.id);
+  const user = await User.findById(req.params.id);
 
   if (!user) {
     return sendNotFound(res, 'User not found');
   }
 
+  if (user._id.equals(req.user._id)) {
+    return sendValidationError(res, 'You cannot delete your own account');
+  }
+
+  if (user.role === 'admin' && !(await canManageAdmins(req))) {
+    return sendForbidden(res, 'Only full-access admins can delete admin accounts');
+  }
+
+  const blocker = await getDeletionBlocker(user);
+  if (blocker) {
+    return sendValidationError(res, blocker);
+  }
+
+  await deleteUserAccount(user);
+
   return sendSuccess(res, null, 'User deleted successfully');
 });
-
@@ -0,0 +1,163 @@
+const WatchlistItem = require('../models/WatchlistItem');
+const Product = require('../models/Product');
+const amazonApiService = require('../services/amazonApiService');
+const asyncHandler = require('../utils/asyncHandler');
+const { extractItemPrice } = require('../utils/amazonItemMapper');
+const {
+  sendSuccess,
+  sendValidationError,
+  sendNotFound,
+} = require('../utils/responseHandler');
+
+// Per-user cap so the background checker stays within the PA-API quota
+const MAX_WATCHLIST_ITEMS = 50;
+
+/**
+ * Parse an optional target price from the request body
+ * @param {*} value - Raw value (number, numeric string, null or undefined)
+ * @returns {Object} { valid: boolean, value: number|null }
+ */
+const parseTargetPrice = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { valid: true, value: null };
+  }
+  const amount = Number(value);
+  if (Number.isNaN(amount) || amount <= 0) {
+    return { valid: false, value: null };
+  }
+  return { valid: true, value: amount };
+};
+
+/**
+ * Look up title, image and current price for an ASIN
+ * Uses the local product cache first and falls back to Amazon.
+ * @param {string} asin - Upper-cased ASIN
+ * @returns {Object} { title, imageUrl, productUrl, price: { amount, currency } | null }
+ */
+const getProductSnapshot = async (asin) => {
+  const product = await Product.findOne({ asin }).lean();
+  if (product && product.price?.amount > 0) {
+    return {
+      title: product.title,
+      imageUrl: product.imageUrl,
+      productUrl: product.productUrl,
+      price: { amount: product.price.amount, currency: product.price.currency || 'INR' },
+    };
+  }
+
+  // Throws an AmazonApiError (e.g. 404) if the ASIN does not exist
+  const result = await amazonApiService.getItems(asin);
+  const item = result.data?.ItemsResult?.Items?.[0];
+
+  return {
+    title: item?.ItemInfo?.Title?.DisplayValue || product?.title || '',
+    imageUrl: item?.Images?.Primary?.Large?.URL || item?.Images?.Primary?.Medium?.URL || product?.imageUrl || '',
+    productUrl: item?.DetailPageURL || product?.productUrl || `https://www.amazon.in/dp/${asin}`,
+    price: extractItemPrice(item),
+  };
+};
+
+// @desc    Get current user's watchlist
+// @route   GET /api/watchlist
+// @access  Private
+exports.getWatchlist = asyncHandler(async (req, res) => {
+  const items = await WatchlistItem.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return sendSuccess(res, items, 'Watchlist retrieved successfully');
+});
+
+// @desc    Add a product to the watchlist (or update its target price)
+// @route   POST /api/watchlist
+// @access  Private
+exports.addToWatchlist = asyncHandler(async (req, res) => {
+  const { asin, targetPrice } = req.body;
+
+  if (!asin || !/^[A-Z0-9]{10}$/i.test(asin)) {
+    return sendValidationError(res, 'A valid 10 character ASIN is required');
+  }
+
+  const target = parseTargetPrice(targetPrice);
+  if (!target.valid) {
+    return sendValidationError(res, 'Target price must be a positive number');
+  }
+
+  const cleanAsin = asin.trim().toUpperCase();
+  const existing = await WatchlistItem.findOne({ user: req.user._id, asin: cleanAsin });
+
+  if (!existing) {
+    const count = await WatchlistItem.countDocuments({ user: req.user._id, isActive: true });
+    if (count >= MAX_WATCHLIST_ITEMS) {
+      return sendValidationError(res, `Watchlist is limited to ${MAX_WATCHLIST_ITEMS} products`);
+    }
+  }
+
+  const snapshot = await getProductSnapshot(cleanAsin);
+
+  const item = await WatchlistItem.findOneAndUpdate(
+    { user: req.user._id, asin: cleanAsin },
+    {
+      $set: {
+        title: snapshot.title,
+        imageUrl: snapshot.imageUrl,
+        productUrl: snapshot.productUrl,
+        targetPrice: target.value,
+        currency: snapshot.price?.currency || 'INR',
+        priceWhenAdded: snapshot.price?.amount || null,
+        lastPrice: snapshot.price?.amount || null,
+        notifiedPrice: null,
+        isActive: true,
+      },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  return sendSuccess(
+    res,
+    item,
+    existing ? 'Watchlist item updated successfully' : 'Product added to watchlist',
+    existing ? 200 : 201
+  );
+});
+
+// @desc    Update target price or pause/resume alerts for a watchlist item
+// @route   PUT /api/watchlist/:id
+// @access  Private
+exports.updateWatchlistItem = asyncHandler(async (req, res) => {
+  const { targetPrice, isActive } = req.body;
+
+  const item = await WatchlistItem.findOne({ _id: req.params.id, user: req.user._id });
+  if (!item) {
+    return sendNotFound(res, 'Watchlist item not found');
+  }
+
+  if (targetPrice !== undefined) {
+    const target = parseTargetPrice(targetPrice);
+    if (!target.valid) {
+      return sendValidationError(res, 'Target price must be a positive number');
+    }
+    item.targetPrice = target.value;
+    item.notifiedPrice = null;
+  }
+
+  if (isActive !== undefined) {
+    item.isActive = Boolean(isActive);
+  }
+
+  await item.save();
+
+  return sendSuccess(res, item, 'Watchlist item updated successfully');
+});
+
+// @desc    Remove a product from the watchlist
+// @route   DELETE /api/watchlist/:id
+// @access  Private
+exports.removeFromWatchlist = asyncHandler(async (req, res) => {
+  const item = await WatchlistItem.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  if (!item) {
+    return sendNotFound(res, 'Watchlist item not found');
+  }
+
+  return sendSuccess(res, null, 'Product removed from watchlist');
+});
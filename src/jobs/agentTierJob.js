@@ -0,0 +1,63 @@
+const { recalculateAgentTiers, hasScheduledRun, getPreviousMonth } = require('../services/agentTierService');
+const { readInt } = require('../utils/env');
+
+// Delay the first check so it doesn't compete with server startup
+const INITIAL_DELAY_MS = 2 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Check interval from environment
+ * AGENT_TIER_CHECK_INTERVAL_MINUTES - Minutes between checks for a month that still needs
+ * its tier recalculation (default 60, 0 disables the job)
+ * @returns {number} Interval in milliseconds, 0 when disabled
+ */
+const getIntervalMs = () => readInt('AGENT_TIER_CHECK_INTERVAL_MINUTES', 60) * 60 * 1000;
+
+// Runs once per month: recalculates from the previous month unless that is already done
+const runScheduledRecalculation = async () => {
+  const month = getPreviousMonth();
+  try {
+    if (await hasScheduledRun(month)) return;
+
+    const run = await recalculateAgentTiers({ month, trigger: 'schedule' });
+    if (!run) {
+      console.log('[Agent Tiers] Skipping scheduled recalculation, another one is still running');
+    }
+  } catch (error) {
+    console.error('[Agent Tiers] Scheduled recalculation failed:', error.message);
+  }
+};
+
+/**
+ * Start the monthly agent tier recalculation
+ */
+const startAgentTierJob = () => {
+  const intervalMs = getIntervalMs();
+  if (intervalMs === 0) {
+    console.log('[Agent Tiers] Monthly recalculation disabled (AGENT_TIER_CHECK_INTERVAL_MINUTES=0)');
+    return;
+  }
+  if (timer) return;
+
+  setTimeout(runScheduledRecalculation, INITIAL_DELAY_MS).unref();
+  timer = setInterval(runScheduledRecalculation, intervalMs);
+  timer.unref();
+
+  console.log(`[Agent Tiers] Monthly recalculation checked every ${intervalMs / 60000} minute(s)`);
+};
+
+/**
+ * Stop the monthly agent tier recalculation
+ */
+const stopAgentTierJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startAgentTierJob,
+  stopAgentTierJob,
+};
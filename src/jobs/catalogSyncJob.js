@@ -0,0 +1,58 @@
+const { startCatalogSync } = require('../services/catalogSyncService');
+const { readInt } = require('../utils/env');
+
+// Delay the first run so it doesn't compete with server startup
+const INITIAL_DELAY_MS = 60 * 1000;
+
+let timer = null;
+
+/**
+ * Sync interval from environment
+ * CATALOG_SYNC_INTERVAL_MINUTES - Minutes between runs (default 360, 0 disables the job)
+ * @returns {number} Interval in milliseconds, 0 when disabled
+ */
+const getIntervalMs = () => readInt('CATALOG_SYNC_INTERVAL_MINUTES', 360) * 60 * 1000;
+
+const runScheduledSync = async () => {
+  try {
+    const { started, run } = await startCatalogSync({ trigger: 'schedule' });
+    if (!started) {
+      console.log(`[Catalog Sync] Skipping scheduled run, run ${run._id} is still in progress`);
+    }
+  } catch (error) {
+    console.error('[Catalog Sync] Could not start scheduled run:', error.message);
+  }
+};
+
+/**
+ * Start the periodic catalog sync
+ */
+const startCatalogSyncJob = () => {
+  const intervalMs = getIntervalMs();
+  if (intervalMs === 0) {
+    console.log('[Catalog Sync] Scheduled sync disabled (CATALOG_SYNC_INTERVAL_MINUTES=0)');
+    return;
+  }
+  if (timer) return;
+
+  setTimeout(runScheduledSync, INITIAL_DELAY_MS).unref();
+  timer = setInterval(runScheduledSync, intervalMs);
+  timer.unref();
+
+  console.log(`[Catalog Sync] Scheduled every ${intervalMs / 60000} minute(s)`);
+};
+
+/**
+ * Stop the periodic catalog sync
+ */
+const stopCatalogSyncJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startCatalogSyncJob,
+  stopCatalogSyncJob,
+};
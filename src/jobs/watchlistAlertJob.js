@@ -0,0 +1,54 @@
+const { checkWatchlistPrices } = require('../services/watchlistAlertService');
+const { readInt } = require('../utils/env');
+
+let timer = null;
+
+/**
+ * Check interval from environment
+ * WATCHLIST_CHECK_INTERVAL_MINUTES - Minutes between price checks (default 60, 0 disables the job)
+ * @returns {number} Interval in milliseconds, 0 when disabled
+ */
+const getIntervalMs = () => readInt('WATCHLIST_CHECK_INTERVAL_MINUTES', 60) * 60 * 1000;
+
+const runScheduledCheck = async () => {
+  try {
+    const summary = await checkWatchlistPrices();
+    if (!summary) {
+      console.log('[Watchlist] Skipping scheduled check, previous check still running');
+    }
+  } catch (error) {
+    console.error('[Watchlist] Scheduled price check failed:', error.message);
+  }
+};
+
+/**
+ * Start the periodic watchlist price check
+ */
+const startWatchlistAlertJob = () => {
+  const intervalMs = getIntervalMs();
+  if (intervalMs === 0) {
+    console.log('[Watchlist] Price alerts disabled (WATCHLIST_CHECK_INTERVAL_MINUTES=0)');
+    return;
+  }
+  if (timer) return;
+
+  timer = setInterval(runScheduledCheck, intervalMs);
+  timer.unref();
+
+  console.log(`[Watchlist] Price check scheduled every ${intervalMs / 60000} minute(s)`);
+};
+
+/**
+ * Stop the periodic watchlist price check
+ */
+const stopWatchlistAlertJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startWatchlistAlertJob,
+  stopWatchlistAlertJob,
+};
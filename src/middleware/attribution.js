@@ -0,0 +1,18 @@
+const { resolveAttribution } = require('../services/attributionService');
+const { getDefaultTrackingTag } = require('../services/trackingIdService');
+
+// Resolve the agent a visitor is attributed to and the tracking tag their links should carry
+// Reads the share-link referral code from ?ref=CODE. Run after optionalProtect/protect.
+exports.resolveAttribution = async (req, res, next) => {
+  try {
+    req.attribution = await resolveAttribution({
+      user: req.user,
+      referralCode: req.query.ref,
+    });
+  } catch (error) {
+    // Attribution must never break browsing: fall back to the default tag
+    console.error('Attribution Middleware Error:', error.message);
+    req.attribution = { agentId: null, trackingTag: getDefaultTrackingTag() };
+  }
+  next();
+};
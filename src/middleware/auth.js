@@ -1,6 +1,20 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { sendUnauthorized, sendForbidden } = require('../utils/responseHandler');
+const { getUserPermissions } = require('../services/permissionService');
+const { sendUnauthorized, sendForbidden, sendError } = require('../utils/responseHandler');
+
+// Tokens issued before the user's last tokenVersion bump (password reset, deactivation, logout-all) are revoked.
+// Tokens from before token versions existed carry no `tv` and count as version 0 until they expire.
+const isTokenCurrent = (decoded, user) => (decoded.tv || 0) === (user.tokenVersion || 0);
+
+// Deactivated accounts get a distinct 403 so clients can show why instead of retrying a refresh
+const sendDeactivated = (res) => sendError(
+  res,
+  'Your account has been deactivated. Please contact support.',
+  403,
+  { code: 'ACCOUNT_DEACTIVATED' }
+);
+exports.sendDeactivated = sendDeactivated;
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -28,6 +42,17 @@ exports.protect = async (req, res, next) => {
       return sendUnauthorized(res, 'User not found');
     }
 
+    // Checked before the token version so clients can tell the user why they were signed out
+    if (req.user.isDeactivated) {
+      req.user = undefined;
+      return sendDeactivated(res);
+    }
+
+    if (!isTokenCurrent(decoded, req.user)) {
+      req.user = undefined;
+      return sendUnauthorized(res, 'Token has been revoked');
+    }
+
     console.log('Auth Middleware Success: User:', req.user.email, 'Role:', req.user.role);
 
     next();
@@ -50,6 +75,25 @@ exports.authorize = (...roles) => {
   };
 };
 
+// Grant access to users holding every listed permission (see config/permissions.js)
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    const missing = permissions.filter((permission) => !req.permissions.has(permission));
+    if (missing.length > 0) {
+      return sendForbidden(res, `Missing permission: ${missing.join(', ')}`);
+    }
+    next();
+  };
+};
+
 // Optional protection - verify token if present, but don't error if not
 exports.optionalProtect = async (req, res, next) => {
   let token;
@@ -64,7 +108,11 @@ exports.optionalProtect = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select('-password');
+    const user = await User.findById(decoded.id).select('-password');
+    // A revoked token, or a deactivated account, is treated like no token
+    if (user && isTokenCurrent(decoded, user) && !user.isDeactivated) {
+      req.user = user;
+    }
     next();
   } catch (error) {
     // If token is invalid or expired, just proceed as guest
@@ -0,0 +1,49 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { sendTooManyRequests } = require('../utils/responseHandler');
+
+/**
+ * Fixed-window rate limiter backed by MongoDB, so limits hold across server instances
+ * Requests without a key (keyGenerator returns nothing) are not limited.
+ * If the counter can't be updated the request is let through rather than failing.
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, part of the counter key
+ * @param {Function} options.max - () => requests allowed per window (0 disables the limiter)
+ * @param {number} options.windowMinutes - Window length in minutes
+ * @param {Function} options.keyGenerator - (req) => client key (e.g. IP or email)
+ * @param {string} options.message - Error message once the limit is hit
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, max, windowMinutes, keyGenerator, message = 'Too many requests, please try again later' }) => (
+  async (req, res, next) => {
+    const limit = max();
+    const clientKey = keyGenerator(req);
+    if (!limit || !clientKey) {
+      return next();
+    }
+
+    const windowMs = windowMinutes * 60 * 1000;
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const windowEnd = windowStart + windowMs;
+
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key: `${name}:${clientKey}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowEnd) } },
+        { upsert: true, new: true }
+      ).lean();
+
+      if (counter.count > limit) {
+        console.warn(`[RateLimit] ${name} limit reached for ${clientKey}`);
+        return sendTooManyRequests(res, message, Math.ceil((windowEnd - Date.now()) / 1000));
+      }
+    } catch (error) {
+      console.error(`[RateLimit] ${name} counter failed:`, error.message);
+    }
+
+    return next();
+  }
+);
+
+module.exports = {
+  rateLimit,
+};
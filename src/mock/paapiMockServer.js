@@ -0,0 +1,414 @@
+/**
+ * Offline stand-in for the Amazon Product Advertising API 5.0
+ *
+ * Serves SearchItems, GetItems and GetBrowseNodes from local fixtures and
+ * verifies the SigV4 Authorization header exactly like the real endpoint would,
+ * so the whole backend can run end-to-end without Amazon credentials or quota.
+ *
+ * Enable inside the API server with AWS_API_MOCK=true, or run standalone:
+ *   node src/mock/paapiMockServer.js
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { readInt, readNumber } = require('../utils/env');
+
+const fixtureItems = require('./fixtures/paapiItems.json');
+const fixtureBrowseNodes = require('./fixtures/paapiBrowseNodes.json');
+
+const SERVICE = 'ProductAdvertisingAPI';
+const TARGET_PREFIX = 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.';
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Credentials used when running in mock mode without real ones configured
+const MOCK_DEFAULTS = {
+  AWS_ACCESS_KEY: 'MOCKACCESSKEY000000',
+  AWS_SECRET_KEY: 'mock-secret-key',
+  AWS_PARTNER_TAG: 'hascartmock-21',
+};
+
+/**
+ * Check whether the offline PA-API stand-in is enabled
+ * @returns {boolean} True when AWS_API_MOCK=true
+ */
+const isMockEnabled = () => process.env.AWS_API_MOCK === 'true';
+
+/**
+ * Port the mock listens on (AWS_API_MOCK_PORT, default 4010)
+ * @returns {number} Port
+ */
+const getMockPort = () => readInt('AWS_API_MOCK_PORT', 4010) || 4010;
+
+/**
+ * Base URL the AmazonAPIService should call in mock mode
+ * @returns {string} Base URL including the /paapi5 path
+ */
+const getMockBaseUrl = () => `http://localhost:${getMockPort()}/paapi5`;
+
+/**
+ * Fill in placeholder AWS credentials so signing works without real ones
+ */
+const applyMockDefaults = () => {
+  Object.entries(MOCK_DEFAULTS).forEach(([key, value]) => {
+    if (!process.env[key]) {
+      process.env[key] = value;
+    }
+  });
+};
+
+// PA-API style JSON error body
+const buildErrorBody = (exception, code, message) => ({
+  __type: `com.amazon.paapi5#${exception}`,
+  Errors: [{ Code: code, Message: message }],
+});
+
+const sendApiError = (res, status, exception, code, message) => {
+  res.status(status).json(buildErrorBody(exception, code, message));
+};
+
+// Injectable failures, in the shape Amazon returns them
+const ERROR_RESPONSES = {
+  TooManyRequests: (res) => sendApiError(
+    res, 429, 'TooManyRequestsException', 'TooManyRequests',
+    'The request was denied due to request throttling. Please verify the number of requests made per second to the Amazon Product Advertising API.'
+  ),
+  ServiceUnavailable: (res) => res
+    .status(503)
+    .type('html')
+    .send('<!DOCTYPE html><html><head><title>Service Unavailable</title></head><body><h1>503 Service Unavailable</h1></body></html>'),
+  InternalFailure: (res) => sendApiError(
+    res, 500, 'InternalFailureException', 'InternalFailure',
+    'The request processing has failed because of an unknown error, exception or failure.'
+  ),
+  InvalidSignature: (res) => sendApiError(
+    res, 401, 'InvalidSignatureException', 'InvalidSignature',
+    'The request has not been correctly signed.'
+  ),
+  AccessDenied: (res) => sendApiError(
+    res, 403, 'AccessDeniedException', 'AccessDenied',
+    'The Access Key Id or security token included in the request is invalid.'
+  ),
+  Timeout: () => {
+    // Never respond; the client times out
+  },
+};
+
+/**
+ * Parse a SigV4 Authorization header
+ * @param {string} header - Authorization header value
+ * @returns {Object|null} { accessKey, date, region, service, signedHeaders, signature }
+ */
+const parseAuthorization = (header) => {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/.exec(header || '');
+  if (!match) return null;
+
+  return {
+    accessKey: match[1],
+    date: match[2],
+    region: match[3],
+    service: match[4],
+    signedHeaders: match[5].split(';'),
+    signature: match[6],
+  };
+};
+
+/**
+ * Recompute the SigV4 signature for an incoming request
+ * @param {Object} req - Express request (with rawBody)
+ * @param {Object} auth - Parsed Authorization header
+ * @param {string} secretKey - Secret key to sign with
+ * @returns {string} Hex signature
+ */
+const computeSignature = (req, auth, secretKey) => {
+  const amzDate = req.get('x-amz-date');
+  const canonicalHeaders = auth.signedHeaders
+    .map((name) => `${name}:${String(req.get(name) || '').trim()}\n`)
+    .join('');
+  const payloadHash = crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  const canonicalRequest = [
+    req.method,
+    req.path,
+    '',
+    canonicalHeaders,
+    auth.signedHeaders.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const credentialScope = `${auth.date}/${auth.region}/${auth.service}/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    credentialScope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+
+  const kDate = crypto.createHmac('sha256', `AWS4${secretKey}`).update(auth.date).digest();
+  const kRegion = crypto.createHmac('sha256', kDate).update(auth.region).digest();
+  const kService = crypto.createHmac('sha256', kRegion).update(auth.service).digest();
+  const kSigning = crypto.createHmac('sha256', kService).update('aws4_request').digest();
+  return crypto.createHmac('sha256', kSigning).update(stringToSign).digest('hex');
+};
+
+/**
+ * Parse X-Amz-Date (YYYYMMDDTHHMMSSZ) into a timestamp
+ * @param {string} value - Header value
+ * @returns {number|null} Milliseconds since epoch
+ */
+const parseAmzDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, s);
+};
+
+// Strip mock-only fields and tag the detail page URL with the caller's partner tag
+const presentItem = (item, partnerTag) => {
+  const { SearchIndex, ...rest } = item;
+  return {
+    ...rest,
+    DetailPageURL: `${item.DetailPageURL}?tag=${encodeURIComponent(partnerTag)}&linkCode=ogi&th=1&psc=1`,
+  };
+};
+
+const itemText = (item) => [
+  item.ItemInfo?.Title?.DisplayValue,
+  item.ItemInfo?.ByLineInfo?.Brand?.DisplayValue,
+  item.ItemInfo?.Classifications?.ProductGroup?.DisplayValue,
+  ...(item.ItemInfo?.Features?.DisplayValues || []),
+].join(' ').toLowerCase();
+
+const handleSearchItems = (payload, res) => {
+  const keywords = String(payload.Keywords || '').toLowerCase().trim();
+  const searchIndex = payload.SearchIndex || 'All';
+  const itemCount = Math.min(Math.max(parseInt(payload.ItemCount, 10) || 10, 1), 10);
+  const itemPage = Math.min(Math.max(parseInt(payload.ItemPage, 10) || 1, 1), 10);
+
+  if (!keywords && !payload.Brand) {
+    return sendApiError(res, 400, 'ValidationException', 'InvalidParameterValue', 'Either Keywords or Brand must be provided in the request.');
+  }
+
+  const terms = keywords.split(/\s+/).filter((term) => term && term !== 'all');
+
+  const matches = fixtureItems.filter((item) => {
+    const text = itemText(item);
+    const amount = item.Offers?.Listings?.[0]?.Price?.Amount || 0;
+    // MinPrice/MaxPrice are expressed in the lowest currency denomination (paise)
+    if (searchIndex !== 'All' && item.SearchIndex !== searchIndex) return false;
+    if (payload.Brand && item.ItemInfo?.ByLineInfo?.Brand?.DisplayValue.toLowerCase() !== String(payload.Brand).toLowerCase()) return false;
+    if (payload.MinPrice && amount * 100 < payload.MinPrice) return false;
+    if (payload.MaxPrice && amount * 100 > payload.MaxPrice) return false;
+    return terms.every((term) => text.includes(term));
+  });
+
+  const pageItems = matches.slice((itemPage - 1) * itemCount, itemPage * itemCount);
+
+  if (pageItems.length === 0) {
+    return sendApiError(res, 404, 'ResourceNotFoundException', 'NoResults', 'No results found for your request.');
+  }
+
+  return res.json({
+    SearchResult: {
+      Items: pageItems.map((item) => presentItem(item, payload.PartnerTag)),
+      SearchURL: `https://www.amazon.in/s?k=${encodeURIComponent(keywords)}&i=${searchIndex}&tag=${payload.PartnerTag}`,
+      TotalResultCount: matches.length,
+    },
+  });
+};
+
+const handleGetItems = (payload, res) => {
+  const itemIds = Array.isArray(payload.ItemIds) ? payload.ItemIds : [];
+
+  if (itemIds.length === 0 || itemIds.length > 10) {
+    return sendApiError(res, 400, 'ValidationException', 'InvalidParameterValue', 'ItemIds must contain between 1 and 10 ASINs.');
+  }
+
+  const items = [];
+  const errors = [];
+
+  itemIds.forEach((asin) => {
+    const item = fixtureItems.find((fixture) => fixture.ASIN === String(asin).toUpperCase());
+    if (item) {
+      items.push(presentItem(item, payload.PartnerTag));
+    } else {
+      errors.push({
+        Code: 'InvalidParameterValue',
+        Message: `The ItemId ${asin} provided in the request is invalid.`,
+      });
+    }
+  });
+
+  if (items.length === 0) {
+    return res.status(404).json({ __type: 'com.amazon.paapi5#ResourceNotFoundException', Errors: errors });
+  }
+
+  const body = { ItemsResult: { Items: items } };
+  if (errors.length > 0) {
+    body.Errors = errors;
+  }
+  return res.json(body);
+};
+
+const handleGetBrowseNodes = (payload, res) => {
+  const ids = Array.isArray(payload.BrowseNodeIds) ? payload.BrowseNodeIds.map(String) : [];
+
+  if (ids.length === 0 || ids.length > 10) {
+    return sendApiError(res, 400, 'ValidationException', 'InvalidParameterValue', 'BrowseNodeIds must contain between 1 and 10 ids.');
+  }
+
+  const nodes = fixtureBrowseNodes.filter((node) => ids.includes(node.Id));
+
+  if (nodes.length === 0) {
+    return sendApiError(res, 404, 'ResourceNotFoundException', 'NoResults', 'No results found for your request.');
+  }
+
+  return res.json({ BrowseNodesResult: { BrowseNodes: nodes } });
+};
+
+const OPERATIONS = {
+  searchitems: { target: 'SearchItems', handler: handleSearchItems },
+  getitems: { target: 'GetItems', handler: handleGetItems },
+  getbrowsenodes: { target: 'GetBrowseNodes', handler: handleGetBrowseNodes },
+};
+
+/**
+ * Build the mock Express app
+ * @param {Object} options
+ * @param {string} options.accessKey - Expected access key (default: AWS_ACCESS_KEY)
+ * @param {string} options.secretKey - Secret key used to verify signatures (default: AWS_SECRET_KEY)
+ * @param {number} options.errorRate - Probability (0-1) of a random injected failure (default: AWS_API_MOCK_ERROR_RATE)
+ * @param {string} options.errorType - Failure injected at random (default: AWS_API_MOCK_ERROR, TooManyRequests)
+ * @returns {Object} Express app
+ */
+const createMockApp = (options = {}) => {
+  const accessKey = options.accessKey || process.env.AWS_ACCESS_KEY;
+  const secretKey = options.secretKey || process.env.AWS_SECRET_KEY;
+  const errorRate = options.errorRate !== undefined
+    ? options.errorRate
+    : readNumber('AWS_API_MOCK_ERROR_RATE', 0);
+  const errorType = options.errorType || process.env.AWS_API_MOCK_ERROR || 'TooManyRequests';
+
+  // Failures queued through POST /__mock/errors, served before any random ones
+  let queuedErrors = [];
+  let requestCount = 0;
+
+  const app = express();
+
+  // Control endpoints for tests and manual runs
+  app.get('/__mock/status', (req, res) => {
+    res.json({ requestCount, queuedErrors, errorRate, errorType, items: fixtureItems.length });
+  });
+
+  app.post('/__mock/errors', express.json(), (req, res) => {
+    const { type, count = 1 } = req.body || {};
+    if (!ERROR_RESPONSES[type]) {
+      return res.status(400).json({ message: `Unknown error type. Use one of: ${Object.keys(ERROR_RESPONSES).join(', ')}` });
+    }
+    queuedErrors = queuedErrors.concat(Array(Math.max(1, parseInt(count, 10) || 1)).fill(type));
+    return res.json({ queuedErrors });
+  });
+
+  app.delete('/__mock/errors', (req, res) => {
+    queuedErrors = [];
+    res.json({ queuedErrors });
+  });
+
+  // Read the raw body ourselves: PA-API sends Content-Encoding: amz-1.0,
+  // which body-parser would reject, and the exact bytes are needed for the signature
+  app.use((req, res, next) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      req.rawBody = Buffer.concat(chunks).toString('utf8');
+      next();
+    });
+  });
+
+  app.post('/paapi5/:operation', (req, res) => {
+    requestCount += 1;
+
+    const operation = OPERATIONS[req.params.operation.toLowerCase()];
+    if (!operation) {
+      return sendApiError(res, 404, 'UnrecognizedClientException', 'UnknownOperation', `Unknown operation: ${req.params.operation}`);
+    }
+
+    if (req.get('x-amz-target') !== `${TARGET_PREFIX}${operation.target}`) {
+      return sendApiError(res, 400, 'ValidationException', 'InvalidParameterValue', 'The X-Amz-Target header does not match the requested operation.');
+    }
+
+    // Signature verification
+    const auth = parseAuthorization(req.get('authorization'));
+    if (!auth) {
+      return sendApiError(res, 401, 'IncompleteSignatureException', 'IncompleteSignature', 'The request signature does not conform to AWS standards.');
+    }
+
+    if (auth.accessKey !== accessKey) {
+      return ERROR_RESPONSES.AccessDenied(res);
+    }
+
+    const requestTime = parseAmzDate(req.get('x-amz-date'));
+    if (!requestTime || Math.abs(Date.now() - requestTime) > MAX_CLOCK_SKEW_MS) {
+      return sendApiError(res, 401, 'InvalidSignatureException', 'InvalidSignature', 'Signature expired or X-Amz-Date is missing.');
+    }
+
+    if (auth.service !== SERVICE || !auth.signedHeaders.includes('host') || !auth.signedHeaders.includes('x-amz-date')) {
+      return ERROR_RESPONSES.InvalidSignature(res);
+    }
+
+    const expected = computeSignature(req, auth, secretKey);
+    if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(auth.signature))) {
+      return ERROR_RESPONSES.InvalidSignature(res);
+    }
+
+    // Injected failures
+    const injected = queuedErrors.shift() || (Math.random() < errorRate ? errorType : null);
+    if (injected && ERROR_RESPONSES[injected]) {
+      console.log(`[PA-API Mock] Injecting ${injected} for ${operation.target}`);
+      return ERROR_RESPONSES[injected](res);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(req.rawBody || '{}');
+    } catch (error) {
+      return sendApiError(res, 400, 'ValidationException', 'InvalidParameterValue', 'The request body is not valid JSON.');
+    }
+
+    if (!payload.PartnerTag || payload.PartnerType !== 'Associates' || !payload.Marketplace) {
+      return sendApiError(res, 400, 'ValidationException', 'InvalidParameterValue', 'PartnerTag, PartnerType and Marketplace are required.');
+    }
+
+    return operation.handler(payload, res);
+  });
+
+  app.use((req, res) => {
+    sendApiError(res, 404, 'UnrecognizedClientException', 'UnknownOperation', 'Route not found');
+  });
+
+  return app;
+};
+
+/**
+ * Start the mock server
+ * @param {number} port - Port to listen on (default: AWS_API_MOCK_PORT or 4010)
+ * @returns {Object} HTTP server
+ */
+const startMockServer = (port = getMockPort()) => {
+  const server = createMockApp().listen(port, () => {
+    console.log(`[PA-API Mock] Listening on http://localhost:${port}/paapi5`);
+  });
+  return server;
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  applyMockDefaults();
+  startMockServer();
+}
+
+module.exports = {
+  isMockEnabled,
+  getMockBaseUrl,
+  applyMockDefaults,
+  createMockApp,
+  startMockServer,
+};
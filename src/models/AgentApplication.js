@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const agentApplicationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+      default: 'pending',
+    },
+    // Applicant details for KYC review
+    fullName: {
+      type: String,
+      required: [true, 'Please provide your full legal name'],
+      trim: true,
+    },
+    mobile: {
+      type: String,
+      required: [true, 'Please provide a mobile number'],
+      trim: true,
+    },
+    dateOfBirth: {
+      type: Date,
+      required: [true, 'Please provide your date of birth'],
+    },
+    address: {
+      line1: { type: String, required: [true, 'Please provide an address'], trim: true },
+      line2: { type: String, trim: true },
+      city: { type: String, required: [true, 'Please provide a city'], trim: true },
+      state: { type: String, required: [true, 'Please provide a state'], trim: true },
+      postalCode: { type: String, required: [true, 'Please provide a postal code'], trim: true },
+      country: { type: String, trim: true, default: 'India' },
+    },
+    idType: {
+      type: String,
+      enum: ['pan', 'aadhaar', 'passport', 'driving_licence', 'voter_id'],
+      required: [true, 'Please provide an ID document type'],
+    },
+    idNumber: {
+      type: String,
+      required: [true, 'Please provide an ID document number'],
+      uppercase: true,
+      trim: true,
+      select: false, // Only returned to reviewers
+    },
+    // Where the applicant plans to promote products (website, social handles, ...)
+    promotionChannels: {
+      type: [String],
+      default: [],
+    },
+    about: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'About must be at most 1000 characters'],
+    },
+    // Agent who recruited the applicant (from their referral code), if any
+    recruitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+agentApplicationSchema.index({ user: 1, createdAt: -1 });
+agentApplicationSchema.index({ status: 1, createdAt: 1 });
+// At most one open application per user
+agentApplicationSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+module.exports = mongoose.model('AgentApplication', agentApplicationSchema);
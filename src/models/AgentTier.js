@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const agentTierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Tier name is required'],
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Higher rank = better tier; an agent gets the highest-ranked tier they qualify for
+    rank: {
+      type: Number,
+      required: [true, 'Tier rank is required'],
+      unique: true,
+    },
+    // Qualifying needs every threshold met over the previous calendar month (0 = not required)
+    minMonthlyEarnings: {
+      type: Number,
+      default: 0,
+      min: [0, 'Earnings threshold cannot be negative'],
+    },
+    minMonthlyClicks: {
+      type: Number,
+      default: 0,
+      min: [0, 'Click threshold cannot be negative'],
+    },
+    // Applied to the commission rate of clicks attributed to agents in this tier
+    multiplier: {
+      type: Number,
+      default: 1,
+      min: [0, 'Multiplier cannot be negative'],
+      max: [10, 'Multiplier cannot exceed 10'],
+    },
+    status: {
+      type: String,
+      enum: ['active', 'inactive'],
+      default: 'active',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+agentTierSchema.index({ status: 1, rank: -1 });
+
+module.exports = mongoose.model('AgentTier', agentTierSchema);
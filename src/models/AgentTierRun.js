@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const agentTierRunSchema = new mongoose.Schema(
+  {
+    // Calendar month the tiers were computed from, e.g. 2026-09
+    month: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}$/, 'Month must look like YYYY-MM'],
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Null for scheduled runs
+    },
+    evaluatedCount: {
+      type: Number,
+      default: 0,
+    },
+    changes: [
+      {
+        _id: false,
+        agent: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        from: String,
+        to: String,
+        earnings: Number,
+        clicks: Number,
+      },
+    ],
+    error: {
+      type: String,
+      trim: true,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+agentTierRunSchema.index({ month: 1, trigger: 1, status: 1 });
+agentTierRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AgentTierRun', agentTierRunSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const apiCacheSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    operation: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    storedAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // Fresh until this point, served stale afterwards
+    },
+    staleUntil: {
+      type: Date,
+      required: true, // Document is purged by MongoDB once this passes
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop entries once they are past the stale window
+apiCacheSchema.index({ staleUntil: 1 }, { expireAfterSeconds: 0 });
+apiCacheSchema.index({ operation: 1 });
+
+module.exports = mongoose.model('ApiCache', apiCacheSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const reportRowSchema = new mongoose.Schema(
+  {
+    rowNumber: Number,
+    asin: String,
+    trackingId: String,
+    date: Date,
+    earnings: Number, // Ad fees Amazon reported for the row
+    commission: Number, // Agent's share the matched commission was completed with
+    status: {
+      type: String,
+      enum: ['matched', 'unmatched', 'skipped', 'duplicate', 'invalid'],
+      required: true,
+    },
+    reason: String,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+    click: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductClick',
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const associatesReportImportSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      trim: true,
+      default: 'report.csv',
+    },
+    // SHA-256 of the file contents; the same file can only be imported once
+    fileHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'tsv'],
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed', 'failed'],
+      default: 'processing',
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Null when imported from the CLI
+    },
+    periodStart: Date,
+    periodEnd: Date,
+    counts: {
+      rows: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      unmatched: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      duplicate: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      expired: { type: Number, default: 0 }, // Pending commissions failed after the import
+    },
+    // Ad fees of the matched rows, and the agent commissions they were confirmed as
+    matchedEarnings: {
+      type: Number,
+      default: 0,
+    },
+    matchedCommission: {
+      type: Number,
+      default: 0,
+    },
+    failureReason: String,
+    rows: [reportRowSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+associatesReportImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AssociatesReportImport', associatesReportImportSchema);
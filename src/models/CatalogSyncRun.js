@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const catalogSyncRunSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'aborted', 'failed'],
+      default: 'running',
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Null for scheduled runs
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    totalProducts: {
+      type: Number,
+      default: 0,
+    },
+    batchesProcessed: {
+      type: Number,
+      default: 0,
+    },
+    updatedCount: {
+      type: Number,
+      default: 0,
+    },
+    archivedCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    abortReason: {
+      type: String,
+      trim: true,
+    },
+    syncErrors: [
+      {
+        asins: [String],
+        code: String,
+        message: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+catalogSyncRunSchema.index({ status: 1 });
+catalogSyncRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CatalogSyncRun', catalogSyncRunSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Empty lists and null bounds mean "any": a rule with no conditions matches every click
+const conditionsSchema = new mongoose.Schema(
+  {
+    categories: {
+      type: [String],
+      default: [], // Resolved category names, case-insensitive
+    },
+    searchIndexes: {
+      type: [String],
+      default: [], // Amazon search indexes, e.g. Electronics
+    },
+    brands: {
+      type: [String],
+      default: [], // Case-insensitive
+    },
+    asins: {
+      type: [String],
+      default: [],
+      set: (asins) => asins.map((asin) => String(asin).trim().toUpperCase()),
+    },
+    agentTiers: {
+      type: [String],
+      default: [],
+    },
+    minPrice: {
+      type: Number,
+      default: null,
+    },
+    maxPrice: {
+      type: Number,
+      default: null,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Higher priority rules are evaluated first; the first match wins
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    percentage: {
+      type: Number,
+      required: [true, 'Percentage is required'],
+      min: [0, 'Percentage cannot be less than 0'],
+      max: [100, 'Percentage cannot exceed 100'],
+    },
+    conditions: {
+      type: conditionsSchema,
+      default: () => ({}),
+    },
+    status: {
+      type: String,
+      enum: ['active', 'inactive'],
+      default: 'active',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commissionRuleSchema.pre('validate', function (next) {
+  const { minPrice, maxPrice, startsAt, endsAt } = this.conditions || {};
+  if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+    this.invalidate('conditions.maxPrice', 'maxPrice must not be less than minPrice');
+  }
+  if (startsAt && endsAt && startsAt > endsAt) {
+    this.invalidate('conditions.endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+// Indexes
+commissionRuleSchema.index({ status: 1, priority: -1, createdAt: 1 });
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
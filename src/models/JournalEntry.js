@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Amounts are compared in paise to avoid floating point drift
+const toMinorUnits = (amount) => Math.round((amount || 0) * 100);
+
+const journalLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerAccount',
+      required: true,
+    },
+    accountCode: {
+      type: String,
+      required: true,
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const journalEntrySchema = new mongoose.Schema(
+  {
+    // Posting the same key twice returns the original entry instead of double-posting
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    entryType: {
+      type: String,
+      enum: ['earnings', 'payout', 'adjustment'],
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true,
+    },
+    lines: {
+      type: [journalLineSchema],
+      validate: {
+        validator: (lines) => Array.isArray(lines) && lines.length >= 2,
+        message: 'A journal entry needs at least two lines',
+      },
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Null when posted by the system
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Every entry must balance and every line must move money on exactly one side
+journalEntrySchema.pre('validate', function (next) {
+  let debits = 0;
+  let credits = 0;
+
+  for (const line of this.lines || []) {
+    const debit = toMinorUnits(line.debit);
+    const credit = toMinorUnits(line.credit);
+    if ((debit > 0) === (credit > 0)) {
+      return next(new Error(`Journal line for ${line.accountCode} must have either a debit or a credit`));
+    }
+    debits += debit;
+    credits += credit;
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Journal entry is not balanced (debits ${debits / 100}, credits ${credits / 100})`));
+  }
+
+  next();
+});
+
+// Entries are append-only; corrections are posted as new adjustment entries
+const rejectUpdate = function (next) {
+  next(new Error('Journal entries are immutable'));
+};
+journalEntrySchema.pre('updateOne', rejectUpdate);
+journalEntrySchema.pre('updateMany', rejectUpdate);
+journalEntrySchema.pre('findOneAndUpdate', rejectUpdate);
+
+journalEntrySchema.index({ transaction: 1 });
+journalEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const ledgerAccountSchema = new mongoose.Schema(
+  {
+    // Stable lookup key, e.g. 'agent:<userId>' or 'platform:commission_expense'
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Normal balance: asset/expense accounts grow with debits, liability/revenue accounts with credits
+    type: {
+      type: String,
+      enum: ['asset', 'liability', 'revenue', 'expense'],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Set for per-agent payable accounts
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerAccountSchema.index({ user: 1 });
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const priceHistorySchema = new mongoose.Schema(
+  {
+    asin: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+    previousAmount: {
+      type: Number,
+      default: null, // Null for the first observation of an ASIN
+    },
+    changePercent: {
+      type: Number,
+      default: 0, // Negative when the price dropped
+    },
+    source: {
+      type: String,
+      enum: ['product_view', 'click_recovery', 'catalog_sync', 'watchlist_check'],
+      required: true,
+    },
+    observedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Time series lookups per ASIN
+priceHistorySchema.index({ asin: 1, observedAt: -1 });
+priceHistorySchema.index({ changePercent: 1, observedAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
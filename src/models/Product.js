@@ -82,6 +82,19 @@ const productSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    lastSyncedAt: {
+      type: Date,
+      default: null, // Last successful refresh by the catalog sync job
+    },
+    lastSyncError: {
+      code: String,
+      message: String,
+      at: Date,
+    },
+    syncErrorCount: {
+      type: Number,
+      default: 0, // Consecutive failed sync attempts
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -102,6 +115,7 @@ productSchema.index({ title: 'text', description: 'text', brand: 'text' });
 productSchema.index({ category: 1, status: 1 });
 productSchema.index({ 'price.amount': 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ status: 1, lastSyncedAt: 1 });
 
 const Product = mongoose.model('Product', productSchema);
 
@@ -44,6 +44,67 @@ const productClickSchema = new mongoose.Schema(
             type: Number,
             default: 0, // Percentage used for calculation (e.g. 0.05 for 5%)
         },
+        commissionRule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CommissionRule',
+            default: null, // Rule that set commissionRate (null = category rate or default)
+        },
+        tierMultiplier: {
+            type: Number,
+            default: 1, // Agent tier multiplier already included in commissionRate
+        },
+        trackingTag: {
+            type: String,
+            trim: true,
+            default: null, // Associates tracking ID the Amazon link carried
+        },
+        ipAddress: {
+            type: String,
+            default: null,
+        },
+        userAgent: {
+            type: String,
+            default: null,
+        },
+        deviceFingerprint: {
+            type: String,
+            default: null, // X-Device-Fingerprint header
+        },
+        sessionId: {
+            type: String,
+            default: null, // X-Session-Id header, identifies guests for de-duplication
+        },
+        fraudScore: {
+            type: Number,
+            default: 0,
+        },
+        fraudSignals: [
+            {
+                _id: false,
+                code: String,
+                weight: Number,
+                detail: String,
+            },
+        ],
+        // Flagged clicks get no commission until an admin approves them
+        fraudStatus: {
+            type: String,
+            enum: ['clean', 'flagged', 'approved', 'rejected'],
+            default: 'clean',
+        },
+        fraudReviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        fraudReviewedAt: {
+            type: Date,
+            default: null,
+        },
+        fraudReviewNote: {
+            type: String,
+            trim: true,
+        },
     },
     {
         timestamps: true,
@@ -51,9 +112,14 @@ const productClickSchema = new mongoose.Schema(
 );
 
 // Indexes for faster querying in dashboard
-productClickSchema.index({ user: 1 });
-productClickSchema.index({ agent: 1 });
 productClickSchema.index({ category: 1 });
 productClickSchema.index({ createdAt: -1 });
+productClickSchema.index({ asin: 1, createdAt: -1 });
+productClickSchema.index({ ipAddress: 1, createdAt: -1 });
+productClickSchema.index({ deviceFingerprint: 1, createdAt: -1 });
+productClickSchema.index({ user: 1, createdAt: -1 });
+productClickSchema.index({ agent: 1, createdAt: -1 });
+productClickSchema.index({ fraudStatus: 1, createdAt: -1 });
+productClickSchema.index({ sessionId: 1, asin: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ProductClick', productClickSchema);
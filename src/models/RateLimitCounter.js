@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    // "<limiter name>:<client key>:<window start>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // End of the window; MongoDB purges the counter afterwards
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
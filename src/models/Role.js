@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+// Admin role: a named group of permissions assigned to admins (User.adminRole)
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a role name'],
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) => permissions.every((permission) => ALL_PERMISSIONS.includes(permission)),
+        message: 'Unknown permission in role',
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Role', roleSchema);
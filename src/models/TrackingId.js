@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const trackingIdSchema = new mongoose.Schema(
+  {
+    // Amazon Associates tracking ID, e.g. hascart-agent01-21
+    tag: {
+      type: String,
+      required: [true, 'Tracking ID is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9][a-z0-9-]{1,62}$/, 'Tracking ID may only contain letters, numbers and dashes'],
+    },
+    // Retired tags are never handed out again: old Amazon reports still refer to them
+    status: {
+      type: String,
+      enum: ['available', 'assigned', 'retired'],
+      default: 'available',
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+    retiredAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one active tag per agent
+trackingIdSchema.index(
+  { agent: 1 },
+  { unique: true, partialFilterExpression: { status: 'assigned' } }
+);
+trackingIdSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TrackingId', trackingIdSchema);
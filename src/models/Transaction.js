@@ -31,7 +31,53 @@ const transactionSchema = new mongoose.Schema(
         },
         referenceModel: {
             type: String,
-            enum: ['ProductClick', 'Withdrawal'],
+            enum: ['ProductClick', 'Withdrawal', 'Transaction'], // Transaction = the commission an override was paid on
+        },
+        // Upline level for referral override earnings (1 = the earning agent's own referrer)
+        overrideLevel: {
+            type: Number,
+            default: null,
+        },
+        // Ledger entry posted when the transaction completed
+        journalEntry: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JournalEntry',
+            default: null,
+        },
+        // Guards against creating the same money movement twice (e.g. one payout per withdrawal)
+        idempotencyKey: {
+            type: String,
+            trim: true,
+        },
+        // Why a manual/corrective transaction was created (required for reconciliation adjustments)
+        auditNote: {
+            type: String,
+            trim: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null, // Null for system-created transactions
+        },
+        // Commission estimated at click time, before an Associates report confirmed the real amount
+        estimatedAmount: {
+            type: Number,
+            default: null,
+        },
+        // Ad fees Amazon paid the platform for the sale, from the Associates report row
+        confirmedEarnings: {
+            type: Number,
+            default: null,
+        },
+        // Fingerprint of the Associates report row that confirmed this commission
+        conversionKey: {
+            type: String,
+            trim: true,
+        },
+        conversionImport: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AssociatesReportImport',
+            default: null,
         },
     },
     {
@@ -43,5 +89,9 @@ const transactionSchema = new mongoose.Schema(
 transactionSchema.index({ user: 1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ referenceId: 1, referenceModel: 1 });
+transactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ conversionKey: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ type: 1, status: 1, createdAt: 1 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
@@ -32,10 +32,36 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'admin', 'agent'],
       default: 'user',
     },
+    // Limits an admin to the permissions of this role; admins without one have full access
+    adminRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+      default: null,
+    },
     isDeactivated: {
       type: Boolean,
       default: false,
     },
+    // Set when an admin deactivates the account, cleared on reactivation
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    deactivationReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Embedded in access tokens; bumping it revokes every token issued before
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
     referralCode: {
       type: String,
       unique: true,
@@ -55,8 +81,31 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
-    resetPasswordToken: String,
+    // Agent tier name (see AgentTier), recalculated monthly
+    tier: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    tierUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Keyed hash of the current password reset code (see passwordResetService)
+    resetPasswordToken: {
+      type: String,
+      select: false,
+    },
     resetPasswordExpire: Date,
+    // Wrong reset codes entered since the last successful reset or lockout
+    resetPasswordAttempts: {
+      type: Number,
+      default: 0,
+    },
+    resetPasswordLockedUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -74,18 +123,6 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate and hash password token
-userSchema.methods.getResetPasswordToken = function () {
-  // Generate token (simple 6-digit OTP as requested to keep it simple)
-  const resetToken = Math.floor(100000 + Math.random() * 900000).toString();
-
-  // Set expire
-  this.resetPasswordToken = resetToken;
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
-
-  return resetToken;
-};
-
 // Hash password and generate referral code before saving
 userSchema.pre('save', async function (next) {
   // Hash password if modified
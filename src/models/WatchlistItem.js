@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const watchlistItemSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    asin: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    imageUrl: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    productUrl: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    targetPrice: {
+      type: Number,
+      min: 0,
+      default: null, // Null = alert on any significant drop
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+    priceWhenAdded: {
+      type: Number,
+      default: null,
+    },
+    lastPrice: {
+      type: Number,
+      default: null,
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: null,
+    },
+    // Price we last alerted at; a new alert needs a lower price (reset when the price goes back up)
+    notifiedPrice: {
+      type: Number,
+      default: null,
+    },
+    lastNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One entry per user and product
+watchlistItemSchema.index({ user: 1, asin: 1 }, { unique: true });
+watchlistItemSchema.index({ isActive: 1, asin: 1 });
+
+module.exports = mongoose.model('WatchlistItem', watchlistItemSchema);
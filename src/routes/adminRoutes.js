@@ -16,32 +16,136 @@ const {
     toggleUserStatus
 } = require('../controllers/adminController');
 const { getProductClicks } = require('../controllers/analyticsController');
-const { protect, authorize } = require('../middleware/auth');
+const {
+    triggerCatalogSync,
+    getCatalogSyncRuns,
+    getCatalogSyncRun
+} = require('../controllers/catalogSyncController');
+const {
+    getJournalEntries,
+    getAgentLedger,
+    getReconciliationReport,
+    repairReconciliation
+} = require('../controllers/ledgerController');
+const {
+    importReport,
+    getReportImports,
+    getReportImport
+} = require('../controllers/associatesReportController');
+const {
+    getTrackingIds,
+    createTrackingIds,
+    assignTrackingIdToAgent,
+    releaseTrackingIdFromAgent
+} = require('../controllers/trackingIdController');
+const { getFlaggedClicks, reviewFlaggedClick } = require('../controllers/clickReviewController');
+const {
+    getCommissionRules,
+    getCommissionRule,
+    createCommissionRule,
+    updateCommissionRule,
+    deleteCommissionRule,
+    explainCommission
+} = require('../controllers/commissionRuleController');
+const {
+    getAgentTiers,
+    createAgentTier,
+    updateAgentTier,
+    deleteAgentTier,
+    recalculateTiers,
+    getTierRuns
+} = require('../controllers/agentTierController');
+const {
+    getAgentApplications,
+    getAgentApplication,
+    reviewAgentApplication
+} = require('../controllers/agentApplicationController');
+const {
+    getPermissions,
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    assignAdminRole
+} = require('../controllers/roleController');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const adminProductRoutes = require('./adminProductRoutes');
 
 // Public admin login route (no authentication required)
 router.post('/login', adminLogin);
 
-// All other admin routes require authentication and admin role
+// All other admin routes require authentication and admin role,
+// plus the permission named on each route (see config/permissions.js)
 router.use(protect);
 router.use(authorize('admin'));
 
-router.get('/dashboard', getDashboard);
-router.get('/users', getAllUsers);
-router.put('/users/:id/status', toggleUserStatus);
-router.get('/analytics/clicks', getProductClicks);
-router.get('/referral-stats', getReferralAnalytics);
-router.get('/transactions', getAllTransactions);
-router.post('/transactions/create-for-click', createTransactionForClick);
-router.put('/transactions/:id', updateTransactionStatus);
-router.put('/analytics/clicks/:id', require('../controllers/analyticsController').updateClickCommission);
-router.get('/withdrawals', getAllWithdrawals);
-router.put('/withdrawals/:id', updateWithdrawalStatus);
-router.get('/reports/agent-clicks', getAgentClickReport);
-router.get('/agents/:id/referrals', getAgentReferrals);
+router.get('/dashboard', requirePermission('dashboard:read'), getDashboard);
+router.get('/users', requirePermission('users:read'), getAllUsers);
+router.put('/users/:id/status', requirePermission('users:manage'), toggleUserStatus);
+router.put('/users/:id/admin-role', requirePermission('roles:manage'), assignAdminRole);
+router.get('/analytics/clicks', requirePermission('analytics:read'), getProductClicks);
+router.get('/referral-stats', requirePermission('analytics:read'), getReferralAnalytics);
+router.get('/transactions', requirePermission('transactions:read'), getAllTransactions);
+router.post('/transactions/create-for-click', requirePermission('transactions:write'), createTransactionForClick);
+router.put('/transactions/:id', requirePermission('transactions:write'), updateTransactionStatus);
+router.put('/analytics/clicks/:id', requirePermission('transactions:write'), require('../controllers/analyticsController').updateClickCommission);
+router.get('/fraud/clicks', requirePermission('fraud:review'), getFlaggedClicks);
+router.put('/fraud/clicks/:id', requirePermission('fraud:review'), reviewFlaggedClick);
+router.get('/withdrawals', requirePermission('withdrawals:read'), getAllWithdrawals);
+router.put('/withdrawals/:id', requirePermission('withdrawals:approve'), updateWithdrawalStatus);
+router.get('/ledger/entries', requirePermission('ledger:read'), getJournalEntries);
+router.get('/ledger/agents/:id', requirePermission('ledger:read'), getAgentLedger);
+router.get('/ledger/reconciliation', requirePermission('ledger:read'), getReconciliationReport);
+router.post('/ledger/reconciliation/repair', requirePermission('ledger:repair'), repairReconciliation);
+
+// Amazon Associates earnings report imports (raw CSV/TSV body or JSON { content })
+router.post('/associates-reports', requirePermission('associates:import'), express.text({ type: ['text/*', 'application/csv'], limit: '10mb' }), importReport);
+router.get('/associates-reports', requirePermission('associates:import'), getReportImports);
+router.get('/associates-reports/:id', requirePermission('associates:import'), getReportImport);
+router.get('/reports/agent-clicks', requirePermission('analytics:read'), getAgentClickReport);
+router.get('/agents/:id/referrals', requirePermission('analytics:read'), getAgentReferrals);
+
+// Catalog sync (refresh local products from Amazon)
+router.post('/catalog-sync', requirePermission('catalog:manage'), triggerCatalogSync);
+router.get('/catalog-sync', requirePermission('catalog:manage'), getCatalogSyncRuns);
+router.get('/catalog-sync/:id', requirePermission('catalog:manage'), getCatalogSyncRun);
+
+// Commission rules (first matching rule by priority sets the rate)
+router.post('/commission-rules/explain', requirePermission('commissions:read'), explainCommission);
+router.get('/commission-rules', requirePermission('commissions:read'), getCommissionRules);
+router.post('/commission-rules', requirePermission('commissions:write'), createCommissionRule);
+router.get('/commission-rules/:id', requirePermission('commissions:read'), getCommissionRule);
+router.put('/commission-rules/:id', requirePermission('commissions:write'), updateCommissionRule);
+router.delete('/commission-rules/:id', requirePermission('commissions:write'), deleteCommissionRule);
+
+// Agent tiers (recalculated monthly; multipliers apply to click commissions)
+router.get('/agent-tiers', requirePermission('commissions:read'), getAgentTiers);
+router.post('/agent-tiers', requirePermission('commissions:write'), createAgentTier);
+router.post('/agent-tiers/recalculate', requirePermission('commissions:write'), recalculateTiers);
+router.get('/agent-tiers/runs', requirePermission('commissions:read'), getTierRuns);
+router.put('/agent-tiers/:id', requirePermission('commissions:write'), updateAgentTier);
+router.delete('/agent-tiers/:id', requirePermission('commissions:write'), deleteAgentTier);
+
+// Agent application review queue (approval upgrades the user to agent)
+router.get('/agent-applications', requirePermission('agent-applications:review'), getAgentApplications);
+router.get('/agent-applications/:id', requirePermission('agent-applications:review'), getAgentApplication);
+router.put('/agent-applications/:id', requirePermission('agent-applications:review'), reviewAgentApplication);
+
+// Associates tracking ID pool (one tag per agent)
+router.get('/tracking-ids', requirePermission('tracking-ids:manage'), getTrackingIds);
+router.post('/tracking-ids', requirePermission('tracking-ids:manage'), createTrackingIds);
+router.put('/tracking-ids/:id/assign', requirePermission('tracking-ids:manage'), assignTrackingIdToAgent);
+router.put('/tracking-ids/:id/release', requirePermission('tracking-ids:manage'), releaseTrackingIdFromAgent);
+
+// Admin roles (named permission sets assigned to admins)
+router.get('/permissions', requirePermission('roles:manage'), getPermissions);
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+router.post('/roles', requirePermission('roles:manage'), createRole);
+router.put('/roles/:id', requirePermission('roles:manage'), updateRole);
+router.delete('/roles/:id', requirePermission('roles:manage'), deleteRole);
 
 // Product management routes
-router.use('/products', adminProductRoutes);
+router.use('/products', requirePermission('catalog:manage'), adminProductRoutes);
 
 module.exports = router;
 
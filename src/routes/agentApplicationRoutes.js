@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  applyForAgent,
+  getMyApplications,
+  withdrawMyApplication,
+} = require('../controllers/agentApplicationController');
+const { protect } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(protect);
+
+router.post('/', applyForAgent);
+router.get('/me', getMyApplications);
+router.put('/me/withdraw', withdrawMyApplication);
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { searchItems, getItems, getBrowseNodes } = require('../controllers/amazonController');
+const { optionalProtect } = require('../middleware/auth');
+const { resolveAttribution } = require('../middleware/attribution');
 
-router.post('/search', searchItems);
-router.post('/items', getItems);
+router.post('/search', optionalProtect, resolveAttribution, searchItems);
+router.post('/items', optionalProtect, resolveAttribution, getItems);
 router.post('/browse-nodes', getBrowseNodes);
 
 module.exports = router;
@@ -1,14 +1,48 @@
 const express = require('express');
 const router = express.Router();
-const { login, signup, getMe, forgotPassword, resetPassword } = require('../controllers/authController');
+const {
+  login,
+  signup,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logout,
+  logoutAll,
+} = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getResetConfig } = require('../services/passwordResetService');
+
+// Reset emails are limited per client IP and per target address
+const forgotPasswordLimits = [
+  rateLimit({
+    name: 'forgot-password:ip',
+    windowMinutes: 60,
+    max: () => getResetConfig().ipRequestsPerHour,
+    keyGenerator: (req) => req.ip,
+    message: 'Too many password reset requests, please try again later',
+  }),
+  rateLimit({
+    name: 'forgot-password:email',
+    windowMinutes: 60,
+    max: () => getResetConfig().emailRequestsPerHour,
+    keyGenerator: (req) => (req.body && req.body.email ? String(req.body.email).toLowerCase().trim() : null),
+    message: 'Too many password reset requests for this email, please try again later',
+  }),
+];
 
 router.post('/login', login);
 router.post('/signup', signup);
 
+// Sessions (short-lived access tokens renewed with rotating refresh tokens)
+router.post('/refresh', refreshToken);
+router.post('/logout', logout);
+router.post('/logout-all', protect, logoutAll);
+
 // Password recovery
-router.post('/forgot-password', forgotPassword);
-router.post('/forgotpassword', forgotPassword); // Alias for convenience
+router.post('/forgot-password', forgotPasswordLimits, forgotPassword);
+router.post('/forgotpassword', forgotPasswordLimits, forgotPassword); // Alias for convenience
 router.post('/reset-password', resetPassword);
 router.post('/resetpassword', resetPassword); // Alias for convenience
 
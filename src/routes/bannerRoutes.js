@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { getBanners, createBanner, updateBanner, deleteBanner } = require('../controllers/bannerController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 router.get('/', getBanners);
-router.post('/', protect, authorize('admin', 'agent'), createBanner); // Allowing agents/admins to add banners
-router.put('/:id', protect, authorize('admin', 'agent'), updateBanner);
-router.delete('/:id', protect, authorize('admin'), deleteBanner);
+router.post('/', protect, requirePermission('banners:write'), createBanner); // Agents have banners:write by default
+router.put('/:id', protect, requirePermission('banners:write'), updateBanner);
+router.delete('/:id', protect, requirePermission('banners:delete'), deleteBanner);
 
 module.exports = router;
@@ -7,15 +7,15 @@ const {
     updateCategory,
     deleteCategory,
 } = require('../controllers/categoryController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Public routes
 router.get('/', getAllCategories);
 router.get('/:id', getCategoryById);
 
-// Protected routes (require auth & admin role)
+// Protected routes (require auth & categories:write permission)
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission('categories:write'));
 
 // CRUD routes (Protected)
 router.post('/', createCategory);
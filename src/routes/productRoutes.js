@@ -7,25 +7,30 @@ const {
   getProductsByCategory,
   getProductsByAsins,
   getPersonalizedProducts,
+  getProductPriceHistory,
 } = require('../controllers/productController');
-const { protect } = require('../middleware/auth');
+const { protect, optionalProtect } = require('../middleware/auth');
+const { resolveAttribution } = require('../middleware/attribution');
 
 // Get personalized products based on history
-router.get('/personalized', protect, getPersonalizedProducts);
+router.get('/personalized', protect, resolveAttribution, getPersonalizedProducts);
 
 // Search products
-router.get('/search', searchProducts);
+router.get('/search', optionalProtect, resolveAttribution, searchProducts);
 
 // Get products by category
-router.get('/category/:category', getProductsByCategory);
+router.get('/category/:category', optionalProtect, resolveAttribution, getProductsByCategory);
 
 // Get products by ASINs (curated items)
-router.post('/items', getProductsByAsins);
+router.post('/items', optionalProtect, resolveAttribution, getProductsByAsins);
 
 // Get all products (requires keywords query param)
-router.get('/', getAllProducts);
+router.get('/', optionalProtect, resolveAttribution, getAllProducts);
+
+// Get price history for an ASIN
+router.get('/:asin/price-history', getProductPriceHistory);
 
 // Get product by ASIN
-router.get('/:asin', getProduct);
+router.get('/:asin', optionalProtect, resolveAttribution, getProduct);
 
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { redirectToProduct } = require('../controllers/redirectController');
+const { optionalProtect } = require('../middleware/auth');
+
+// Tracked affiliate link: records the click, then 302s to Amazon
+router.get('/:asin', optionalProtect, redirectToProduct);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { getMyReferrals, getReferralStats, getMyReferralCode, validateReferralCode } = require('../controllers/referralController');
+const { getMyReferrals, getReferralStats, getMyReferralCode, getMyOverrides, validateReferralCode } = require('../controllers/referralController');
 const { protect, authorize } = require('../middleware/auth');
 
 // Public referral routes
@@ -13,6 +13,7 @@ router.use(protect);
 router.get('/my-code', authorize('agent', 'admin'), getMyReferralCode);
 router.get('/my-referrals', authorize('agent', 'admin'), getMyReferrals);
 router.get('/stats', authorize('agent', 'admin'), getReferralStats);
+router.get('/overrides', authorize('agent', 'admin'), getMyOverrides);
 
 module.exports = router;
 
@@ -1,16 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const {
+  getMyProfile,
+  updateMyProfile,
+  changeMyPassword,
+  deleteMyAccount,
   getAllUsers,
   getUser,
   createUser,
   updateUser,
   deleteUser,
 } = require('../controllers/userController');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
-router.route('/').get(getAllUsers).post(createUser);
-router.route('/:id').get(getUser).put(updateUser).delete(deleteUser);
+// All routes require authentication
+router.use(protect);
 
-module.exports = router;
+// Self-service profile (must come before /:id)
+router.route('/me').get(getMyProfile).put(updateMyProfile).delete(deleteMyAccount);
+router.put('/me/password', changeMyPassword);
 
+// User management (Admin only)
+router.use(authorize('admin'));
+router.route('/')
+  .get(requirePermission('users:read'), getAllUsers)
+  .post(requirePermission('users:manage'), createUser);
+router.route('/:id')
+  .get(requirePermission('users:read'), getUser)
+  .put(requirePermission('users:manage'), updateUser)
+  .delete(requirePermission('users:manage'), deleteUser);
 
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWatchlist,
+  addToWatchlist,
+  updateWatchlistItem,
+  removeFromWatchlist,
+} = require('../controllers/watchlistController');
+const { protect } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getWatchlist)
+  .post(addToWatchlist);
+
+router.route('/:id')
+  .put(updateWatchlistItem)
+  .delete(removeFromWatchlist);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Post journal entries for completed transactions created before the ledger existed
+ * Safe to re-run: entries are keyed by transaction id.
+ *
+ * Usage: npm run ledger:backfill
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Transaction = require('../models/Transaction');
+const { postTransaction } = require('../services/ledgerService');
+
+const backfill = async () => {
+  await connectDB();
+
+  const cursor = Transaction.find({ status: 'completed', journalEntry: null }).cursor();
+  let posted = 0;
+  let failed = 0;
+
+  for await (const transaction of cursor) {
+    try {
+      await postTransaction(transaction);
+      posted += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`[Ledger Backfill] Transaction ${transaction._id} failed:`, error.message);
+    }
+  }
+
+  console.log(`[Ledger Backfill] Posted ${posted} transaction(s), ${failed} failed`);
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+backfill().catch(async (error) => {
+  console.error('[Ledger Backfill] Aborted:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+/**
+ * Import an Amazon Associates earnings report from disk
+ *
+ * Usage:
+ *   npm run associates:import -- <file.csv|file.tsv>            # import and confirm commissions
+ *   npm run associates:import -- <file.csv|file.tsv> --dry-run  # show matches without writing
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { importAssociatesReport } = require('../services/associatesImportService');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const filePath = args.find((arg) => !arg.startsWith('--'));
+
+  if (!filePath) {
+    throw new Error('Usage: npm run associates:import -- <file> [--dry-run]');
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  await connectDB();
+
+  const result = await importAssociatesReport({
+    content,
+    fileName: path.basename(filePath),
+    dryRun,
+  });
+
+  console.log(`${dryRun ? '[Dry run] ' : ''}${result.fileName}:`, result.counts);
+  console.log(`Matched ad fees: ${result.matchedEarnings}, agent commissions: ${result.matchedCommission}`);
+  result.rows
+    .filter((row) => row.status !== 'matched')
+    .forEach((row) => console.log(`  row ${row.rowNumber} ${row.asin || ''}: ${row.status} - ${row.reason}`));
+
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(async (error) => {
+  console.error('[Associates Import] Aborted:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+/**
+ * Reconcile agent balances against transaction history and the ledger
+ *
+ * Usage:
+ *   npm run ledger:reconcile                              # report discrepancies (exit 1 if any)
+ *   npm run ledger:reconcile -- --user <id> --user <id>   # limit to some users
+ *   npm run ledger:reconcile -- --all                     # include users that reconcile cleanly
+ *   npm run ledger:reconcile -- --json                    # print the full report as JSON
+ *   npm run ledger:reconcile -- --repair --note "why"     # post missing entries, reset balances to history
+ *   npm run ledger:reconcile -- --repair --note "why" --adjust <id>=<amount>
+ *                                                         # also record an adjustment for a user with issues
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { buildReconciliationReport, repairBalances } = require('../services/reconciliationService');
+
+const parseArgs = (argv) => {
+  const args = { userIds: [], all: false, json: false, repair: false, note: null, adjustments: {} };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--user') args.userIds.push(argv[++i]);
+    else if (arg === '--all') args.all = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--repair') args.repair = true;
+    else if (arg === '--note') args.note = argv[++i];
+    else if (arg === '--adjust') {
+      const [userId, amount] = String(argv[++i]).split('=');
+      if (!mongoose.isValidObjectId(userId) || !amount || !Number.isFinite(Number(amount))) {
+        throw new Error('--adjust expects <user id>=<amount>');
+      }
+      args.adjustments[userId] = Number(amount);
+    }
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (args.repair && !args.note) {
+    throw new Error('--repair requires --note "<audit note>"');
+  }
+  if (args.userIds.some((id) => !mongoose.isValidObjectId(id))) {
+    throw new Error('--user expects a valid user id');
+  }
+
+  return args;
+};
+
+const printReport = (report) => {
+  console.log(`Checked ${report.summary.usersChecked} user(s), ${report.summary.usersWithDiscrepancies} with discrepancies (total difference ${report.summary.totalBalanceDifference})\n`);
+
+  report.agents.forEach((agent) => {
+    console.log(`${agent.user.name} <${agent.user.email}> (${agent.user._id})`);
+    console.log(`  balance: recorded ${agent.recorded.balance}, history ${agent.expected.balance}, ledger ${agent.ledgerBalance} (difference ${agent.balanceDifference})`);
+    console.log(`  totalEarnings: recorded ${agent.recorded.totalEarnings}, history ${agent.expected.totalEarnings}`);
+    agent.issues.forEach((issue) => {
+      const ref = issue.transactionId || issue.withdrawalId || (issue.transactionIds || []).join(',');
+      console.log(`  - ${issue.type} ${ref}: ${issue.detail} (${issue.amount})`);
+    });
+    console.log('');
+  });
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  await connectDB();
+
+  const userIds = args.userIds.length > 0 ? args.userIds : null;
+  const report = await buildReconciliationReport({ userIds, onlyDiscrepancies: !args.all });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  let exitCode = report.summary.usersWithDiscrepancies > 0 ? 1 : 0;
+
+  if (args.repair && report.summary.usersWithDiscrepancies > 0) {
+    const result = await repairBalances({ userIds, note: args.note, adjustments: args.adjustments });
+    console.log(`Repair run ${result.runId}: ${result.repaired.length} repaired, ${result.failed.length} failed`);
+    result.failed.forEach((f) => console.log(`  - ${f.userId}: ${f.error}`));
+    exitCode = result.failed.length > 0 ? 1 : 0;
+  }
+
+  await mongoose.disconnect();
+  process.exit(exitCode);
+};
+
+run().catch(async (error) => {
+  console.error('[Reconciliation] Aborted:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
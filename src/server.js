@@ -2,6 +2,13 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
+const paapiMock = require('./mock/paapiMockServer');
+
+// Offline PA-API stand-in for local development (must start before the Amazon service is loaded)
+if (paapiMock.isMockEnabled()) {
+  paapiMock.applyMockDefaults();
+  paapiMock.startMockServer();
+}
 
 // Import routes
 const userRoutes = require('./routes/userRoutes');
@@ -14,6 +21,14 @@ const categoryRoutes = require('./routes/categoryRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const bannerRoutes = require('./routes/bannerRoutes');
 const withdrawalRoutes = require('./routes/withdrawalRoutes');
+const watchlistRoutes = require('./routes/watchlistRoutes');
+const redirectRoutes = require('./routes/redirectRoutes');
+const agentApplicationRoutes = require('./routes/agentApplicationRoutes');
+
+// Background jobs
+const { startCatalogSyncJob } = require('./jobs/catalogSyncJob');
+const { startWatchlistAlertJob } = require('./jobs/watchlistAlertJob');
+const { startAgentTierJob } = require('./jobs/agentTierJob');
 
 // Connect to database
 connectDB();
@@ -21,11 +36,17 @@ connectDB();
 // Initialize Express app
 const app = express();
 
+// Client IPs (used by click fraud checks) come from X-Forwarded-For when behind a proxy
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors({
   origin: '*', // Allow all origins
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Fingerprint', 'X-Session-Id'],
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -58,6 +79,9 @@ app.get('/', (req, res) => {
       categories: '/api/admin/categories',
       analytics: '/api/analytics',
       withdrawals: '/api/withdrawals',
+      watchlist: '/api/watchlist',
+      agentApplications: '/api/agent-applications',
+      redirect: '/r/:asin?ref=CODE',
     },
   });
 });
@@ -74,8 +98,13 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/banners', bannerRoutes);
 app.use('/api/withdrawals', withdrawalRoutes);
 console.log('✓ Withdrawal routes registered at /api/withdrawals');
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/agent-applications', agentApplicationRoutes);
+app.use('/r', redirectRoutes);
 
-const { sendNotFound, sendError, sendValidationError } = require('./utils/responseHandler');
+const { sendNotFound, sendError, sendValidationError, sendTooManyRequests } = require('./utils/responseHandler');
+const { AmazonApiError } = require('./utils/amazonApiErrors');
+const { PasswordResetError } = require('./utils/passwordResetErrors');
 
 // 404 handler
 app.use((req, res) => {
@@ -96,6 +125,19 @@ app.use((err, req, res, next) => {
     return sendValidationError(res, messages.join(', '));
   }
 
+  // Handle Amazon PA-API errors thrown by AmazonAPIService
+  if (err instanceof AmazonApiError) {
+    if (err.statusCode === 429) {
+      return sendTooManyRequests(res, err.message, err.retryAfter, err.toJSON());
+    }
+    return sendError(res, err.message, err.statusCode, err.toJSON());
+  }
+
+  // Password reset lockouts tell the client when to retry
+  if (err instanceof PasswordResetError && err.statusCode === 429) {
+    return sendTooManyRequests(res, err.message, err.retryAfter);
+  }
+
   // Handle JWT errors
   if (err.name === 'JsonWebTokenError') {
     return sendError(res, 'Invalid token', 401);
@@ -113,6 +155,9 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startCatalogSyncJob();
+  startWatchlistAlertJob();
+  startAgentTierJob();
   console.log('Available routes:');
   console.log('  POST /api/withdrawals - Create withdrawal request');
   console.log('  GET /api/withdrawals - Get user withdrawals');
@@ -0,0 +1,168 @@
+const AgentTier = require('../models/AgentTier');
+const AgentTierRun = require('../models/AgentTierRun');
+const ProductClick = require('../models/ProductClick');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+
+let isRecalculating = false;
+
+/**
+ * Month key for the calendar month before a date (UTC)
+ * @param {Date} date - Reference date (default now)
+ * @returns {string} YYYY-MM
+ */
+const getPreviousMonth = (date = new Date()) => {
+  const previous = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1));
+  return previous.toISOString().slice(0, 7);
+};
+
+/**
+ * UTC bounds of a calendar month
+ * @param {string} month - YYYY-MM
+ * @returns {Object|null} { start, end } (end exclusive), or null for a malformed month
+ */
+const getMonthRange = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const monthIndex = parseInt(match[2], 10) - 1;
+  if (monthIndex < 0 || monthIndex > 11) return null;
+
+  return {
+    start: new Date(Date.UTC(year, monthIndex, 1)),
+    end: new Date(Date.UTC(year, monthIndex + 1, 1)),
+  };
+};
+
+/**
+ * Completed commission earnings and click counts per agent for a period
+ * Clicks held or rejected by fraud checks don't count towards volume.
+ * @returns {Map<string, Object>} Agent id -> { earnings, clicks }
+ */
+const collectAgentStats = async ({ start, end }) => {
+  const [earnings, clicks] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { type: 'earnings', status: 'completed', createdAt: { $gte: start, $lt: end } } },
+      { $group: { _id: '$user', total: { $sum: '$amount' } } },
+    ]),
+    ProductClick.aggregate([
+      {
+        $match: {
+          agent: { $ne: null },
+          createdAt: { $gte: start, $lt: end },
+          fraudStatus: { $nin: ['flagged', 'rejected'] },
+        },
+      },
+      { $group: { _id: '$agent', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const stats = new Map();
+  const entry = (id) => {
+    const key = String(id);
+    if (!stats.has(key)) stats.set(key, { earnings: 0, clicks: 0 });
+    return stats.get(key);
+  };
+
+  earnings.forEach((row) => { entry(row._id).earnings = Math.round(row.total * 100) / 100; });
+  clicks.forEach((row) => { entry(row._id).clicks = row.count; });
+
+  return stats;
+};
+
+/**
+ * Pick the best tier an agent qualifies for
+ * @param {Array} tiers - Active tiers sorted by rank, best first
+ * @param {Object} stats - { earnings, clicks }
+ * @returns {Object|null} AgentTier, or null if none applies
+ */
+const pickTier = (tiers, { earnings, clicks }) => tiers.find((tier) => (
+  earnings >= (tier.minMonthlyEarnings || 0) && clicks >= (tier.minMonthlyClicks || 0)
+)) || null;
+
+/**
+ * Recalculate every agent's tier from a month's performance
+ * @param {Object} options
+ * @param {string} options.month - YYYY-MM (default: previous calendar month)
+ * @param {string} options.trigger - 'schedule' or 'manual'
+ * @param {string} options.triggeredBy - Admin user id for manual runs
+ * @returns {Object|null} Finished AgentTierRun, or null if a recalculation is already running
+ */
+const recalculateAgentTiers = async ({ month = getPreviousMonth(), trigger = 'schedule', triggeredBy = null } = {}) => {
+  const range = getMonthRange(month);
+  if (!range) {
+    throw new Error(`Invalid month '${month}', expected YYYY-MM`);
+  }
+
+  if (isRecalculating) return null;
+  isRecalculating = true;
+
+  // The flag is cleared even if the run record itself can't be written
+  try {
+    const run = await AgentTierRun.create({ month, trigger, triggeredBy });
+
+    try {
+      const [tiers, agents, stats] = await Promise.all([
+        AgentTier.find({ status: 'active' }).sort({ rank: -1 }).lean(),
+        User.find({ role: 'agent' }).select('tier').lean(),
+        collectAgentStats(range),
+      ]);
+
+      const now = new Date();
+      for (const agent of agents) {
+        const agentStats = stats.get(String(agent._id)) || { earnings: 0, clicks: 0 };
+        const tier = pickTier(tiers, agentStats);
+        const newTier = tier ? tier.name : null;
+        run.evaluatedCount += 1;
+
+        if ((agent.tier || null) !== newTier) {
+          await User.updateOne({ _id: agent._id }, { $set: { tier: newTier, tierUpdatedAt: now } });
+          run.changes.push({ agent: agent._id, from: agent.tier || null, to: newTier, ...agentStats });
+        }
+      }
+
+      run.status = 'completed';
+      console.log(`[Agent Tiers] ${month}: evaluated ${run.evaluatedCount} agent(s), ${run.changes.length} tier change(s)`);
+    } catch (error) {
+      console.error(`[Agent Tiers] Recalculation for ${month} failed:`, error.message);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+    return run;
+  } finally {
+    isRecalculating = false;
+  }
+};
+
+/**
+ * Whether the scheduled recalculation for a month has already completed
+ * @param {string} month - YYYY-MM
+ * @returns {boolean} True if no scheduled run is needed
+ */
+const hasScheduledRun = async (month) => Boolean(
+  await AgentTierRun.exists({ month, trigger: 'schedule', status: 'completed' })
+);
+
+/**
+ * Commission multiplier for a tier
+ * @param {string} tierName - User.tier
+ * @returns {number} Multiplier (1 when the agent has no active tier)
+ */
+const getTierMultiplier = async (tierName) => {
+  if (!tierName) return 1;
+  const tier = await AgentTier.findOne({ name: tierName, status: 'active' }).select('multiplier').lean();
+  return tier ? tier.multiplier : 1;
+};
+
+module.exports = {
+  getPreviousMonth,
+  getMonthRange,
+  pickTier,
+  recalculateAgentTiers,
+  hasScheduledRun,
+  getTierMultiplier,
+};
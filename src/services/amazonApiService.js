@@ -1,5 +1,15 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const {
+  createCacheStore,
+  buildCacheKey,
+  getTtlForOperation,
+  getStaleWindow,
+} = require('./responseCache');
+const { createRequestQueue } = require('./requestQueue');
+const { createRetryPolicy, isRetryableResult, getBackoffDelay } = require('./retryPolicy');
+const { isMockEnabled, getMockBaseUrl } = require('../mock/paapiMockServer');
+const { createAmazonApiError } = require('../utils/amazonApiErrors');
 
 const SMART_MAP = {
   // Electronics & Gadgets
@@ -83,7 +93,9 @@ class AmazonAPIService {
     // Get marketplace-specific base URL
     // e.g., https://webservices.amazon.in/paapi5 for India
     // e.g., https://webservices.amazon.com/paapi5 for US
-    this.baseUrl = this.getBaseUrlFromMarketplace(this.marketplace);
+    // AWS_API_MOCK=true points at the bundled offline stand-in; AWS_API_BASE_URL overrides both
+    this.baseUrl = process.env.AWS_API_BASE_URL
+      || (isMockEnabled() ? getMockBaseUrl() : this.getBaseUrlFromMarketplace(this.marketplace));
 
     // Default resources to request from Amazon API (can be overridden in options)
     this.defaultSearchResources = process.env.AWS_SEARCH_RESOURCES
@@ -120,11 +132,27 @@ class AmazonAPIService {
         'ItemInfo.Classifications'
       ];
 
+    // Response cache (memory LRU by default, AWS_CACHE_DRIVER=mongo|none to change)
+    this.cache = createCacheStore();
+    // Background revalidations in flight, keyed by cache key
+    this.revalidations = new Map();
+
+    // Throttles outgoing requests to the account's TPS/TPD quota
+    this.requestQueue = createRequestQueue();
+
+    // Retries transient failures (throttling, 5xx, network) with jittered backoff
+    this.retryPolicy = createRetryPolicy();
+
     console.log('[Amazon API] Initialized:', {
       marketplace: this.marketplace,
       region: this.region,
       baseUrl: this.baseUrl,
+      mock: isMockEnabled(),
       hasCredentials: !!(this.accessKey && this.secretKey && this.partnerTag),
+      cache: this.cache ? this.cache.name : 'disabled',
+      tps: this.requestQueue.tps,
+      tpd: this.requestQueue.tpd,
+      maxAttempts: this.retryPolicy.maxAttempts,
     });
   }
 
@@ -424,7 +452,9 @@ class AmazonAPIService {
       }
 
       // Check if response contains errors even with status 200
-      if (responseData?.Errors && Array.isArray(responseData.Errors) && responseData.Errors.length > 0) {
+      // GetItems reports unknown ASINs in Errors alongside the ones it found; treat that as a partial success
+      const hasResults = !!(responseData?.ItemsResult || responseData?.SearchResult || responseData?.BrowseNodesResult);
+      if (!hasResults && responseData?.Errors && Array.isArray(responseData.Errors) && responseData.Errors.length > 0) {
         return {
           success: false,
           error: responseData.Errors[0],
@@ -573,6 +603,210 @@ class AmazonAPIService {
     }
   }
 
+  /**
+   * Make a request through the response cache
+   * Fresh entries are returned directly; stale entries are returned immediately
+   * while a background request refreshes them (stale-while-revalidate).
+   * Only successful responses are cached.
+   * @param {string} operation - PA-API operation (e.g., SearchItems)
+   * @param {Object} payload - Request payload
+   * @param {Object} options - { skipCache: boolean } to bypass the cache lookup
+   * @returns {Object} Service result with a `cache` metadata object
+   */
+  async cachedRequest(operation, payload, options = {}) {
+    const key = buildCacheKey(operation, payload);
+
+    if (!this.cache) {
+      const result = await this.requestWithRetry(operation, payload, key);
+      return { ...result, cache: { hit: false, stale: false, store: 'disabled' } };
+    }
+
+    const now = Date.now();
+
+    let entry = null;
+    if (!options.skipCache) {
+      try {
+        entry = await this.cache.get(key);
+      } catch (error) {
+        console.error('[Amazon API] Cache read failed:', error.message);
+      }
+    }
+
+    if (entry) {
+      const stale = entry.expiresAt <= now;
+      if (stale) {
+        this.revalidate(operation, payload, key);
+      }
+
+      console.log(`[Amazon API] Cache ${stale ? 'stale hit' : 'hit'}:`, { operation, key });
+      return {
+        ...entry.value,
+        cache: {
+          hit: true,
+          stale,
+          store: this.cache.name,
+          ageSeconds: Math.floor((now - entry.storedAt) / 1000),
+          expiresAt: new Date(entry.expiresAt).toISOString(),
+        },
+      };
+    }
+
+    const result = await this.requestWithRetry(operation, payload, key);
+    const storedEntry = await this.storeInCache(operation, key, result);
+
+    return {
+      ...result,
+      cache: {
+        hit: false,
+        stale: false,
+        store: this.cache.name,
+        ageSeconds: 0,
+        expiresAt: storedEntry ? new Date(storedEntry.expiresAt).toISOString() : null,
+      },
+    };
+  }
+
+  /**
+   * Send a request through the rate-limited queue
+   * Identical requests already waiting or in flight share a single call.
+   * Rejected requests resolve with { success: false, rateLimited: true, retryAfter }.
+   * @param {string} operation - PA-API operation
+   * @param {Object} payload - Request payload
+   * @param {string} key - Coalescing key (operation + normalized payload)
+   * @returns {Object} Service result
+   */
+  async queuedRequest(operation, payload, key) {
+    const result = await this.requestQueue.schedule(key, () => this.makeRequest(operation, payload));
+
+    if (result.rateLimited) {
+      console.warn('[Amazon API] Request rejected by rate limiter:', {
+        operation,
+        retryAfter: result.retryAfter,
+        ...this.requestQueue.getStats(),
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Send a request, retrying transient failures with exponential backoff
+   * Each attempt goes through the rate-limited queue. The number of retries
+   * performed is reported on the result as `retries`.
+   * @param {string} operation - PA-API operation
+   * @param {Object} payload - Request payload
+   * @param {string} key - Coalescing key (operation + normalized payload)
+   * @returns {Object} Service result
+   */
+  async requestWithRetry(operation, payload, key) {
+    const { maxAttempts } = this.retryPolicy;
+    let result;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      result = await this.queuedRequest(operation, payload, key);
+
+      if (!isRetryableResult(result) || attempt === maxAttempts) {
+        if (!result.success && attempt > 1) {
+          console.error(`[Amazon API] ${operation} failed after ${attempt} attempts:`, {
+            code: result.error?.Code,
+            type: result.error?.Type,
+          });
+        }
+        return { ...result, retries: attempt - 1 };
+      }
+
+      const delay = getBackoffDelay(attempt, this.retryPolicy);
+      console.warn(`[Amazon API] ${operation} attempt ${attempt}/${maxAttempts} failed, retrying in ${delay}ms:`, {
+        code: result.error?.Code,
+        type: result.error?.Type,
+        statusCode: result.statusCode,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    return result;
+  }
+
+  /**
+   * Get request queue statistics (depth, rejected count, daily usage)
+   * @returns {Object} Queue statistics
+   */
+  getQueueStats() {
+    return this.requestQueue.getStats();
+  }
+
+  /**
+   * Store a successful result in the cache
+   * @param {string} operation - PA-API operation
+   * @param {string} key - Cache key
+   * @param {Object} result - Service result from makeRequest
+   * @returns {Object|null} The stored entry, or null if not cached
+   */
+  async storeInCache(operation, key, result) {
+    if (!result.success) return null;
+
+    const ttl = getTtlForOperation(operation);
+    if (ttl <= 0) return null;
+
+    // Retry counts describe the original request, not later cache hits
+    const { retries, ...value } = result;
+    const storedAt = Date.now();
+    const entry = {
+      value,
+      storedAt,
+      expiresAt: storedAt + ttl * 1000,
+      staleUntil: storedAt + (ttl + getStaleWindow()) * 1000,
+    };
+
+    try {
+      await this.cache.set(key, entry);
+      return entry;
+    } catch (error) {
+      console.error('[Amazon API] Cache write failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Refresh a stale cache entry in the background
+   * Only one revalidation per key runs at a time; failures keep the stale entry.
+   * @param {string} operation - PA-API operation
+   * @param {Object} payload - Request payload
+   * @param {string} key - Cache key
+   */
+  revalidate(operation, payload, key) {
+    if (this.revalidations.has(key)) return;
+
+    const task = this.requestWithRetry(operation, payload, key)
+      .then((result) => {
+        if (!result.success) {
+          console.warn('[Amazon API] Revalidation failed, keeping stale entry:', { operation, key });
+          return null;
+        }
+        return this.storeInCache(operation, key, result);
+      })
+      .catch((error) => console.error('[Amazon API] Revalidation error:', error.message))
+      .finally(() => this.revalidations.delete(key));
+
+    this.revalidations.set(key, task);
+  }
+
+  /**
+   * Return a successful result or throw the matching AmazonApiError
+   * @param {Object} result - Service result
+   * @returns {Object} The result, when successful
+   * @throws {AmazonApiError} Typed error for failed requests
+   */
+  ensureSuccess(result) {
+    if (result.success) {
+      return result;
+    }
+
+    // Rate-limited callers get the queue state so they can back off sensibly
+    const context = result.rateLimited ? this.getQueueStats() : null;
+    throw createAmazonApiError(result, context);
+  }
+
   // Search items
   async searchItems(keywords, options = {}) {
     const payload = {
@@ -603,7 +837,7 @@ class AmazonAPIService {
     }
 
     console.log('[Amazon API] SearchItems payload:', JSON.stringify(payload, null, 2));
-    return await this.makeRequest('SearchItems', payload);
+    return this.ensureSuccess(await this.cachedRequest('SearchItems', payload, options));
   }
 
   // Get items by ASIN
@@ -618,7 +852,7 @@ class AmazonAPIService {
     };
 
     console.log('[Amazon API] GetItems payload:', JSON.stringify(payload, null, 2));
-    return await this.makeRequest('GetItems', payload);
+    return this.ensureSuccess(await this.cachedRequest('GetItems', payload, options));
   }
 
   // Get browse nodes
@@ -631,7 +865,7 @@ class AmazonAPIService {
       Resources: options.resources || ['BrowseNodes.Ancestor', 'BrowseNodes.Children'],
     };
 
-    return await this.makeRequest('GetBrowseNodes', payload);
+    return this.ensureSuccess(await this.cachedRequest('GetBrowseNodes', payload, options));
   }
 }
 
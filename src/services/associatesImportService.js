@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const Transaction = require('../models/Transaction');
+const ProductClick = require('../models/ProductClick');
+const User = require('../models/User');
+const AssociatesReportImport = require('../models/AssociatesReportImport');
+const { completeTransaction } = require('./ledgerService');
+const { runInTransaction } = require('../utils/dbTransaction');
+const { parseAssociatesReport } = require('../utils/associatesReportParser');
+const { LedgerError } = require('../utils/ledgerErrors');
+const { readInt } = require('../utils/env');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Import configuration from environment
+ * ASSOCIATES_MATCH_WINDOW_DAYS - How long before the report date a click may have happened (default 30)
+ * ASSOCIATES_PENDING_EXPIRY_DAYS - Pending commissions older than this are failed after an import (default 90, 0 = never)
+ * @returns {Object} { matchWindowDays, pendingExpiryDays, defaultTag }
+ */
+const getImportConfig = () => ({
+  matchWindowDays: readInt('ASSOCIATES_MATCH_WINDOW_DAYS', 30),
+  pendingExpiryDays: readInt('ASSOCIATES_PENDING_EXPIRY_DAYS', 90),
+  // Clicks recorded before per-click tags existed carried the account's default tag
+  defaultTag: process.env.AWS_PARTNER_TAG || null,
+});
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+/**
+ * Find the pending commission a report row most likely belongs to
+ * Picks the most recent click on the same ASIN and tracking tag inside the match window.
+ * @param {Object} row - Parsed report row
+ * @param {Object} config - Import configuration
+ * @param {Set<string>} usedTransactionIds - Commissions already claimed by earlier rows
+ * @returns {Object|null} { transaction, click }
+ */
+const findPendingCommission = async (row, config, usedTransactionIds) => {
+  const windowEnd = new Date(row.date.getTime() + DAY_MS);
+  const windowStart = new Date(row.date.getTime() - config.matchWindowDays * DAY_MS);
+
+  const query = { asin: row.asin, agent: { $ne: null }, createdAt: { $gte: windowStart, $lt: windowEnd } };
+  if (row.trackingId) {
+    query.$or = [{ trackingTag: row.trackingId }];
+    if (row.trackingId === config.defaultTag) {
+      query.$or.push({ trackingTag: null });
+    }
+  }
+
+  const clicks = await ProductClick.find(query).select('_id createdAt commissionRate').sort({ createdAt: -1 }).lean();
+  if (clicks.length === 0) return null;
+
+  const pending = await Transaction.find({
+    type: 'earnings',
+    status: 'pending',
+    referenceModel: 'ProductClick',
+    referenceId: { $in: clicks.map((click) => click._id) },
+  }).select('_id referenceId user amount').lean();
+
+  const pendingByClick = new Map(pending.map((t) => [String(t.referenceId), t]));
+
+  for (const click of clicks) {
+    const transaction = pendingByClick.get(String(click._id));
+    if (transaction && !usedTransactionIds.has(String(transaction._id))) {
+      return { transaction, click };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The agent's share of a confirmed sale
+ * The click's rate (commission rule and tier multiplier) is applied to the sale value in
+ * the report, falling back to the click-time estimate when the row has no price. The
+ * agent never gets more than the ad fees Amazon paid for the item.
+ * @param {Object} transaction - Pending commission Transaction
+ * @param {Object} click - ProductClick ({ commissionRate }), if still present
+ * @param {Object} row - Parsed report row
+ * @returns {number} Commission amount
+ */
+const getConfirmedCommission = (transaction, click, row) => {
+  const saleValue = row.price > 0 ? row.price * (row.quantity || 1) : null;
+  const share = saleValue !== null && click && click.commissionRate > 0
+    ? saleValue * click.commissionRate
+    : transaction.amount;
+  return roundAmount(Math.min(share, row.earnings));
+};
+
+/**
+ * Confirm a pending commission from the Associates report row for its sale
+ * @param {string} transactionId - Pending earnings transaction id
+ * @param {Object} row - Parsed report row
+ * @param {Object} details - { conversionKey, importId, importedBy }
+ * @returns {Object} Completed Transaction document
+ */
+const confirmCommission = (transactionId, row, { conversionKey, importId, importedBy }) => runInTransaction(async (session) => {
+  const transaction = await Transaction.findOne({ _id: transactionId, status: 'pending' }).session(session);
+  if (!transaction) {
+    throw new LedgerError('Commission is no longer pending');
+  }
+
+  const click = await ProductClick.findById(transaction.referenceId).select('commissionRate').session(session).lean();
+
+  transaction.estimatedAmount = transaction.amount;
+  transaction.confirmedEarnings = roundAmount(row.earnings);
+  transaction.amount = getConfirmedCommission(transaction, click, row);
+  transaction.description = `Confirmed Commission (Amazon report ${row.date.toISOString().slice(0, 10)}): ${row.title || row.asin}`;
+  transaction.conversionKey = conversionKey;
+  transaction.conversionImport = importId;
+  await transaction.save({ session });
+
+  return completeTransaction(transaction._id, { postedBy: importedBy, session });
+});
+
+/**
+ * Fail pending click commissions that no report has confirmed within the expiry window
+ * @param {Object} options - { pendingExpiryDays, importId }
+ * @returns {number} Commissions failed
+ */
+const expirePendingCommissions = async ({ pendingExpiryDays = getImportConfig().pendingExpiryDays, importId = null } = {}) => {
+  if (!pendingExpiryDays) return 0;
+
+  const cutoff = new Date(Date.now() - pendingExpiryDays * DAY_MS);
+  const result = await Transaction.updateMany(
+    { type: 'earnings', status: 'pending', referenceModel: 'ProductClick', createdAt: { $lt: cutoff } },
+    {
+      $set: {
+        status: 'failed',
+        auditNote: `No matching Amazon Associates report row within ${pendingExpiryDays} days`,
+        ...(importId ? { conversionImport: importId } : {}),
+      },
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`[Associates Import] Failed ${result.modifiedCount} unconfirmed commission(s) older than ${pendingExpiryDays} days`);
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Import an Associates earnings report
+ * Matches each row to a pending click commission by ASIN, tracking tag and date window,
+ * completes it with the earned amount, then fails commissions older than the expiry window.
+ * @param {Object} options
+ * @param {string} options.content - Report file contents (CSV or TSV)
+ * @param {string} options.fileName - Original file name
+ * @param {string} options.importedBy - Admin user id (null for the CLI)
+ * @param {boolean} options.dryRun - Match rows without writing anything
+ * @returns {Object} Import summary (the saved AssociatesReportImport unless dryRun)
+ * @throws {LedgerError} If the file cannot be parsed or was imported before
+ */
+const importAssociatesReport = async ({ content, fileName = 'report.csv', importedBy = null, dryRun = false }) => {
+  const fileHash = crypto.createHash('sha256').update(String(content || '')).digest('hex');
+
+  const previous = await AssociatesReportImport.findOne({ fileHash }).select('status');
+  if (previous && previous.status !== 'failed') {
+    throw new LedgerError('This report has already been imported', 409);
+  }
+
+  let parsed;
+  try {
+    parsed = parseAssociatesReport(content);
+  } catch (error) {
+    throw new LedgerError(`Could not read report: ${error.message}`);
+  }
+
+  const config = getImportConfig();
+  const dates = parsed.rows.map((row) => row.date.getTime());
+
+  const importDoc = new AssociatesReportImport({
+    fileName,
+    fileHash,
+    format: parsed.delimiter,
+    importedBy,
+    periodStart: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+    periodEnd: dates.length > 0 ? new Date(Math.max(...dates)) : null,
+  });
+  if (!dryRun) {
+    // A failed import may be retried; rows it already applied are skipped as duplicates
+    if (previous) {
+      await previous.deleteOne();
+    }
+    await importDoc.save();
+  }
+
+  const rows = parsed.errors.map((e) => ({ rowNumber: e.rowNumber, status: 'invalid', reason: e.error }));
+  const usedTransactionIds = new Set();
+  const occurrences = new Map();
+
+  try {
+    for (const row of parsed.rows) {
+      const result = {
+        rowNumber: row.rowNumber,
+        asin: row.asin,
+        trackingId: row.trackingId,
+        date: row.date,
+        earnings: row.earnings,
+      };
+      rows.push(result);
+
+      if (row.earnings === null) {
+        Object.assign(result, { status: 'skipped', reason: 'Row has no earnings (orders report?)' });
+        continue;
+      }
+      if (row.earnings <= 0 || row.returns > 0) {
+        Object.assign(result, { status: 'skipped', reason: 'Return or zero-fee row' });
+        continue;
+      }
+
+      // Identical rows (same item shipped twice) get distinct keys by occurrence
+      const fingerprint = `${row.asin}|${row.trackingId || ''}|${row.date.toISOString()}|${row.earnings}`;
+      const occurrence = (occurrences.get(fingerprint) || 0) + 1;
+      occurrences.set(fingerprint, occurrence);
+      const conversionKey = `associates:${fingerprint}|${occurrence}`;
+
+      if (await Transaction.exists({ conversionKey })) {
+        Object.assign(result, { status: 'duplicate', reason: 'Row was already applied by an earlier import' });
+        continue;
+      }
+
+      const match = await findPendingCommission(row, config, usedTransactionIds);
+      if (!match) {
+        Object.assign(result, { status: 'unmatched', reason: 'No pending click commission for this ASIN, tag and date' });
+        continue;
+      }
+
+      usedTransactionIds.add(String(match.transaction._id));
+      Object.assign(result, { transaction: match.transaction._id, click: match.click._id });
+
+      // Deactivated agents' commissions stay pending rather than being confirmed
+      if (await User.exists({ _id: match.transaction.user, isDeactivated: true })) {
+        Object.assign(result, { status: 'skipped', reason: 'Agent account is deactivated' });
+        continue;
+      }
+
+      if (dryRun) {
+        Object.assign(result, { status: 'matched', commission: getConfirmedCommission(match.transaction, match.click, row) });
+        continue;
+      }
+
+      try {
+        const confirmed = await confirmCommission(match.transaction._id, row, { conversionKey, importId: importDoc._id, importedBy });
+        Object.assign(result, { status: 'matched', commission: confirmed.amount });
+      } catch (error) {
+        Object.assign(result, { status: 'unmatched', reason: error.message });
+      }
+    }
+
+    rows.sort((a, b) => a.rowNumber - b.rowNumber);
+    importDoc.rows = rows;
+    importDoc.counts.rows = rows.length;
+    ['matched', 'unmatched', 'skipped', 'duplicate', 'invalid'].forEach((status) => {
+      importDoc.counts[status] = rows.filter((row) => row.status === status).length;
+    });
+    const matchedRows = rows.filter((row) => row.status === 'matched');
+    importDoc.matchedEarnings = roundAmount(matchedRows.reduce((sum, row) => sum + row.earnings, 0));
+    importDoc.matchedCommission = roundAmount(matchedRows.reduce((sum, row) => sum + row.commission, 0));
+
+    if (dryRun) {
+      return importDoc.toObject();
+    }
+
+    importDoc.counts.expired = await expirePendingCommissions({
+      pendingExpiryDays: config.pendingExpiryDays,
+      importId: importDoc._id,
+    });
+    importDoc.status = 'completed';
+    await importDoc.save();
+
+    console.log(`[Associates Import] ${fileName}: ${importDoc.counts.matched} matched, ${importDoc.counts.unmatched} unmatched, ${importDoc.counts.expired} expired`);
+
+    return importDoc;
+  } catch (error) {
+    if (!dryRun) {
+      importDoc.status = 'failed';
+      importDoc.failureReason = error.message;
+      importDoc.rows = rows;
+      await importDoc.save().catch(() => {});
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  importAssociatesReport,
+  expirePendingCommissions,
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getTrackingTagForAgent } = require('./trackingIdService');
+
+/**
+ * Find an agent/admin who can currently be credited with clicks
+ * @param {Object} query - User query (e.g. { _id } or { referralCode })
+ * @returns {Object|null} Lean user ({ _id }) or null if missing, not an agent or deactivated
+ */
+const findActiveAgent = (query) => User.findOne({
+  ...query,
+  role: { $in: ['agent', 'admin'] },
+  isDeactivated: { $ne: true },
+}).select('_id').lean();
+
+/**
+ * Work out which agent a product view or click belongs to
+ * Priority: logged-in agent/admin (self), explicit agentId, referral code
+ * from the share link (works for guests), then the user's permanent referrer.
+ * Deactivated agents are skipped at every step.
+ * @param {Object} options
+ * @param {Object} options.user - Logged-in user (req.user), if any
+ * @param {string} options.referralCode - Referral code from the share link
+ * @param {string} options.providedAgentId - Agent id sent by the client
+ * @returns {string|null} Agent user id
+ */
+const resolveAttributedAgent = async ({ user = null, referralCode = null, providedAgentId = null } = {}) => {
+  const userId = user ? user.id : null;
+
+  // Self-attribution: a logged-in agent/admin gets the click regardless of other factors
+  if (user && (user.role === 'agent' || user.role === 'admin') && !user.isDeactivated) {
+    console.log(`[Affiliate] Self-attributing click to agent/admin: ${user._id}`);
+    return user._id;
+  }
+
+  if (providedAgentId && mongoose.isValidObjectId(providedAgentId)) {
+    const agent = await findActiveAgent({ _id: providedAgentId });
+    if (agent) {
+      return agent._id;
+    }
+    console.log(`[Affiliate] Ignoring provided agent ${providedAgentId}: not an active agent`);
+  }
+
+  if (referralCode) {
+    const agent = await findActiveAgent({ referralCode: String(referralCode).trim().toUpperCase() });
+    if (agent) {
+      console.log(`[Affiliate] Attributing click to agent from code: ${String(referralCode).toUpperCase()} (User: ${userId ? userId : 'Guest'})`);
+      return agent._id;
+    }
+  }
+
+  if (userId) {
+    const dbUser = await User.findById(userId);
+    if (dbUser && dbUser.referredBy) {
+      const referrer = await findActiveAgent({ _id: dbUser.referredBy });
+      if (referrer) {
+        console.log(`[Affiliate] Attributing click to user's permanent referrer: ${dbUser.referredBy}`);
+        return referrer._id;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the attributed agent together with the tracking tag their links should carry
+ * @param {Object} options - Same as resolveAttributedAgent
+ * @returns {Object} { agentId, trackingTag } - trackingTag falls back to AWS_PARTNER_TAG
+ */
+const resolveAttribution = async (options = {}) => {
+  const agentId = await resolveAttributedAgent(options);
+  const trackingTag = await getTrackingTagForAgent(agentId);
+  return { agentId, trackingTag };
+};
+
+module.exports = {
+  resolveAttributedAgent,
+  resolveAttribution,
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { generateToken } = require('../utils/tokenUtils');
+const { readInt } = require('../utils/env');
+
+/**
+ * Days a refresh token stays valid from REFRESH_TOKEN_DAYS (default: 30)
+ * @returns {number} Lifetime in days
+ */
+const getRefreshTokenDays = () => readInt('REFRESH_TOKEN_DAYS', 30) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Store a new refresh token for a user
+ * @param {Object} user - User (needs _id and tokenVersion)
+ * @param {Object} options - { family, ipAddress, userAgent }
+ * @returns {Object} { token, record } - raw token for the client and its stored record
+ */
+const issueRefreshToken = async (user, { family, ipAddress, userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000),
+    ipAddress,
+    userAgent,
+  });
+
+  return { token, record };
+};
+
+/**
+ * Start a session: a short-lived access token plus a refresh token
+ * @param {Object} user - User
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Object} { token, refreshToken, refreshTokenExpiresAt }
+ */
+const createSession = async (user, context = {}) => {
+  const { token: refreshToken, record } = await issueRefreshToken(user, context);
+
+  return {
+    token: generateToken(user._id.toString(), user.tokenVersion || 0),
+    refreshToken,
+    refreshTokenExpiresAt: record.expiresAt,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token is revoked. Presenting an already rotated token means it was
+ * copied, so its whole family (every token from that login) is revoked.
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Object|null} { user, token, refreshToken, refreshTokenExpiresAt }, or null if not usable
+ */
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash, revokedReason: 'rotated' });
+    if (reused) {
+      console.warn(`[Auth] Rotated refresh token reused for user ${reused.user}; revoking its family`);
+      await RefreshToken.updateMany(
+        { family: reused.family, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'reuse_detected' } }
+      );
+    }
+    return null;
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || user.isDeactivated || (user.tokenVersion || 0) !== current.tokenVersion) {
+    return null;
+  }
+
+  const { token: nextRefreshToken, record } = await issueRefreshToken(user, { ...context, family: current.family });
+  current.replacedBy = record._id;
+  await current.save();
+
+  return {
+    user,
+    token: generateToken(user._id.toString(), user.tokenVersion || 0),
+    refreshToken: nextRefreshToken,
+    refreshTokenExpiresAt: record.expiresAt,
+  };
+};
+
+/**
+ * Revoke one refresh token (logout from this device)
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {boolean} True if an active token was revoked
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every access and refresh token a user holds
+ * Bumps User.tokenVersion, so access tokens already issued stop working too.
+ * Callers that save the user themselves can pass the document to have it bumped in place.
+ * @param {Object|string} userOrId - User document (bumped but not saved) or user ID
+ * @param {string} reason - Why (stored on the refresh tokens)
+ */
+const revokeAllTokens = async (userOrId, reason = 'revoked') => {
+  let userId = userOrId;
+  if (userOrId && typeof userOrId === 'object' && userOrId._id) {
+    userId = userOrId._id;
+    userOrId.tokenVersion = (userOrId.tokenVersion || 0) + 1;
+  } else {
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  }
+
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Client details recorded with a refresh token
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const getSessionContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+  getSessionContext,
+};
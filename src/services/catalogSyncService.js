@@ -0,0 +1,279 @@
+const Product = require('../models/Product');
+const CatalogSyncRun = require('../models/CatalogSyncRun');
+const amazonApiService = require('./amazonApiService');
+const { AmazonApiError, AmazonRateLimitError } = require('../utils/amazonApiErrors');
+const { mapItemToProductFields, extractItemPrice } = require('../utils/amazonItemMapper');
+const { recordPriceObservation } = require('./priceHistoryService');
+const { readInt, readNumber } = require('../utils/env');
+
+// PA-API GetItems accepts at most 10 ASINs per request
+const BATCH_SIZE = 10;
+
+// Runs stuck in 'running' longer than this are assumed dead (e.g. server restart)
+const STALE_RUN_MS = 2 * 60 * 60 * 1000;
+
+// Keep run documents small
+const MAX_RECORDED_ERRORS = 50;
+
+// Error codes meaning the ASIN no longer exists or is not available to us
+const MISSING_ITEM_CODES = ['InvalidParameterValue', 'ItemNotAccessible'];
+
+/**
+ * Sync configuration from environment
+ * CATALOG_SYNC_MAX_PRODUCTS - Products refreshed per run, oldest first (0 = all)
+ * CATALOG_SYNC_QUOTA_SHARE - Fraction of the daily PA-API quota the job may use (default 0.5)
+ * @returns {Object} { maxProducts, quotaShare }
+ */
+const getSyncConfig = () => {
+  const quotaShare = readNumber('CATALOG_SYNC_QUOTA_SHARE', 0.5);
+
+  return {
+    maxProducts: readInt('CATALOG_SYNC_MAX_PRODUCTS', 0),
+    quotaShare: quotaShare > 1 ? 0.5 : quotaShare,
+  };
+};
+
+/**
+ * Find ASINs that Amazon reported as invalid or inaccessible
+ * @param {Array} errors - PA-API Errors array
+ * @returns {Set<string>} Upper-cased ASINs
+ */
+const getMissingAsins = (errors = []) => {
+  const missing = new Set();
+
+  errors.forEach((error) => {
+    if (!MISSING_ITEM_CODES.includes(error.Code)) return;
+    const match = /ItemId\s+([A-Z0-9]{10})/i.exec(error.Message || '');
+    if (match) {
+      missing.add(match[1].toUpperCase());
+    }
+  });
+
+  return missing;
+};
+
+const recordRunError = (run, asins, code, message) => {
+  if (run.syncErrors.length < MAX_RECORDED_ERRORS) {
+    run.syncErrors.push({ asins, code, message });
+  }
+};
+
+/**
+ * Refresh one batch of products from Amazon
+ * @param {Object} run - CatalogSyncRun document (counters are updated in place)
+ * @param {Array<string>} asins - Up to 10 ASINs
+ * @throws {AmazonRateLimitError} When the quota is exhausted, so the run can stop
+ */
+const syncBatch = async (run, asins) => {
+  const now = new Date();
+  let items = [];
+  let errors = [];
+
+  try {
+    // Bypass the response cache: the point is to see Amazon's current data
+    const result = await amazonApiService.getItems(asins, { skipCache: true });
+    items = result.data?.ItemsResult?.Items || [];
+    errors = result.data?.Errors || [];
+  } catch (error) {
+    if (error instanceof AmazonRateLimitError) {
+      throw error;
+    }
+
+    if (!(error instanceof AmazonApiError)) {
+      throw error;
+    }
+
+    // Every ASIN in the batch was rejected: check whether they are simply gone
+    errors = error.responseData?.Errors || [];
+    if (getMissingAsins(errors).size === 0) {
+      await Product.updateMany(
+        { asin: { $in: asins } },
+        {
+          $set: { lastSyncError: { code: error.amazonCode || error.errorCode, message: error.message, at: now } },
+          $inc: { syncErrorCount: 1 },
+        }
+      );
+      run.failedCount += asins.length;
+      recordRunError(run, asins, error.amazonCode || error.errorCode, error.message);
+      return;
+    }
+  }
+
+  const found = new Set();
+  for (const item of items) {
+    const asin = String(item.ASIN).toUpperCase();
+    found.add(asin);
+
+    await Product.updateOne(
+      { asin },
+      {
+        $set: {
+          ...mapItemToProductFields(item),
+          lastSyncedAt: now,
+          lastSyncError: null,
+          syncErrorCount: 0,
+        },
+      }
+    );
+    run.updatedCount += 1;
+
+    const price = extractItemPrice(item);
+    if (price) {
+      await recordPriceObservation({ asin, ...price, source: 'catalog_sync' });
+    }
+  }
+
+  const missing = getMissingAsins(errors);
+  const archived = asins.filter((asin) => !found.has(asin) && missing.has(asin));
+  const unaccounted = asins.filter((asin) => !found.has(asin) && !missing.has(asin));
+
+  if (archived.length > 0) {
+    await Product.updateMany(
+      { asin: { $in: archived } },
+      {
+        $set: {
+          status: 'archived',
+          lastSyncedAt: now,
+          lastSyncError: { code: 'ItemNotAccessible', message: 'Item is no longer available on Amazon', at: now },
+        },
+      }
+    );
+    run.archivedCount += archived.length;
+    console.log(`[Catalog Sync] Archived ${archived.length} missing product(s): ${archived.join(', ')}`);
+  }
+
+  if (unaccounted.length > 0) {
+    await Product.updateMany(
+      { asin: { $in: unaccounted } },
+      {
+        $set: { lastSyncError: { code: 'NotReturned', message: 'Item missing from GetItems response', at: now } },
+        $inc: { syncErrorCount: 1 },
+      }
+    );
+    run.failedCount += unaccounted.length;
+    recordRunError(run, unaccounted, 'NotReturned', 'Item missing from GetItems response');
+  }
+};
+
+/**
+ * Check whether the job may spend another request without eating into user traffic
+ * @param {number} quotaShare - Fraction of the daily quota the job may use
+ * @returns {boolean} True if another batch may be sent
+ */
+const hasQuotaForBatch = (quotaShare) => {
+  const { dailyUsed, dailyLimit } = amazonApiService.getQueueStats();
+  return dailyUsed < dailyLimit * quotaShare;
+};
+
+/**
+ * Get the currently running sync, marking abandoned runs as failed
+ * @returns {Object|null} Running CatalogSyncRun document
+ */
+const getActiveRun = async () => {
+  const running = await CatalogSyncRun.findOne({ status: 'running' }).sort({ startedAt: -1 });
+  if (!running) return null;
+
+  if (Date.now() - running.startedAt.getTime() > STALE_RUN_MS) {
+    running.status = 'failed';
+    running.abortReason = 'Run did not finish (server restarted or crashed)';
+    running.finishedAt = new Date();
+    await running.save();
+    return null;
+  }
+
+  return running;
+};
+
+/**
+ * Refresh every known (non-archived) product from Amazon in batches of 10
+ * Products that have gone longest without a sync are refreshed first.
+ * @param {CatalogSyncRun} run - Run document created by startCatalogSync
+ * @returns {Object} The finished run
+ */
+const executeRun = async (run) => {
+  const { maxProducts, quotaShare } = getSyncConfig();
+
+  try {
+    let query = Product.find({ status: { $ne: 'archived' } })
+      .sort({ lastSyncedAt: 1, createdAt: 1 })
+      .select('asin');
+    if (maxProducts > 0) {
+      query = query.limit(maxProducts);
+    }
+
+    const asins = (await query.lean()).map((product) => product.asin);
+    run.totalProducts = asins.length;
+    await run.save();
+
+    console.log(`[Catalog Sync] Run ${run._id} started (${run.trigger}): ${asins.length} product(s)`);
+
+    for (let i = 0; i < asins.length; i += BATCH_SIZE) {
+      if (!hasQuotaForBatch(quotaShare)) {
+        run.status = 'aborted';
+        run.abortReason = 'Daily PA-API quota share for catalog sync used up';
+        break;
+      }
+
+      try {
+        await syncBatch(run, asins.slice(i, i + BATCH_SIZE));
+      } catch (error) {
+        if (error instanceof AmazonRateLimitError) {
+          run.status = 'aborted';
+          run.abortReason = `Rate limited by PA-API: ${error.message}`;
+          break;
+        }
+        throw error;
+      }
+
+      run.batchesProcessed += 1;
+      await run.save();
+    }
+
+    if (run.status === 'running') {
+      run.status = 'completed';
+    }
+  } catch (error) {
+    console.error(`[Catalog Sync] Run ${run._id} failed:`, error.message);
+    run.status = 'failed';
+    run.abortReason = error.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  console.log(`[Catalog Sync] Run ${run._id} ${run.status}:`, {
+    updated: run.updatedCount,
+    archived: run.archivedCount,
+    failed: run.failedCount,
+  });
+
+  return run;
+};
+
+/**
+ * Start a catalog sync run in the background
+ * @param {Object} options
+ * @param {string} options.trigger - 'schedule' or 'manual'
+ * @param {string} options.triggeredBy - Admin user id for manual runs
+ * @returns {Object} { started: boolean, run: CatalogSyncRun } - run is the active one when not started
+ */
+const startCatalogSync = async ({ trigger = 'schedule', triggeredBy = null } = {}) => {
+  const activeRun = await getActiveRun();
+  if (activeRun) {
+    return { started: false, run: activeRun };
+  }
+
+  const run = await CatalogSyncRun.create({ trigger, triggeredBy });
+
+  executeRun(run).catch((error) => {
+    console.error('[Catalog Sync] Unexpected error:', error.message);
+  });
+
+  return { started: true, run };
+};
+
+module.exports = {
+  startCatalogSync,
+  getActiveRun,
+  getMissingAsins,
+};
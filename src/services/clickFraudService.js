@@ -0,0 +1,189 @@
+const ProductClick = require('../models/ProductClick');
+const { readInt } = require('../utils/env');
+
+// Header mobile/web clients send with a stable per-device identifier
+const FINGERPRINT_HEADER = 'x-device-fingerprint';
+
+// Header identifying a guest's browsing session (used for click de-duplication)
+const SESSION_HEADER = 'x-session-id';
+
+/**
+ * Fraud scoring configuration from environment
+ * FRAUD_FLAG_SCORE - Score at which a click is flagged and its commission withheld (default 50)
+ * FRAUD_DUPLICATE_WINDOW_MINUTES - Repeat clicks on the same ASIN for the same agent within this window are duplicates (default 60)
+ * FRAUD_IP_CLICKS_PER_HOUR / FRAUD_USER_CLICKS_PER_HOUR / FRAUD_AGENT_CLICKS_PER_HOUR - Velocity limits (defaults 30 / 20 / 300)
+ * FRAUD_DEVICE_USERS_PER_DAY - Distinct accounts one device may click from in a day (default 3)
+ * @returns {Object} Thresholds
+ */
+const getFraudConfig = () => ({
+  flagScore: readInt('FRAUD_FLAG_SCORE', 50),
+  duplicateWindowMinutes: readInt('FRAUD_DUPLICATE_WINDOW_MINUTES', 60),
+  ipClicksPerHour: readInt('FRAUD_IP_CLICKS_PER_HOUR', 30),
+  userClicksPerHour: readInt('FRAUD_USER_CLICKS_PER_HOUR', 20),
+  agentClicksPerHour: readInt('FRAUD_AGENT_CLICKS_PER_HOUR', 300),
+  deviceUsersPerDay: readInt('FRAUD_DEVICE_USERS_PER_DAY', 3),
+});
+
+// Points each signal adds to a click's score
+const SIGNAL_WEIGHTS = {
+  self_referral: 100,
+  agent_device: 80,
+  agent_ip: 40,
+  ip_velocity: 40,
+  user_velocity: 40,
+  device_shared: 30,
+  duplicate_click: 30, // Shoppers come back to a product, so a repeat alone stays under the default threshold
+  agent_velocity: 20,
+  missing_fingerprint: 5,
+};
+
+/**
+ * Collect the request details a click is scored on
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent, deviceFingerprint, sessionId }
+ */
+const getClickContext = (req) => {
+  const fingerprint = req.get(FINGERPRINT_HEADER);
+  const sessionId = req.get(SESSION_HEADER);
+  return {
+    ipAddress: req.ip || null,
+    userAgent: (req.get('user-agent') || '').slice(0, 512) || null,
+    deviceFingerprint: fingerprint ? String(fingerprint).trim().slice(0, 128) : null,
+    sessionId: sessionId ? String(sessionId).trim().slice(0, 128) : null,
+  };
+};
+
+const sameId = (a, b) => Boolean(a && b && String(a) === String(b));
+
+/**
+ * Score a click before it is stored
+ * Counts look at clicks already recorded, so the click being scored is not included.
+ * @param {Object} click
+ * @param {string} click.userId - Logged-in user id (null for guests)
+ * @param {string} click.agentId - Attributed agent id
+ * @param {string} click.asin - Product ASIN
+ * @param {Object} click.context - Result of getClickContext
+ * @returns {Object} { score, flagged, signals: Array<{ code, weight, detail }> }
+ */
+const scoreClick = async ({ userId = null, agentId = null, asin, context = {} }) => {
+  const config = getFraudConfig();
+  const { ipAddress, deviceFingerprint } = context;
+  const now = Date.now();
+  const hourAgo = new Date(now - 60 * 60 * 1000);
+  const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
+  const signals = [];
+
+  const addSignal = (code, detail) => {
+    signals.push({ code, weight: SIGNAL_WEIGHTS[code], detail });
+  };
+
+  // Agents earning on their own purchases (including the self-attribution rule)
+  if (sameId(userId, agentId)) {
+    addSignal('self_referral', 'Click was made by the attributed agent');
+  }
+
+  if (!deviceFingerprint) {
+    addSignal('missing_fingerprint', 'No device fingerprint header');
+  }
+
+  const checks = [];
+
+  if (agentId && config.duplicateWindowMinutes > 0) {
+    const since = new Date(now - config.duplicateWindowMinutes * 60 * 1000);
+    const viewer = [];
+    if (userId) viewer.push({ user: userId });
+    if (deviceFingerprint) viewer.push({ deviceFingerprint });
+    if (!userId && ipAddress) viewer.push({ user: null, ipAddress });
+
+    if (viewer.length > 0) {
+      checks.push(
+        ProductClick.countDocuments({ asin, agent: agentId, createdAt: { $gte: since }, $or: viewer })
+          .then((count) => {
+            if (count > 0) {
+              addSignal('duplicate_click', `${count} earlier click(s) on ${asin} within ${config.duplicateWindowMinutes} min`);
+            }
+          })
+      );
+    }
+  }
+
+  if (ipAddress && config.ipClicksPerHour > 0) {
+    checks.push(
+      ProductClick.countDocuments({ ipAddress, createdAt: { $gte: hourAgo } }).then((count) => {
+        if (count >= config.ipClicksPerHour) {
+          addSignal('ip_velocity', `${count} clicks from ${ipAddress} in the last hour`);
+        }
+      })
+    );
+  }
+
+  if (userId && config.userClicksPerHour > 0) {
+    checks.push(
+      ProductClick.countDocuments({ user: userId, createdAt: { $gte: hourAgo } }).then((count) => {
+        if (count >= config.userClicksPerHour) {
+          addSignal('user_velocity', `${count} clicks by this user in the last hour`);
+        }
+      })
+    );
+  }
+
+  if (agentId && config.agentClicksPerHour > 0) {
+    checks.push(
+      ProductClick.countDocuments({ agent: agentId, createdAt: { $gte: hourAgo } }).then((count) => {
+        if (count >= config.agentClicksPerHour) {
+          addSignal('agent_velocity', `${count} clicks attributed to this agent in the last hour`);
+        }
+      })
+    );
+  }
+
+  // Guests clicking from a device or network the agent uses themselves
+  if (agentId && !sameId(userId, agentId)) {
+    if (deviceFingerprint) {
+      checks.push(
+        ProductClick.exists({ user: agentId, deviceFingerprint }).then((found) => {
+          if (found) addSignal('agent_device', 'Device fingerprint was used by the attributed agent');
+        })
+      );
+    }
+    if (ipAddress) {
+      checks.push(
+        ProductClick.exists({ user: agentId, ipAddress, createdAt: { $gte: dayAgo } }).then((found) => {
+          if (found) addSignal('agent_ip', 'IP address was used by the attributed agent in the last day');
+        })
+      );
+    }
+  }
+
+  if (deviceFingerprint && config.deviceUsersPerDay > 0) {
+    checks.push(
+      ProductClick.distinct('user', { deviceFingerprint, user: { $ne: null }, createdAt: { $gte: dayAgo } })
+        .then((users) => {
+          const others = users.filter((id) => !sameId(id, userId));
+          if (others.length >= config.deviceUsersPerDay) {
+            addSignal('device_shared', `Device used by ${others.length} other account(s) in the last day`);
+          }
+        })
+    );
+  }
+
+  await Promise.all(checks);
+
+  const score = signals.reduce((total, signal) => total + signal.weight, 0);
+  return { score, flagged: score >= config.flagScore, signals };
+};
+
+/**
+ * Whether a click's commission is held back by fraud review
+ * @param {Object} click - ProductClick
+ * @returns {boolean} True for flagged (awaiting review) and rejected clicks
+ */
+const isCommissionWithheld = (click) => ['flagged', 'rejected'].includes(click?.fraudStatus);
+
+module.exports = {
+  FINGERPRINT_HEADER,
+  SESSION_HEADER,
+  getClickContext,
+  scoreClick,
+  isCommissionWithheld,
+};
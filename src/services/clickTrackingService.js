@@ -0,0 +1,235 @@
+const ProductClick = require('../models/ProductClick');
+const Transaction = require('../models/Transaction');
+const Product = require('../models/Product');
+const amazonApiService = require('./amazonApiService');
+const { applyTrackingTag } = require('../utils/affiliateLink');
+const { mapItemToProductFields } = require('../utils/amazonItemMapper');
+const { scoreClick } = require('./clickFraudService');
+const { readInt } = require('../utils/env');
+
+/**
+ * Create the pending commission for an attributed click
+ * @param {Object} productClick - ProductClick document
+ * @returns {Object|null} Pending Transaction, or null when there is nothing to pay
+ */
+const createPendingCommission = async (productClick) => {
+  const { agent: agentId, price, commissionRate: commissionPercentage, productName } = productClick;
+  if (!agentId || !(price > 0)) return null;
+
+  // Round to 2 decimal places to avoid floating point issues
+  const commissionAmount = Math.round(price * commissionPercentage * 100) / 100;
+  if (commissionAmount <= 0) return null;
+
+  // Create transaction record in PENDING state
+  const transaction = await Transaction.create({
+    user: agentId,
+    type: 'earnings',
+    amount: commissionAmount,
+    status: 'pending', // Requires manual approval now
+    description: `Pending Commission (${(commissionPercentage * 100).toFixed(2)}%): ${productName}`,
+    referenceId: productClick._id,
+    referenceModel: 'ProductClick',
+    idempotencyKey: `commission:click:${productClick._id}`
+  });
+  console.log(`[Commission] Created pending transaction for agent: ${agentId} at ${(commissionPercentage * 100).toFixed(2)}% (Amount: ${commissionAmount})`);
+
+  return transaction;
+};
+
+/**
+ * Click de-duplication window from environment
+ * CLICK_DEDUPE_WINDOW_MINUTES - Repeat clicks by the same viewer on the same ASIN and agent
+ * within this window return the existing click (default 10, 0 disables)
+ * @returns {number} Minutes
+ */
+const getDedupeWindowMinutes = () => readInt('CLICK_DEDUPE_WINDOW_MINUTES', 10);
+
+// Dedupe key -> in-flight recordProductClick promise, so a double tap can't slip past the lookup
+const inFlightClicks = new Map();
+
+/**
+ * Identify who is clicking: the user, else the guest session, else the IP
+ * @returns {Object|null} { key, query } - query matches that viewer's clicks; null if unidentifiable
+ */
+const getViewerIdentity = (userId, context) => {
+  if (userId) {
+    return { key: `user:${userId}`, query: { user: userId } };
+  }
+  if (context.sessionId) {
+    return { key: `session:${context.sessionId}`, query: { user: null, sessionId: context.sessionId } };
+  }
+  if (context.ipAddress) {
+    return { key: `ip:${context.ipAddress}`, query: { user: null, ipAddress: context.ipAddress } };
+  }
+  return null;
+};
+
+/**
+ * Find this viewer's recent click on the same ASIN for the same agent
+ * @returns {Object|null} { click, transaction } for the existing click
+ */
+const findDuplicateClick = async ({ viewer, asin, agentId, windowMinutes }) => {
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+  const click = await ProductClick.findOne({
+    ...viewer.query,
+    asin,
+    agent: agentId || null,
+    createdAt: { $gte: since },
+  }).sort({ createdAt: -1 });
+
+  if (!click) return null;
+
+  const transaction = await Transaction.findOne({ referenceId: click._id, referenceModel: 'ProductClick' });
+  return { click, transaction };
+};
+
+/**
+ * Store a product click and the agent's pending commission for it
+ * Repeat clicks inside the de-duplication window return the existing click
+ * (duplicate: true). New clicks are fraud-scored first; flagged clicks are
+ * stored without a commission.
+ * @param {Object} click
+ * @param {string} click.userId - Logged-in user id (null for guests)
+ * @param {string} click.asin - Product ASIN
+ * @param {string} click.productName - Product title
+ * @param {string} click.category - Resolved commission category
+ * @param {number} click.price - Product price
+ * @param {string} click.imageUrl - Product image
+ * @param {string} click.productUrl - Amazon detail page URL (the tracking tag is applied here)
+ * @param {string} click.agentId - Attributed agent id (null if none)
+ * @param {string} click.trackingTag - Associates tracking ID the link carries
+ * @param {number} click.commissionPercentage - Commission rate as a fraction
+ * @param {string} click.commissionRuleId - CommissionRule that set the rate, if any
+ * @param {number} click.tierMultiplier - Agent tier multiplier included in the rate
+ * @param {Object} click.context - Request details from getClickContext
+ * @returns {Object} { click: ProductClick, transaction: Transaction|null, duplicate: boolean }
+ */
+const recordProductClick = async (clickData) => {
+  const { userId = null, asin, agentId = null, context = {} } = clickData;
+  const windowMinutes = getDedupeWindowMinutes();
+  const viewer = windowMinutes > 0 ? getViewerIdentity(userId, context) : null;
+
+  if (!viewer) {
+    return createProductClick(clickData);
+  }
+
+  const key = `${viewer.key}:${asin}:${agentId || 'none'}`;
+  const inFlight = inFlightClicks.get(key);
+  if (inFlight) {
+    const result = await inFlight;
+    return { ...result, duplicate: true };
+  }
+
+  const work = (async () => {
+    const existing = await findDuplicateClick({ viewer, asin, agentId, windowMinutes });
+    if (existing) {
+      console.log(`[Affiliate] Duplicate click on ${asin} by ${viewer.key} within ${windowMinutes} min, returning click ${existing.click._id}`);
+      return { ...existing, duplicate: true };
+    }
+    return createProductClick(clickData);
+  })();
+
+  inFlightClicks.set(key, work);
+  try {
+    return await work;
+  } finally {
+    inFlightClicks.delete(key);
+  }
+};
+
+const createProductClick = async ({
+  userId = null,
+  asin,
+  productName,
+  category,
+  price = 0,
+  imageUrl,
+  productUrl,
+  agentId = null,
+  trackingTag = null,
+  commissionPercentage,
+  commissionRuleId = null,
+  tierMultiplier = 1,
+  context = {},
+}) => {
+  const fraud = await scoreClick({ userId, agentId, asin, context });
+
+  const productClick = await ProductClick.create({
+    user: userId || null, // Allow null for guest users
+    asin,
+    productName,
+    category: category || 'Uncategorized',
+    price: price || 0,
+    imageUrl,
+    productUrl: applyTrackingTag(productUrl, trackingTag),
+    agent: agentId,
+    commissionRate: commissionPercentage,
+    commissionRule: commissionRuleId || null,
+    tierMultiplier,
+    trackingTag,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    deviceFingerprint: context.deviceFingerprint || null,
+    sessionId: context.sessionId || null,
+    fraudScore: fraud.score,
+    fraudSignals: fraud.signals,
+    fraudStatus: fraud.flagged ? 'flagged' : 'clean',
+  });
+
+  console.log(`[Affiliate] Saved click with rate: ${commissionPercentage} (${(commissionPercentage * 100).toFixed(2)}%)`);
+
+  if (fraud.flagged) {
+    console.warn(`[Fraud] Click ${productClick._id} flagged (score ${fraud.score}: ${fraud.signals.map((s) => s.code).join(', ')}), commission withheld`);
+    return { click: productClick, transaction: null, duplicate: false };
+  }
+
+  const transaction = await createPendingCommission(productClick);
+  return { click: productClick, transaction, duplicate: false };
+};
+
+/**
+ * Load the product data a server-side click is recorded with
+ * Uses the local catalog, fetching (and saving) the item from Amazon when it
+ * is unknown or has no price. Nothing here comes from the client.
+ * @param {string} asin - Upper-cased ASIN
+ * @returns {Object|null} { asin, title, category, brand, searchIndex, price, imageUrl, productUrl }, or null if Amazon doesn't know the ASIN
+ */
+const getClickProduct = async (asin) => {
+  let product = await Product.findOne({ asin }).lean();
+
+  if (!product || !(product.price?.amount > 0)) {
+    try {
+      const result = await amazonApiService.getItems(asin);
+      const item = result.data?.ItemsResult?.Items?.[0];
+      if (item) {
+        product = await Product.findOneAndUpdate(
+          { asin },
+          { $set: mapItemToProductFields(item) },
+          { upsert: true, new: true }
+        ).lean();
+      }
+    } catch (error) {
+      // A known product with a missing price is still good enough to redirect
+      console.error(`[Affiliate] Could not load ${asin} from Amazon:`, error.message);
+    }
+  }
+
+  if (!product) return null;
+
+  return {
+    asin,
+    title: product.title,
+    category: product.category || product.searchIndex || 'Uncategorized',
+    brand: product.brand || null,
+    searchIndex: product.searchIndex || null,
+    price: product.price?.amount || 0,
+    imageUrl: product.imageUrl,
+    productUrl: product.productUrl || `https://www.amazon.in/dp/${asin}`,
+  };
+};
+
+module.exports = {
+  getClickProduct,
+  recordProductClick,
+  createPendingCommission,
+};
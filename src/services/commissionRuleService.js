@@ -0,0 +1,374 @@
+const Category = require('../models/Category');
+const CommissionRule = require('../models/CommissionRule');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const amazonApiService = require('./amazonApiService');
+const { getTierMultiplier } = require('./agentTierService');
+
+// Rate used when neither a rule nor a category sets one
+const DEFAULT_COMMISSION_RATE = 0.02;
+
+// A weak helper map for common uncategorized terms -> Likely Category Name partial
+const SMART_MAP = {
+  // Electronics & TV
+  'tv': 'Electronics',
+  'television': 'Electronics',
+  'televisions': 'Electronics',
+  'smart televisions': 'Electronics',
+  'led tv': 'Electronics',
+  'smart led tv': 'Electronics',
+  'led': 'Electronics',
+  'lcd': 'Electronics',
+  'monitor': 'Electronics',
+  'phone': 'Electronics',
+  'mobile': 'Electronics',
+  'tablet': 'Electronics',
+  'camera': 'Electronics',
+  'headphone': 'Electronics',
+  'earphone': 'Electronics',
+  'speaker': 'Electronics',
+  'laptop': 'Computers',
+  'computer': 'Computers',
+  'macbook': 'Computers',
+  'keyboard': 'Computers',
+  'mouse': 'Computers',
+  // Watches
+  'watch': 'Watches',
+  'clock': 'Watches',
+  'timepiece': 'Watches',
+  // Home & Appliances
+  'fridge': 'Appliances',
+  'refrigerator': 'Appliances',
+  'washing machine': 'Appliances',
+  'ac': 'Appliances',
+  'air conditioner': 'Appliances',
+  'microwave': 'Appliances',
+  'kitchen': 'HomeAndKitchen',
+  'home': 'HomeAndKitchen',
+  'furniture': 'Furniture',
+  // Beauty & Personal Care
+  'soap': 'Beauty',
+  'shampoo': 'Beauty',
+  'cream': 'Beauty',
+  'makeup': 'Beauty',
+  'perfume': 'Beauty',
+  'hair': 'Beauty',
+  // Fashion
+  'shirt': 'Fashion',
+  'pant': 'Fashion',
+  'jeans': 'Fashion',
+  'shoe': 'Shoes',
+  'sandal': 'Shoes',
+  'sneaker': 'Shoes',
+  'bag': 'Luggage',
+  'luggage': 'Luggage',
+  'wallet': 'Luggage',
+  // Grocery
+  'fresh': 'GroceryAndGourmetFood',
+  'vegetable': 'GroceryAndGourmetFood',
+  'fruit': 'GroceryAndGourmetFood',
+  'food': 'GroceryAndGourmetFood',
+  'snack': 'GroceryAndGourmetFood',
+  'chocolate': 'GroceryAndGourmetFood',
+  'oil': 'GroceryAndGourmetFood',
+  'rice': 'GroceryAndGourmetFood',
+  'tea': 'GroceryAndGourmetFood',
+  'coffee': 'GroceryAndGourmetFood'
+};
+
+/**
+ * Work out the commission category and rate for a clicked product
+ * Matches the given category by name/search query, then by Amazon search
+ * index, then falls back to detecting it from the product name.
+ * @param {Object} options
+ * @param {string} options.productName - Product title
+ * @param {string} options.category - Category reported for the product (optional)
+ * @returns {Object} { category, commissionRate, categoryDoc } - commissionRate is the category's
+ *   percentage as a fraction (0.02 = 2% default); categoryDoc is the matched Category, if any
+ */
+const detectCommissionCategory = async ({ productName, category }) => {
+  let commissionPercentage = DEFAULT_COMMISSION_RATE;
+  let finalCategory = category || 'Uncategorized';
+  let matchedCategory = null;
+  let categoryDoc = null;
+
+  console.log(`[Affiliate] Processing click for product: ${productName}, Category: ${category}`);
+
+  // 1. First priority: Try to match by explicit category name or search queries (exact/regex)
+  if (finalCategory && finalCategory !== 'Uncategorized' && finalCategory !== 'Unknown') {
+    const escapedCategory = finalCategory.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const searchRegex = new RegExp(`^${escapedCategory}$`, 'i');
+
+    matchedCategory = await Category.findOne({
+      $or: [
+        { name: { $regex: searchRegex } },
+        { searchQueries: { $elemMatch: { $regex: searchRegex } } }
+      ]
+    });
+
+    if (matchedCategory) {
+      console.log(`[Affiliate] Matched explicit category by name/query: ${matchedCategory.name} (${matchedCategory.percentage}%)`);
+    }
+  }
+
+  // 2. Second priority: If no direct match, try matching via Smart Map / Amazon Search Index
+  if (!matchedCategory && finalCategory && finalCategory !== 'Uncategorized' && finalCategory !== 'Unknown') {
+    const resolvedIndex = amazonApiService.resolveSearchIndex(finalCategory);
+    if (resolvedIndex !== 'All') {
+      matchedCategory = await Category.findOne({ amazonSearchIndex: resolvedIndex });
+      if (matchedCategory) {
+        console.log(`[Affiliate] Matched category via Smart Map resolution ('${finalCategory}' -> '${resolvedIndex}'): ${matchedCategory.name} (${matchedCategory.percentage}%)`);
+      }
+    }
+  }
+
+  // 3. Update commission if matched
+  if (matchedCategory) {
+    if (matchedCategory.percentage > 0) {
+      commissionPercentage = matchedCategory.percentage / 100;
+    }
+    finalCategory = matchedCategory.name;
+    categoryDoc = matchedCategory;
+  }
+
+  // 4. Fallback: Auto-detect from Product Name if still at default or no match
+  if (!matchedCategory || commissionPercentage === DEFAULT_COMMISSION_RATE) {
+    console.log(`[Affiliate] Attempting auto-detection for '${productName}' (Current Category: ${finalCategory})`);
+
+    // Fetch all potential categories to match against product name
+    const categories = await Category.find({ status: 'active' });
+
+    // Check Smart Map first
+    for (const [term, targetCatPartial] of Object.entries(SMART_MAP)) {
+      // Use word boundary check to avoid false positives (e.g. 'led' in 'sealed')
+      // Escape special chars in term just in case
+      const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const regex = new RegExp(`\\b${escapedTerm}\\b`, 'i');
+
+      if (regex.test(productName)) {
+        // Find the actual category object that matches our target partial
+        const smartMatch = categories.find(c =>
+          c.name.toLowerCase().includes(targetCatPartial.toLowerCase()) ||
+          c.amazonSearchIndex === targetCatPartial
+        );
+        if (smartMatch) {
+          if (smartMatch.percentage > 0) {
+            commissionPercentage = smartMatch.percentage / 100;
+          }
+          finalCategory = smartMatch.name;
+          categoryDoc = smartMatch;
+          console.log(`[Affiliate] Smart-detected category via term '${term}': ${finalCategory} (${smartMatch.percentage}%)`);
+          break;
+        }
+      }
+    }
+
+    // specific keywords to match first (priority) - ONLY if smart match didn't find anything
+    if (finalCategory === 'Uncategorized' || finalCategory === 'Unknown') {
+      for (const cat of categories) {
+        let matched = false;
+
+        // Check if product name contains the category name (e.g. "Automotive" in "Automotive Parts")
+        // or if any search query keyword exists in product name
+        const keywords = [cat.name, ...(cat.searchQueries || [])];
+
+        for (const keyword of keywords) {
+          if (!keyword || keyword.length < 3) continue; // Skip very short keywords
+
+          // Use word boundary for better accuracy
+          // Escape special characters in keyword for regex
+          const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          const keywordRegex = new RegExp(`\\b${escapedKeyword}\\b`, 'i');
+
+          if (keywordRegex.test(productName)) {
+            matched = true;
+            // console.log(`Matched keyword: ${keyword}`);
+            break;
+          }
+        }
+
+        if (matched) {
+          if (cat.percentage > 0) {
+            commissionPercentage = cat.percentage / 100;
+          }
+          finalCategory = cat.name;
+          categoryDoc = cat;
+          console.log(`[Affiliate] Auto-detected category: ${finalCategory} (${cat.percentage}%)`);
+          break; // Use the first strong match
+        }
+      }
+    }
+  }
+
+  return { category: finalCategory || 'Uncategorized', commissionRate: commissionPercentage, categoryDoc };
+};
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+const inList = (list, value) => list.some((entry) => lower(entry) === lower(value));
+
+// Each check returns null when the rule doesn't constrain that field
+const CONDITION_CHECKS = {
+  categories: (expected, facts) => (expected?.length ? { actual: facts.category, passed: inList(expected, facts.category) } : null),
+  searchIndexes: (expected, facts) => (expected?.length ? { actual: facts.searchIndex, passed: inList(expected, facts.searchIndex) } : null),
+  brands: (expected, facts) => (expected?.length ? { actual: facts.brand, passed: inList(expected, facts.brand) } : null),
+  asins: (expected, facts) => (expected?.length ? { actual: facts.asin, passed: inList(expected, facts.asin) } : null),
+  agentTiers: (expected, facts) => (expected?.length ? { actual: facts.agentTier, passed: inList(expected, facts.agentTier) } : null),
+  minPrice: (expected, facts) => (expected != null ? { actual: facts.price, passed: facts.price >= expected } : null),
+  maxPrice: (expected, facts) => (expected != null ? { actual: facts.price, passed: facts.price <= expected } : null),
+  startsAt: (expected, facts) => (expected ? { actual: facts.at, passed: facts.at >= new Date(expected) } : null),
+  endsAt: (expected, facts) => (expected ? { actual: facts.at, passed: facts.at <= new Date(expected) } : null),
+};
+
+/**
+ * Check a rule's conditions against a click
+ * @param {Object} rule - CommissionRule (plain object)
+ * @param {Object} facts - { asin, category, searchIndex, brand, price, agentTier, at }
+ * @returns {Object} { matched, checks: Array<{ condition, expected, actual, passed }> }
+ */
+const evaluateRule = (rule, facts) => {
+  const conditions = rule.conditions || {};
+  const checks = [];
+
+  Object.entries(CONDITION_CHECKS).forEach(([condition, check]) => {
+    const result = check(conditions[condition], facts);
+    if (result) {
+      checks.push({ condition, expected: conditions[condition], actual: result.actual ?? null, passed: result.passed });
+    }
+  });
+
+  return { matched: checks.every((check) => check.passed), checks };
+};
+
+/**
+ * Gather the facts rules are evaluated against
+ * Brand and search index come from the local catalog when the caller doesn't know them.
+ * @param {Object} input - See resolveCommission
+ * @param {Object} detected - Result of detectCommissionCategory
+ * @returns {Object} { asin, category, searchIndex, brand, price, agentTier, at }
+ */
+const buildFacts = async ({ asin, price, brand, searchIndex, agentId, agentTier, at }, detected) => {
+  const cleanAsin = asin ? String(asin).trim().toUpperCase() : null;
+
+  let product = null;
+  if (cleanAsin && (!brand || !searchIndex)) {
+    product = await Product.findOne({ asin: cleanAsin }).select('brand searchIndex').lean();
+  }
+
+  let resolvedIndex = searchIndex || product?.searchIndex || null;
+  if (!resolvedIndex && detected.categoryDoc?.amazonSearchIndex && detected.categoryDoc.amazonSearchIndex !== 'All') {
+    resolvedIndex = detected.categoryDoc.amazonSearchIndex;
+  }
+  if (!resolvedIndex && detected.category !== 'Uncategorized') {
+    const fromCategory = amazonApiService.resolveSearchIndex(detected.category);
+    resolvedIndex = fromCategory !== 'All' ? fromCategory : null;
+  }
+
+  let tier = agentTier || null;
+  if (!tier && agentId) {
+    const agent = await User.findById(agentId).select('tier').lean();
+    tier = agent?.tier || null;
+  }
+
+  return {
+    asin: cleanAsin,
+    category: detected.category,
+    searchIndex: resolvedIndex,
+    brand: brand || product?.brand || null,
+    price: Number(price) || 0,
+    agentTier: tier,
+    at: at ? new Date(at) : new Date(),
+  };
+};
+
+const summarizeRule = (rule) => ({
+  _id: rule._id,
+  name: rule.name,
+  priority: rule.priority,
+  percentage: rule.percentage,
+});
+
+/**
+ * Resolve the commission rate for a click
+ * Active rules are evaluated highest priority first and the first match wins.
+ * Without a matching rule the detected category's percentage applies, then the 2% default.
+ * The agent's tier multiplier is applied on top of whichever rate wins.
+ * @param {Object} input
+ * @param {string} input.asin - Product ASIN
+ * @param {string} input.productName - Product title (used to detect the category)
+ * @param {string} input.category - Category reported for the product (optional)
+ * @param {number} input.price - Product price
+ * @param {string} input.brand - Product brand (optional, looked up by ASIN)
+ * @param {string} input.searchIndex - Amazon search index (optional, looked up by ASIN)
+ * @param {string} input.agentId - Attributed agent id (for tier rules)
+ * @param {string} input.agentTier - Agent tier, if already known
+ * @param {Date} input.at - When the click happened (default now)
+ * @param {Object} options
+ * @param {boolean} options.explain - Evaluate every rule and include the checks behind each result
+ * @returns {Object} { category, commissionRate, baseRate, multiplier, source: 'rule'|'category'|'default', rule, facts, evaluations? }
+ */
+const resolveCommission = async (input, { explain = false } = {}) => {
+  const detected = await detectCommissionCategory({
+    productName: input.productName || '',
+    category: input.category,
+  });
+  const facts = await buildFacts(input, detected);
+
+  const rules = await CommissionRule.find({ status: 'active' })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  let matchedRule = null;
+  const evaluations = [];
+
+  for (const rule of rules) {
+    const { matched, checks } = evaluateRule(rule, facts);
+    if (explain) {
+      evaluations.push({ rule: summarizeRule(rule), matched, applied: matched && !matchedRule, checks });
+    }
+    if (matched && !matchedRule) {
+      matchedRule = rule;
+      if (!explain) break;
+    }
+  }
+
+  let source = 'default';
+  let baseRate = detected.commissionRate;
+  if (matchedRule) {
+    source = 'rule';
+    baseRate = matchedRule.percentage / 100;
+    console.log(`[Commission] Rule '${matchedRule.name}' (priority ${matchedRule.priority}) sets ${matchedRule.percentage}% for ${facts.asin || input.productName}`);
+  } else if (detected.categoryDoc && detected.categoryDoc.percentage > 0) {
+    source = 'category';
+  }
+
+  const multiplier = await getTierMultiplier(facts.agentTier);
+  // Keep the rate readable (e.g. 0.045) despite floating point multiplication
+  const commissionRate = Math.round(baseRate * multiplier * 1e6) / 1e6;
+  if (multiplier !== 1) {
+    console.log(`[Commission] Tier '${facts.agentTier}' multiplier ${multiplier}x: ${baseRate} -> ${commissionRate}`);
+  }
+
+  const result = {
+    category: detected.category,
+    commissionRate,
+    baseRate,
+    multiplier,
+    source,
+    rule: matchedRule ? summarizeRule(matchedRule) : null,
+    facts,
+  };
+
+  if (explain) {
+    result.evaluations = evaluations;
+  }
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  detectCommissionCategory,
+  evaluateRule,
+  resolveCommission,
+};
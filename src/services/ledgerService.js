@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { LedgerError } = require('../utils/ledgerErrors');
+const { runInTransaction } = require('../utils/dbTransaction');
+const { planReferralOverrides } = require('./referralOverrideService');
+
+/**
+ * Double-entry ledger for agent money
+ *
+ * Every completed Transaction is posted as one balanced JournalEntry:
+ *   earnings   (+)  Dr platform:commission_expense  Cr agent:<id>
+ *   payout     (-)  Dr agent:<id>                   Cr platform:payout_clearing
+ *   adjustment (+/-) against platform:adjustments, direction by sign
+ * Agent accounts are liabilities (what we owe the agent), so their balance is credits - debits.
+ * User.balance/totalEarnings are a projection recomputed from completed Transactions.
+ */
+
+const SYSTEM_ACCOUNTS = {
+  earnings: { code: 'platform:commission_expense', name: 'Agent commission expense', type: 'expense' },
+  payout: { code: 'platform:payout_clearing', name: 'Agent payouts', type: 'asset' },
+  adjustment: { code: 'platform:adjustments', name: 'Balance adjustments', type: 'expense' },
+};
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// Join the caller's transaction when given a session, otherwise start one
+const withSession = (session, work) => (session ? work(session) : runInTransaction(work));
+
+/**
+ * Find or create a ledger account by code
+ * Accounts are created outside the caller's transaction: they hold no money themselves,
+ * and a duplicate key from a concurrent request creating the same account can then be
+ * caught here instead of aborting the caller's transaction.
+ * @param {Object} definition - { code, name, type, user }
+ * @param {Object} options - { session }
+ * @returns {Object} LedgerAccount document
+ */
+const ensureAccount = async (definition, { session } = {}) => {
+  const existing = await LedgerAccount.findOne({ code: definition.code }).session(session || null);
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await LedgerAccount.findOneAndUpdate(
+      { code: definition.code },
+      { $setOnInsert: definition },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two requests created the account at the same time; the other one won
+    if (isDuplicateKeyError(error)) {
+      return LedgerAccount.findOne({ code: definition.code });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the payable account for an agent
+ * @param {string} userId - Agent user id
+ * @param {Object} options - { session }
+ * @returns {Object} LedgerAccount document
+ */
+const getAgentAccount = (userId, options = {}) => ensureAccount({
+  code: `agent:${userId}`,
+  name: `Agent payable ${userId}`,
+  type: 'liability',
+  user: userId,
+}, options);
+
+/**
+ * Post a balanced journal entry
+ * Posting an idempotency key that already exists returns the original entry.
+ * @param {Object} entry
+ * @param {string} entry.idempotencyKey - Unique key for this money movement
+ * @param {string} entry.entryType - earnings, payout or adjustment
+ * @param {string} entry.description - Human readable description
+ * @param {string} entry.transaction - Transaction id the entry belongs to
+ * @param {Array} entry.lines - [{ account: LedgerAccount, debit, credit }]
+ * @param {string} entry.postedBy - Admin user id (optional)
+ * @param {Object} options - { session }
+ * @returns {Object} { entry: JournalEntry, created: boolean }
+ */
+const postJournalEntry = async ({ idempotencyKey, entryType, description, transaction, lines, postedBy = null }, { session } = {}) => {
+  const existing = await JournalEntry.findOne({ idempotencyKey }).session(session || null);
+  if (existing) {
+    return { entry: existing, created: false };
+  }
+
+  try {
+    const [entry] = await JournalEntry.create([{
+      idempotencyKey,
+      entryType,
+      description,
+      transaction,
+      postedBy,
+      lines: lines.map((line) => ({
+        account: line.account._id,
+        accountCode: line.account.code,
+        debit: roundAmount(line.debit),
+        credit: roundAmount(line.credit),
+      })),
+    }], { session });
+
+    return { entry, created: true };
+  } catch (error) {
+    if (isDuplicateKeyError(error) && !session) {
+      const entry = await JournalEntry.findOne({ idempotencyKey }).session(session || null);
+      return { entry, created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Post the journal entry for a completed transaction
+ * @param {Object} transaction - Completed Transaction document
+ * @param {Object} options - { postedBy, session }
+ * @returns {Object|null} JournalEntry, or null for zero-amount transactions
+ */
+const postTransaction = async (transaction, { postedBy = null, session } = {}) => {
+  if (transaction.status !== 'completed') {
+    throw new LedgerError('Only completed transactions can be posted to the ledger');
+  }
+
+  const amount = roundAmount(Math.abs(transaction.amount));
+  if (amount === 0) return null;
+
+  const agentAccount = await getAgentAccount(transaction.user, { session });
+  const counterAccount = await ensureAccount(SYSTEM_ACCOUNTS[transaction.type], { session });
+
+  // Positive amounts are owed to the agent (credit), negative ones reduce what we owe (debit)
+  const lines = transaction.amount > 0
+    ? [{ account: counterAccount, debit: amount }, { account: agentAccount, credit: amount }]
+    : [{ account: agentAccount, debit: amount }, { account: counterAccount, credit: amount }];
+
+  const { entry } = await postJournalEntry({
+    idempotencyKey: `transaction:${transaction._id}`,
+    entryType: transaction.type,
+    description: transaction.description,
+    transaction: transaction._id,
+    lines,
+    postedBy,
+  }, { session });
+
+  if (!transaction.journalEntry || !transaction.journalEntry.equals(entry._id)) {
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { journalEntry: entry._id } }, { session });
+    transaction.journalEntry = entry._id;
+  }
+
+  return entry;
+};
+
+/**
+ * Sum a user's completed transactions
+ * @param {string} userId - User id
+ * @param {Object} options - { session }
+ * @returns {Object} { balance, totalEarnings }
+ */
+const getTransactionTotals = async (userId, { session } = {}) => {
+  const [totals] = await Transaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), status: 'completed' } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: '$amount' },
+        totalEarnings: { $sum: { $cond: [{ $eq: ['$type', 'earnings'] }, '$amount', 0] } },
+      },
+    },
+  ]).session(session || null);
+
+  return {
+    balance: roundAmount(totals?.balance),
+    totalEarnings: roundAmount(totals?.totalEarnings),
+  };
+};
+
+/**
+ * Get an agent's balance as recorded in the ledger
+ * @param {string} userId - Agent user id
+ * @param {Object} options - { session }
+ * @returns {number} Credits minus debits on the agent's payable account
+ */
+const getLedgerBalance = async (userId, { session } = {}) => {
+  const account = await LedgerAccount.findOne({ code: `agent:${userId}` }).session(session || null);
+  if (!account) return 0;
+
+  const [totals] = await JournalEntry.aggregate([
+    { $match: { 'lines.account': account._id } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': account._id } },
+    { $group: { _id: null, debits: { $sum: '$lines.debit' }, credits: { $sum: '$lines.credit' } } },
+  ]).session(session || null);
+
+  return roundAmount((totals?.credits || 0) - (totals?.debits || 0));
+};
+
+/**
+ * Recompute User.balance/totalEarnings from completed transactions
+ * @param {string} userId - User id
+ * @param {Object} options - { session }
+ * @returns {Object} { balance, totalEarnings }
+ */
+const syncUserBalance = async (userId, { session } = {}) => {
+  const totals = await getTransactionTotals(userId, { session });
+  await User.updateOne({ _id: userId }, { $set: totals }, { session });
+  return totals;
+};
+
+/**
+ * Pay upline agents their override share of a completed click commission
+ * Each level gets its own completed `earnings` transaction referencing the commission.
+ * @param {Object} transaction - Completed commission Transaction
+ * @param {Object} options - { postedBy, session }
+ * @returns {Array} Override Transaction documents
+ */
+const postReferralOverrides = async (transaction, { postedBy = null, session } = {}) => {
+  const plan = await planReferralOverrides(transaction, { session });
+  const overrides = [];
+
+  for (const { user, level, rate, amount } of plan) {
+    const idempotencyKey = `override:${transaction._id}:${level}`;
+
+    let override = await Transaction.findOne({ idempotencyKey }).session(session || null);
+    if (!override) {
+      [override] = await Transaction.create([{
+        user,
+        type: 'earnings',
+        amount,
+        status: 'completed',
+        description: `Level ${level} referral override (${rate}%) on: ${transaction.description || 'commission'}`,
+        referenceId: transaction._id,
+        referenceModel: 'Transaction',
+        overrideLevel: level,
+        idempotencyKey,
+      }], { session });
+    }
+
+    await postTransaction(override, { postedBy, session });
+    await syncUserBalance(user, { session });
+    overrides.push(override);
+  }
+
+  if (overrides.length > 0) {
+    console.log(`[Ledger] Paid ${overrides.length} referral override(s) on transaction ${transaction._id}`);
+  }
+
+  return overrides;
+};
+
+/**
+ * Move a pending transaction to completed, post it to the ledger and refresh the balance
+ * Click commissions also pay referral overrides to the agent's upline.
+ * All writes happen in one MongoDB transaction (the caller's, if a session is passed).
+ * Earnings of deactivated accounts are refused and stay pending.
+ * @param {string} transactionId - Transaction id
+ * @param {Object} options - { postedBy, session }
+ * @returns {Object} Completed Transaction document
+ * @throws {LedgerError} If the transaction is missing, no longer pending, or earned by a deactivated account
+ */
+const completeTransaction = (transactionId, { postedBy = null, session } = {}) => withSession(session, async (txnSession) => {
+  // Conditional update so two admins approving at once can't both complete it
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: transactionId, status: 'pending' },
+    { $set: { status: 'completed' } },
+    { new: true, session: txnSession }
+  );
+
+  if (!transaction) {
+    const exists = await Transaction.exists({ _id: transactionId }).session(txnSession);
+    throw exists
+      ? new LedgerError('Transaction is already processed')
+      : new LedgerError('Transaction not found', 404);
+  }
+
+  if (transaction.type === 'earnings') {
+    const earner = await User.findById(transaction.user).select('isDeactivated').session(txnSession).lean();
+    if (earner && earner.isDeactivated) {
+      // Aborts the transaction, so the commission stays pending
+      throw new LedgerError('Cannot complete earnings for a deactivated account', 409);
+    }
+  }
+
+  await postTransaction(transaction, { postedBy, session: txnSession });
+  await syncUserBalance(transaction.user, { session: txnSession });
+  await postReferralOverrides(transaction, { postedBy, session: txnSession });
+
+  return transaction;
+});
+
+/**
+ * Mark a pending transaction as failed (nothing is posted)
+ * @param {string} transactionId - Transaction id
+ * @param {Object} options - { session }
+ * @returns {Object} Failed Transaction document
+ * @throws {LedgerError} If the transaction is missing or no longer pending
+ */
+const failTransaction = async (transactionId, { session } = {}) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: transactionId, status: 'pending' },
+    { $set: { status: 'failed' } },
+    { new: true, session }
+  );
+
+  if (!transaction) {
+    const exists = await Transaction.exists({ _id: transactionId }).session(session || null);
+    throw exists
+      ? new LedgerError('Transaction is already processed')
+      : new LedgerError('Transaction not found', 404);
+  }
+
+  return transaction;
+};
+
+/**
+ * Record the payout for an approved withdrawal
+ * All writes happen in one MongoDB transaction (the caller's, if a session is passed).
+ * @param {Object} withdrawal - Withdrawal document
+ * @param {Object} options - { postedBy, session }
+ * @returns {Object} Payout Transaction document
+ * @throws {LedgerError} If the agent's balance does not cover the withdrawal
+ */
+const recordWithdrawalPayout = (withdrawal, { postedBy = null, session } = {}) => withSession(session, async (txnSession) => {
+  const idempotencyKey = `withdrawal:${withdrawal._id}:payout`;
+
+  let payout = await Transaction.findOne({ idempotencyKey }).session(txnSession);
+  if (!payout) {
+    const { balance } = await getTransactionTotals(withdrawal.user, { session: txnSession });
+    if (balance < withdrawal.amount) {
+      throw new LedgerError('Insufficient balance in agent account');
+    }
+
+    [payout] = await Transaction.create([{
+      user: withdrawal.user,
+      type: 'payout',
+      amount: -roundAmount(withdrawal.amount),
+      status: 'completed',
+      description: `Payout approved: ${withdrawal.paymentMethod}`,
+      referenceId: withdrawal._id,
+      referenceModel: 'Withdrawal',
+      idempotencyKey,
+    }], { session: txnSession });
+  }
+
+  await postTransaction(payout, { postedBy, session: txnSession });
+  await syncUserBalance(withdrawal.user, { session: txnSession });
+
+  return payout;
+});
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  getAgentAccount,
+  postJournalEntry,
+  postTransaction,
+  getTransactionTotals,
+  getLedgerBalance,
+  syncUserBalance,
+  completeTransaction,
+  failTransaction,
+  postReferralOverrides,
+  recordWithdrawalPayout,
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { PasswordResetError } = require('../utils/passwordResetErrors');
+const { readInt } = require('../utils/env');
+
+// Reset codes are 6-digit OTPs the user types in from the email
+const CODE_DIGITS = 6;
+
+/**
+ * Reset configuration from environment
+ * PASSWORD_RESET_CODE_MINUTES - How long a code stays valid (default: 10)
+ * PASSWORD_RESET_MAX_ATTEMPTS - Wrong codes allowed before the account is locked (default: 5)
+ * PASSWORD_RESET_LOCKOUT_MINUTES - How long a lockout lasts (default: 30)
+ * FORGOT_PASSWORD_EMAIL_PER_HOUR / FORGOT_PASSWORD_IP_PER_HOUR - Reset requests allowed
+ *   per email address / client IP each hour (defaults: 3 / 10, 0 disables)
+ * @returns {Object} { codeMinutes, maxAttempts, lockoutMinutes, emailRequestsPerHour, ipRequestsPerHour }
+ */
+const getResetConfig = () => ({
+  codeMinutes: Math.max(1, readInt('PASSWORD_RESET_CODE_MINUTES', 10)),
+  maxAttempts: Math.max(1, readInt('PASSWORD_RESET_MAX_ATTEMPTS', 5)),
+  lockoutMinutes: Math.max(1, readInt('PASSWORD_RESET_LOCKOUT_MINUTES', 30)),
+  emailRequestsPerHour: readInt('FORGOT_PASSWORD_EMAIL_PER_HOUR', 3),
+  ipRequestsPerHour: readInt('FORGOT_PASSWORD_IP_PER_HOUR', 10),
+});
+
+/**
+ * Keyed hash of a reset code
+ * Keyed with the server secret and bound to the user, so a leaked hash can't be
+ * brute-forced offline or replayed against another account.
+ * @param {string} userId - User ID
+ * @param {string} code - Reset code
+ * @returns {string} Hex digest
+ */
+const hashResetCode = (userId, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || '')
+  .update(`${userId}:${String(code).trim()}`)
+  .digest('hex');
+
+const lockoutError = (lockedUntil) => {
+  const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+  return new PasswordResetError(
+    `Too many incorrect codes. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+    429,
+    retryAfter
+  );
+};
+
+/**
+ * Generate a new reset code for a user, replacing any previous one
+ * The wrong-attempt count is kept, so requesting new codes doesn't buy more guesses.
+ * @param {Object} user - User document
+ * @returns {Object} { code, expiresInMinutes } - the plain code, to be emailed
+ * @throws {PasswordResetError} 429 while the account is locked
+ */
+const createResetCode = async (user) => {
+  if (user.resetPasswordLockedUntil && user.resetPasswordLockedUntil > new Date()) {
+    throw lockoutError(user.resetPasswordLockedUntil);
+  }
+
+  const { codeMinutes } = getResetConfig();
+  const code = crypto.randomInt(0, 10 ** CODE_DIGITS).toString().padStart(CODE_DIGITS, '0');
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        resetPasswordToken: hashResetCode(user._id, code),
+        resetPasswordExpire: new Date(Date.now() + codeMinutes * 60 * 1000),
+      },
+    }
+  );
+
+  return { code, expiresInMinutes: codeMinutes };
+};
+
+/**
+ * Discard a user's reset code (e.g. when the email could not be sent)
+ * @param {string} userId - User ID
+ */
+const clearResetCode = async (userId) => {
+  await User.updateOne({ _id: userId }, { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } });
+};
+
+/**
+ * Check a reset code and consume it
+ * A correct code works once: it is removed in the same atomic update that accepts it.
+ * Each wrong code counts towards PASSWORD_RESET_MAX_ATTEMPTS; reaching it discards the
+ * code and locks resets for the account.
+ * @param {string} email - Account email
+ * @param {string} code - Code from the email
+ * @returns {Object} User document (with password), ready for the new password to be set
+ * @throws {PasswordResetError} 400 for a wrong or expired code, 429 while locked
+ */
+const consumeResetCode = async (email, code) => {
+  const normalizedEmail = String(email).toLowerCase().trim();
+  const user = await User.findOne({ email: normalizedEmail }).select('_id resetPasswordLockedUntil');
+  if (!user) {
+    throw new PasswordResetError('Invalid or expired OTP');
+  }
+
+  const now = new Date();
+  if (user.resetPasswordLockedUntil && user.resetPasswordLockedUntil > now) {
+    throw lockoutError(user.resetPasswordLockedUntil);
+  }
+
+  const consumed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      resetPasswordToken: hashResetCode(user._id, code),
+      resetPasswordExpire: { $gt: now },
+      $or: [{ resetPasswordLockedUntil: null }, { resetPasswordLockedUntil: { $lte: now } }],
+    },
+    {
+      $unset: { resetPasswordToken: 1, resetPasswordExpire: 1, resetPasswordLockedUntil: 1 },
+      $set: { resetPasswordAttempts: 0 },
+    },
+    { new: true }
+  ).select('+password');
+
+  if (consumed) {
+    return consumed;
+  }
+
+  // Wrong or expired code: count it, and lock the account once the limit is reached
+  const { maxAttempts, lockoutMinutes } = getResetConfig();
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { resetPasswordAttempts: 1 } },
+    { new: true }
+  ).select('resetPasswordAttempts');
+
+  if (updated && updated.resetPasswordAttempts >= maxAttempts) {
+    const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { resetPasswordAttempts: 0, resetPasswordLockedUntil: lockedUntil },
+        $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 },
+      }
+    );
+    console.warn(`[Auth] Password reset locked for ${normalizedEmail} after ${maxAttempts} wrong codes`);
+    throw lockoutError(lockedUntil);
+  }
+
+  throw new PasswordResetError('Invalid or expired OTP');
+};
+
+module.exports = {
+  getResetConfig,
+  createResetCode,
+  clearResetCode,
+  consumeResetCode,
+};
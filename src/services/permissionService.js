@@ -0,0 +1,45 @@
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, BASE_ROLE_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Permissions a user holds
+ * Admins with an admin role get exactly that role's permissions; everyone else gets
+ * the defaults for their account role.
+ * @param {Object} user - User (req.user)
+ * @returns {Set<string>} Permission keys
+ */
+const getUserPermissions = async (user) => {
+  if (!user) return new Set();
+
+  if (user.role === 'admin' && user.adminRole) {
+    const role = await Role.findById(user.adminRole).select('permissions').lean();
+    // A deleted role leaves no permissions rather than falling back to full access
+    return new Set(role ? role.permissions : []);
+  }
+
+  return new Set(BASE_ROLE_PERMISSIONS[user.role] || []);
+};
+
+/**
+ * Whether a permission set includes every permission in the catalog
+ * @param {Set<string>} permissions - From getUserPermissions
+ * @returns {boolean} True for full-access admins
+ */
+const hasFullAccess = (permissions) => ALL_PERMISSIONS.every((permission) => permissions.has(permission));
+
+/**
+ * Whether the requesting admin may create admins or change, deactivate or delete admin accounts
+ * Only full-access admins can, so a limited admin can't hand out (or take away) full access.
+ * @param {Object} req - Express request (uses req.permissions when already loaded)
+ * @returns {boolean} True if allowed
+ */
+const canManageAdmins = async (req) => {
+  const permissions = req.permissions || await getUserPermissions(req.user);
+  return hasFullAccess(permissions);
+};
+
+module.exports = {
+  getUserPermissions,
+  hasFullAccess,
+  canManageAdmins,
+};
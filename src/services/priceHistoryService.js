@@ -0,0 +1,139 @@
+const PriceHistory = require('../models/PriceHistory');
+const { readInt, readNumber } = require('../utils/env');
+
+/**
+ * Price history configuration from environment
+ * PRICE_HISTORY_MIN_INTERVAL_MINUTES - Unchanged prices are recorded at most this often per ASIN (default 60)
+ * PRICE_DROP_THRESHOLD_PERCENT - Minimum drop, in percent, flagged as a price drop (default 5)
+ * @returns {Object} { minIntervalMs, dropThresholdPercent }
+ */
+const getConfig = () => ({
+  minIntervalMs: readInt('PRICE_HISTORY_MIN_INTERVAL_MINUTES', 60) * 60 * 1000,
+  dropThresholdPercent: readNumber('PRICE_DROP_THRESHOLD_PERCENT', 5),
+});
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check whether a price change counts as a price drop
+ * @param {number} previousAmount - Earlier price
+ * @param {number} amount - Current price
+ * @returns {boolean} True if the price fell by at least PRICE_DROP_THRESHOLD_PERCENT
+ */
+const isSignificantDrop = (previousAmount, amount) => {
+  if (!(previousAmount > 0) || !(amount > 0)) return false;
+  const changePercent = ((amount - previousAmount) / previousAmount) * 100;
+  return changePercent <= -getConfig().dropThresholdPercent;
+};
+
+/**
+ * Append a price observation for an ASIN
+ * Repeated observations of an unchanged price inside the minimum interval are skipped
+ * so that popular products don't flood the collection.
+ * @param {Object} observation
+ * @param {string} observation.asin - Product ASIN
+ * @param {number} observation.amount - Observed price
+ * @param {string} observation.currency - Currency code (default INR)
+ * @param {string} observation.source - product_view, click_recovery, catalog_sync or watchlist_check
+ * @returns {Object|null} { entry, isPriceDrop } or null when nothing was recorded
+ */
+const recordPriceObservation = async ({ asin, amount, currency = 'INR', source }) => {
+  if (!asin || !(amount > 0)) return null;
+
+  const cleanAsin = String(asin).trim().toUpperCase();
+  const now = new Date();
+  const { minIntervalMs } = getConfig();
+
+  const last = await PriceHistory.findOne({ asin: cleanAsin }).sort({ observedAt: -1 }).lean();
+
+  if (last && last.amount === amount && now - last.observedAt < minIntervalMs) {
+    return null;
+  }
+
+  const changePercent = last && last.amount > 0
+    ? round2(((amount - last.amount) / last.amount) * 100)
+    : 0;
+
+  const entry = await PriceHistory.create({
+    asin: cleanAsin,
+    amount,
+    currency,
+    previousAmount: last ? last.amount : null,
+    changePercent,
+    source,
+    observedAt: now,
+  });
+
+  const isPriceDrop = last ? isSignificantDrop(last.amount, amount) : false;
+  if (isPriceDrop) {
+    console.log(`[Price History] Price drop for ${cleanAsin}: ₹${last.amount} -> ₹${amount} (${changePercent}%)`);
+  }
+
+  return { entry, isPriceDrop };
+};
+
+/**
+ * Get the price time series and summary stats for an ASIN
+ * @param {string} asin - Product ASIN
+ * @param {Object} options
+ * @param {number} options.days - Look-back window in days (default 90)
+ * @param {number} options.limit - Maximum points returned, most recent kept (default 500)
+ * @returns {Object} { asin, currency, series, stats }
+ */
+const getPriceHistory = async (asin, { days = 90, limit = 500 } = {}) => {
+  const cleanAsin = String(asin).trim().toUpperCase();
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const match = { asin: cleanAsin, observedAt: { $gte: since } };
+
+  const [points, aggregated] = await Promise.all([
+    PriceHistory.find(match)
+      .sort({ observedAt: -1 })
+      .limit(limit)
+      .select('amount currency changePercent source observedAt -_id')
+      .lean(),
+    PriceHistory.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          min: { $min: '$amount' },
+          max: { $max: '$amount' },
+          avg: { $avg: '$amount' },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  // Oldest first for charting
+  const series = points.reverse();
+  const summary = aggregated[0];
+
+  const stats = summary
+    ? {
+      min: summary.min,
+      max: summary.max,
+      avg: round2(summary.avg),
+      count: summary.count,
+      current: series[series.length - 1].amount,
+      first: series[0].amount,
+      changePercent: series[0].amount > 0
+        ? round2(((series[series.length - 1].amount - series[0].amount) / series[0].amount) * 100)
+        : 0,
+    }
+    : { min: null, max: null, avg: null, count: 0, current: null, first: null, changePercent: 0 };
+
+  return {
+    asin: cleanAsin,
+    currency: series.length > 0 ? series[series.length - 1].currency : 'INR',
+    days,
+    series,
+    stats,
+  };
+};
+
+module.exports = {
+  recordPriceObservation,
+  getPriceHistory,
+  isSignificantDrop,
+};
@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const Withdrawal = require('../models/Withdrawal');
+const { postTransaction, syncUserBalance } = require('./ledgerService');
+const { runInTransaction } = require('../utils/dbTransaction');
+const { LedgerError } = require('../utils/ledgerErrors');
+
+/**
+ * Balance reconciliation
+ *
+ * For every user with money activity, compares:
+ *   expected - completed Transaction history (earnings - payouts +/- adjustments)
+ *   recorded - User.balance / User.totalEarnings
+ *   ledger   - credits - debits on the agent's ledger account
+ * and lists the records that explain a difference.
+ */
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const toObjectIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+// Issues a repair can fix by itself; any other issue needs an admin to decide the amount
+const SELF_REPAIRING_ISSUES = ['unposted_transaction'];
+
+const pushIssue = (issuesByUser, userId, issue) => {
+  const key = String(userId);
+  if (!issuesByUser.has(key)) issuesByUser.set(key, []);
+  issuesByUser.get(key).push(issue);
+};
+
+/**
+ * Find records that explain balance differences
+ * @param {Array|null} userIds - Limit to these users (null = all)
+ * @param {ClientSession} session - Optional session
+ * @returns {Map<string, Array>} Issues keyed by user id
+ */
+const findIssues = async (userIds, session) => {
+  const userFilter = userIds ? { user: { $in: userIds } } : {};
+  const issuesByUser = new Map();
+
+  // Completed transactions that never reached the ledger
+  const unposted = await Transaction.find({ ...userFilter, status: 'completed', journalEntry: null })
+    .select('user type amount description createdAt')
+    .session(session)
+    .lean();
+  unposted.forEach((t) => pushIssue(issuesByUser, t.user, {
+    type: 'unposted_transaction',
+    transactionId: t._id,
+    amount: t.amount,
+    detail: `Completed ${t.type} transaction has no journal entry`,
+  }));
+
+  // Journal entries whose transaction is no longer completed
+  const postedNotCompleted = await Transaction.find({ ...userFilter, status: { $ne: 'completed' }, journalEntry: { $ne: null } })
+    .select('user type amount status journalEntry')
+    .session(session)
+    .lean();
+  postedNotCompleted.forEach((t) => pushIssue(issuesByUser, t.user, {
+    type: 'entry_for_incomplete_transaction',
+    transactionId: t._id,
+    journalEntryId: t.journalEntry,
+    amount: t.amount,
+    detail: `Journal entry exists but transaction is ${t.status}`,
+  }));
+
+  // More than one live commission for the same click
+  const duplicates = await Transaction.aggregate([
+    { $match: { ...userFilter, type: 'earnings', referenceModel: 'ProductClick', status: { $ne: 'failed' } } },
+    { $group: { _id: { user: '$user', click: '$referenceId' }, ids: { $push: '$_id' }, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]).session(session);
+  duplicates.forEach((d) => pushIssue(issuesByUser, d._id.user, {
+    type: 'duplicate_commission',
+    transactionIds: d.ids,
+    clickId: d._id.click,
+    amount: roundAmount(d.total),
+    detail: `${d.count} commissions for the same click`,
+  }));
+
+  // Approved withdrawals without a payout, and payouts for withdrawals that were not approved
+  const payouts = await Transaction.find({ ...userFilter, type: 'payout', referenceModel: 'Withdrawal', status: 'completed' })
+    .select('user amount referenceId')
+    .session(session)
+    .lean();
+  const withdrawals = await Withdrawal.find(userFilter)
+    .select('user amount status')
+    .session(session)
+    .lean();
+
+  const paidWithdrawalIds = new Set(payouts.map((p) => String(p.referenceId)));
+  const withdrawalsById = new Map(withdrawals.map((w) => [String(w._id), w]));
+
+  withdrawals
+    .filter((w) => w.status === 'approved' && !paidWithdrawalIds.has(String(w._id)))
+    .forEach((w) => pushIssue(issuesByUser, w.user, {
+      type: 'missing_payout',
+      withdrawalId: w._id,
+      amount: -w.amount,
+      detail: 'Withdrawal is approved but has no completed payout transaction',
+    }));
+
+  payouts
+    .filter((p) => withdrawalsById.get(String(p.referenceId))?.status !== 'approved')
+    .forEach((p) => pushIssue(issuesByUser, p.user, {
+      type: 'orphan_payout',
+      transactionId: p._id,
+      withdrawalId: p.referenceId,
+      amount: p.amount,
+      detail: `Payout exists but withdrawal is ${withdrawalsById.get(String(p.referenceId))?.status || 'missing'}`,
+    }));
+
+  return issuesByUser;
+};
+
+/**
+ * Build the reconciliation report
+ * @param {Object} options
+ * @param {Array<string>} options.userIds - Limit to these users (default: every user with money activity)
+ * @param {boolean} options.onlyDiscrepancies - Leave out users that reconcile cleanly (default true)
+ * @param {ClientSession} options.session - Optional session
+ * @returns {Object} { generatedAt, summary, agents }
+ */
+const buildReconciliationReport = async ({ userIds = null, onlyDiscrepancies = true, session = null } = {}) => {
+  const ids = userIds && userIds.length > 0 ? toObjectIds(userIds) : null;
+  const userFilter = ids ? { user: { $in: ids } } : {};
+
+  const transactionTotals = await Transaction.aggregate([
+    { $match: { ...userFilter, status: 'completed' } },
+    {
+      $group: {
+        _id: '$user',
+        balance: { $sum: '$amount' },
+        earnings: { $sum: { $cond: [{ $eq: ['$type', 'earnings'] }, '$amount', 0] } },
+        payouts: { $sum: { $cond: [{ $eq: ['$type', 'payout'] }, '$amount', 0] } },
+        adjustments: { $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, '$amount', 0] } },
+        count: { $sum: 1 },
+      },
+    },
+  ]).session(session);
+  const totalsByUser = new Map(transactionTotals.map((t) => [String(t._id), t]));
+
+  const ledgerTotals = await JournalEntry.aggregate([
+    { $unwind: '$lines' },
+    {
+      $match: ids
+        ? { 'lines.accountCode': { $in: ids.map((id) => `agent:${id}`) } }
+        : { 'lines.accountCode': /^agent:/ },
+    },
+    { $group: { _id: '$lines.accountCode', debits: { $sum: '$lines.debit' }, credits: { $sum: '$lines.credit' } } },
+  ]).session(session);
+  const ledgerByUser = new Map(ledgerTotals.map((l) => [l._id.slice('agent:'.length), roundAmount(l.credits - l.debits)]));
+
+  const userQuery = ids
+    ? { _id: { $in: ids } }
+    : {
+      $or: [
+        { _id: { $in: transactionTotals.map((t) => t._id) } },
+        { balance: { $ne: 0 } },
+        { totalEarnings: { $ne: 0 } },
+      ],
+    };
+  const users = await User.find(userQuery).select('name email role balance totalEarnings').session(session).lean();
+
+  const issuesByUser = await findIssues(ids, session);
+
+  const agents = users.map((user) => {
+    const key = String(user._id);
+    const totals = totalsByUser.get(key);
+    const expected = {
+      balance: roundAmount(totals?.balance),
+      totalEarnings: roundAmount(totals?.earnings),
+    };
+    const recorded = {
+      balance: roundAmount(user.balance),
+      totalEarnings: roundAmount(user.totalEarnings),
+    };
+    const ledgerBalance = ledgerByUser.get(key) || 0;
+    const balanceDifference = roundAmount(recorded.balance - expected.balance);
+    const issues = issuesByUser.get(key) || [];
+
+    return {
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+      expected,
+      recorded,
+      ledgerBalance,
+      breakdown: {
+        earnings: roundAmount(totals?.earnings),
+        payouts: roundAmount(totals?.payouts),
+        adjustments: roundAmount(totals?.adjustments),
+        completedTransactions: totals?.count || 0,
+      },
+      balanceDifference,
+      totalEarningsDifference: roundAmount(recorded.totalEarnings - expected.totalEarnings),
+      ledgerDifference: roundAmount(ledgerBalance - expected.balance),
+      issues,
+    };
+  });
+
+  const withDiscrepancy = agents.filter((a) => a.balanceDifference !== 0
+    || a.totalEarningsDifference !== 0
+    || a.ledgerDifference !== 0
+    || a.issues.length > 0);
+
+  return {
+    generatedAt: new Date(),
+    summary: {
+      usersChecked: agents.length,
+      usersWithDiscrepancies: withDiscrepancy.length,
+      totalBalanceDifference: roundAmount(withDiscrepancy.reduce((sum, a) => sum + a.balanceDifference, 0)),
+    },
+    agents: onlyDiscrepancies ? withDiscrepancy : agents,
+  };
+};
+
+/**
+ * Repair one user's balance
+ * Posts any unposted completed transactions and resets User.balance / totalEarnings to what the
+ * transaction history supports. A drifted balance is never written into the history on its own:
+ * users with transaction-level issues (duplicate commissions, payouts without an approved
+ * withdrawal, ...) are refused unless an admin gives the `adjustment` amount to record.
+ * Runs in one MongoDB transaction.
+ * @param {string} userId - User id
+ * @param {Object} options
+ * @param {string} options.note - Audit note stored on the adjustment (required)
+ * @param {string} options.repairedBy - Admin user id (null for the CLI)
+ * @param {string} options.runId - Identifier shared by one repair run
+ * @param {number} options.amount - Adjustment chosen by an admin (optional, may be negative)
+ * @returns {Object} { userId, postedEntries, adjustment, balance }
+ * @throws {LedgerError} 409 when issues need an explicit adjustment amount
+ */
+const repairUserBalance = (userId, { note, repairedBy = null, runId, amount = null }) => runInTransaction(async (session) => {
+  const { agents } = await buildReconciliationReport({ userIds: [userId], onlyDiscrepancies: false, session });
+  const agent = agents[0];
+  if (!agent) {
+    throw new LedgerError(`User ${userId} not found`, 404);
+  }
+
+  const needsReview = [...new Set(agent.issues
+    .map((issue) => issue.type)
+    .filter((type) => !SELF_REPAIRING_ISSUES.includes(type)))];
+  if (needsReview.length > 0 && amount === null) {
+    throw new LedgerError(`Review ${needsReview.join(', ')} first, or give an explicit adjustment amount`, 409);
+  }
+
+  const unposted = await Transaction.find({ user: userId, status: 'completed', journalEntry: null }).session(session);
+  for (const transaction of unposted) {
+    await postTransaction(transaction, { postedBy: repairedBy, session });
+  }
+
+  let adjustment = null;
+  if (amount) {
+    [adjustment] = await Transaction.create([{
+      user: userId,
+      type: 'adjustment',
+      amount: roundAmount(amount),
+      status: 'completed',
+      description: `Reconciliation adjustment (recorded ${agent.recorded.balance}, history ${agent.expected.balance})`,
+      auditNote: note,
+      createdBy: repairedBy,
+      idempotencyKey: `reconciliation:${runId}:${userId}`,
+    }], { session });
+
+    await postTransaction(adjustment, { postedBy: repairedBy, session });
+  }
+
+  // Recorded totals follow the history (including any adjustment just written)
+  const balance = await syncUserBalance(userId, { session });
+
+  return {
+    userId,
+    postedEntries: unposted.length,
+    adjustment,
+    balance,
+  };
+});
+
+/**
+ * Repair every user with a discrepancy (or the given users)
+ * @param {Object} options
+ * @param {Array<string>} options.userIds - Users to repair (default: all with discrepancies)
+ * @param {string} options.note - Audit note stored on every adjustment (required)
+ * @param {string} options.repairedBy - Admin user id (null for the CLI)
+ * @param {Object} options.adjustments - Explicit adjustment amounts keyed by user id
+ * @returns {Object} { runId, repaired, failed }
+ */
+const repairBalances = async ({ userIds = null, note, repairedBy = null, adjustments = {} } = {}) => {
+  if (!note || !String(note).trim()) {
+    throw new LedgerError('An audit note is required to repair balances');
+  }
+
+  const report = await buildReconciliationReport({ userIds, onlyDiscrepancies: true });
+  const runId = new mongoose.Types.ObjectId().toString();
+  const repaired = [];
+  const failed = [];
+
+  for (const agent of report.agents) {
+    try {
+      const amount = adjustments[String(agent.user._id)];
+      repaired.push(await repairUserBalance(agent.user._id, {
+        note: String(note).trim(),
+        repairedBy,
+        runId,
+        amount: amount === undefined ? null : amount,
+      }));
+    } catch (error) {
+      console.error(`[Reconciliation] Repair failed for user ${agent.user._id}:`, error.message);
+      failed.push({ userId: agent.user._id, error: error.message });
+    }
+  }
+
+  console.log(`[Reconciliation] Run ${runId}: repaired ${repaired.length} user(s), ${failed.length} failed`);
+
+  return { runId, repaired, failed };
+};
+
+module.exports = {
+  buildReconciliationReport,
+  repairBalances,
+};
@@ -0,0 +1,85 @@
+const User = require('../models/User');
+const { readInt } = require('../utils/env');
+
+// Guards against misconfiguration: nobody is paid more than this many levels up
+const MAX_OVERRIDE_LEVELS = 10;
+
+/**
+ * Override configuration from environment
+ * REFERRAL_OVERRIDE_RATES - Comma-separated percentages of the commission paid to each upline
+ *   level, nearest first (e.g. "10,5,2"); empty disables overrides
+ * REFERRAL_OVERRIDE_MAX_DEPTH - Levels actually paid (default: every configured rate)
+ * @returns {Object} { rates: Array<number> } - one rate (percent) per paid level
+ */
+const getOverrideConfig = () => {
+  const rates = String(process.env.REFERRAL_OVERRIDE_RATES || '')
+    .split(',')
+    .map((rate) => parseFloat(rate.trim()))
+    .filter((rate) => !Number.isNaN(rate) && rate >= 0 && rate <= 100);
+
+  const depth = Math.min(
+    readInt('REFERRAL_OVERRIDE_MAX_DEPTH', rates.length),
+    rates.length,
+    MAX_OVERRIDE_LEVELS
+  );
+
+  return { rates: rates.slice(0, depth) };
+};
+
+/**
+ * Whether a transaction earns overrides for the agent's upline
+ * Only click commissions do; overrides themselves never cascade.
+ * @param {Object} transaction - Transaction
+ * @returns {boolean} True for completed click commissions
+ */
+const isOverrideEligible = (transaction) => (
+  transaction.type === 'earnings'
+  && transaction.referenceModel === 'ProductClick'
+  && transaction.amount > 0
+);
+
+/**
+ * Work out who in an agent's upline gets an override for a commission
+ * Walks User.referredBy from the earning agent. Uplines who are not active agents
+ * (or admins) are skipped, but their level still counts towards the depth.
+ * @param {Object} transaction - Completed commission Transaction
+ * @param {Object} options - { session }
+ * @returns {Array<Object>} [{ user, level, rate, amount }]
+ */
+const planReferralOverrides = async (transaction, { session } = {}) => {
+  const { rates } = getOverrideConfig();
+  if (rates.length === 0 || !isOverrideEligible(transaction)) return [];
+
+  const plan = [];
+  const visited = new Set([String(transaction.user)]);
+  let current = await User.findById(transaction.user).select('referredBy').session(session || null).lean();
+
+  for (let level = 1; level <= rates.length && current?.referredBy; level += 1) {
+    const uplineId = String(current.referredBy);
+    // Referral loops should not exist, but must never pay someone twice
+    if (visited.has(uplineId)) break;
+    visited.add(uplineId);
+
+    const upline = await User.findById(uplineId)
+      .select('role isDeactivated referredBy')
+      .session(session || null)
+      .lean();
+    if (!upline) break;
+
+    const amount = Math.round(transaction.amount * rates[level - 1]) / 100;
+    const eligible = ['agent', 'admin'].includes(upline.role) && !upline.isDeactivated;
+    if (eligible && amount > 0) {
+      plan.push({ user: upline._id, level, rate: rates[level - 1], amount });
+    }
+
+    current = upline;
+  }
+
+  return plan;
+};
+
+module.exports = {
+  getOverrideConfig,
+  isOverrideEligible,
+  planReferralOverrides,
+};
@@ -0,0 +1,223 @@
+/**
+ * Request queue for Amazon PA-API calls
+ * Enforces the account's transactions-per-second (token bucket) and
+ * transactions-per-day budgets, and coalesces identical in-flight requests.
+ */
+
+const { readNumber } = require('../utils/env');
+
+/**
+ * Build the result returned when a request is rejected by the limiter
+ * Mirrors the error shape produced by AmazonAPIService.makeRequest
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @returns {Object} Service result
+ */
+const buildRateLimitedResult = (message, retryAfter) => ({
+  success: false,
+  rateLimited: true,
+  retryAfter,
+  error: {
+    Message: message,
+    Code: 'RateLimited',
+    Type: 'TooManyRequests',
+    StatusCode: 429,
+  },
+  statusCode: 429,
+});
+
+// Start of the current UTC day in ms
+const startOfUtcDay = (now = Date.now()) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+class TokenBucket {
+  constructor(ratePerSecond, capacity) {
+    this.rate = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  tryRemove() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  msUntilNextToken() {
+    this.refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+}
+
+class RequestQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.tps - Requests per second allowed
+   * @param {number} options.burst - Bucket capacity (max requests sent back-to-back)
+   * @param {number} options.tpd - Requests per UTC day allowed
+   * @param {number} options.maxQueue - Max requests waiting for a token
+   * @param {number} options.maxWaitMs - Reject when the expected wait exceeds this
+   */
+  constructor({ tps = 1, burst = 1, tpd = 8640, maxQueue = 50, maxWaitMs = 10000 } = {}) {
+    this.tps = tps;
+    this.tpd = tpd;
+    this.maxQueue = maxQueue;
+    this.maxWaitMs = maxWaitMs;
+    this.bucket = new TokenBucket(tps, Math.max(1, burst));
+
+    this.queue = [];
+    this.inFlight = new Map(); // key -> Promise, used for coalescing
+    this.timer = null;
+
+    this.dayStart = startOfUtcDay();
+    this.dailyCount = 0;
+
+    this.stats = {
+      processed: 0,
+      rejected: 0,
+      coalesced: 0,
+    };
+  }
+
+  resetDayIfNeeded() {
+    const today = startOfUtcDay();
+    if (today !== this.dayStart) {
+      this.dayStart = today;
+      this.dailyCount = 0;
+    }
+  }
+
+  secondsUntilDayReset() {
+    return Math.ceil((this.dayStart + 24 * 60 * 60 * 1000 - Date.now()) / 1000);
+  }
+
+  /**
+   * Queue a request, sharing the result with any identical request already pending
+   * @param {string} key - Coalescing key (operation + normalized payload)
+   * @param {Function} task - Async function performing the request
+   * @returns {Promise<Object>} Service result
+   */
+  schedule(key, task) {
+    if (key && this.inFlight.has(key)) {
+      this.stats.coalesced += 1;
+      return this.inFlight.get(key);
+    }
+
+    this.resetDayIfNeeded();
+
+    if (this.dailyCount + this.queue.length >= this.tpd) {
+      this.stats.rejected += 1;
+      return Promise.resolve(buildRateLimitedResult(
+        'Daily Amazon API request quota exhausted',
+        this.secondsUntilDayReset()
+      ));
+    }
+
+    const expectedWaitMs = ((this.queue.length + 1) / this.tps) * 1000;
+    if (this.queue.length >= this.maxQueue || expectedWaitMs > this.maxWaitMs) {
+      this.stats.rejected += 1;
+      return Promise.resolve(buildRateLimitedResult(
+        'Too many pending Amazon API requests. Please retry shortly.',
+        Math.max(1, Math.ceil(expectedWaitMs / 1000))
+      ));
+    }
+
+    const promise = new Promise((resolve) => {
+      this.queue.push({ task, resolve });
+    }).finally(() => {
+      if (key) this.inFlight.delete(key);
+    });
+
+    if (key) this.inFlight.set(key, promise);
+
+    this.drain();
+    return promise;
+  }
+
+  drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0) {
+      if (!this.bucket.tryRemove()) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, this.bucket.msUntilNextToken());
+        return;
+      }
+
+      const { task, resolve } = this.queue.shift();
+      this.resetDayIfNeeded();
+      this.dailyCount += 1;
+      this.stats.processed += 1;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve)
+        .catch((error) => resolve({
+          success: false,
+          error: {
+            Message: error.message || 'Unknown error occurred while calling Amazon API',
+            Code: 'RequestError',
+            Type: 'UnknownError',
+            StatusCode: 500,
+          },
+          statusCode: 500,
+        }));
+    }
+  }
+
+  /**
+   * Current queue state, for monitoring and error responses
+   * @returns {Object} Queue statistics
+   */
+  getStats() {
+    this.resetDayIfNeeded();
+    return {
+      queueDepth: this.queue.length,
+      inFlight: this.inFlight.size,
+      processed: this.stats.processed,
+      rejected: this.stats.rejected,
+      coalesced: this.stats.coalesced,
+      tps: this.tps,
+      dailyUsed: this.dailyCount,
+      dailyLimit: this.tpd,
+    };
+  }
+}
+
+/**
+ * Create the request queue from environment configuration
+ * AWS_API_TPS, AWS_API_BURST, AWS_API_TPD, AWS_API_MAX_QUEUE, AWS_API_MAX_WAIT_MS
+ * @returns {RequestQueue} Configured queue
+ */
+const createRequestQueue = () => {
+  const tps = readNumber('AWS_API_TPS', 1);
+  return new RequestQueue({
+    tps,
+    burst: readNumber('AWS_API_BURST', tps),
+    tpd: readNumber('AWS_API_TPD', 8640),
+    maxQueue: readNumber('AWS_API_MAX_QUEUE', 50),
+    maxWaitMs: readNumber('AWS_API_MAX_WAIT_MS', 10000),
+  });
+};
+
+module.exports = {
+  RequestQueue,
+  TokenBucket,
+  createRequestQueue,
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { readInt } = require('../utils/env');
+
+/**
+ * Response cache for Amazon PA-API calls
+ * Entries are stored as { value, storedAt, expiresAt, staleUntil } where
+ * expiresAt marks the end of the fresh window and staleUntil the end of the
+ * stale-while-revalidate window.
+ */
+
+// Default fresh TTL per PA-API operation (seconds)
+const DEFAULT_TTLS = {
+  SearchItems: 10 * 60,
+  GetItems: 60 * 60,
+  GetBrowseNodes: 24 * 60 * 60,
+};
+
+/**
+ * Recursively sort object keys (and primitive arrays) so that logically
+ * identical payloads produce the same cache key
+ * @param {*} value - Value to normalize
+ * @returns {*} Normalized value
+ */
+const normalizePayload = (value) => {
+  if (Array.isArray(value)) {
+    const normalized = value.map(normalizePayload);
+    const isPrimitiveList = normalized.every((v) => v === null || typeof v !== 'object');
+    return isPrimitiveList ? [...normalized].sort() : normalized;
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        if (value[key] !== undefined) {
+          acc[key] = normalizePayload(value[key]);
+        }
+        return acc;
+      }, {});
+  }
+
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+
+  return value;
+};
+
+/**
+ * Build a cache key from operation name and request payload
+ * @param {string} operation - PA-API operation (e.g., SearchItems)
+ * @param {Object} payload - Request payload
+ * @returns {string} Cache key
+ */
+const buildCacheKey = (operation, payload) => {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalizePayload(payload)))
+    .digest('hex');
+  return `${operation}:${hash}`;
+};
+
+/**
+ * Get the fresh TTL for an operation
+ * Override with AWS_CACHE_TTL_<OPERATION> (e.g., AWS_CACHE_TTL_SEARCHITEMS=300)
+ * @param {string} operation - PA-API operation
+ * @returns {number} TTL in seconds
+ */
+const getTtlForOperation = (operation) => {
+  const fallback = DEFAULT_TTLS[operation] !== undefined
+    ? DEFAULT_TTLS[operation]
+    : readInt('AWS_CACHE_TTL', 10 * 60);
+  return readInt(`AWS_CACHE_TTL_${operation.toUpperCase()}`, fallback);
+};
+
+/**
+ * Get the stale-while-revalidate window (seconds after expiry an entry may still be served)
+ * @returns {number} Stale window in seconds
+ */
+const getStaleWindow = () => readInt('AWS_CACHE_STALE_TTL', 60 * 60);
+
+// In-memory LRU store (default)
+class MemoryCacheStore {
+  constructor(maxEntries = 500) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.staleUntil <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    if (this.entries.has(key)) {
+      this.entries.delete(key);
+    }
+    this.entries.set(key, entry);
+
+    // Evict least recently used entries (Map keeps insertion order)
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+// MongoDB-backed store, shared across instances and restarts
+class MongoCacheStore {
+  constructor() {
+    this.name = 'mongo';
+    // Required lazily so the memory store has no mongoose dependency at load time
+    this.ApiCache = require('../models/ApiCache');
+  }
+
+  async get(key) {
+    const doc = await this.ApiCache.findOne({ key }).lean();
+    if (!doc) return null;
+
+    const entry = {
+      value: doc.value,
+      storedAt: new Date(doc.storedAt).getTime(),
+      expiresAt: new Date(doc.expiresAt).getTime(),
+      staleUntil: new Date(doc.staleUntil).getTime(),
+    };
+
+    // TTL monitor runs roughly once a minute, so double-check here
+    if (entry.staleUntil <= Date.now()) return null;
+    return entry;
+  }
+
+  async set(key, entry) {
+    await this.ApiCache.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          key,
+          operation: key.split(':')[0],
+          value: entry.value,
+          storedAt: new Date(entry.storedAt),
+          expiresAt: new Date(entry.expiresAt),
+          staleUntil: new Date(entry.staleUntil),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  async delete(key) {
+    await this.ApiCache.deleteOne({ key });
+  }
+
+  async clear() {
+    await this.ApiCache.deleteMany({});
+  }
+}
+
+/**
+ * Create the cache store configured via AWS_CACHE_DRIVER
+ * @returns {Object|null} Cache store, or null when caching is disabled
+ */
+const createCacheStore = () => {
+  const driver = (process.env.AWS_CACHE_DRIVER || 'memory').toLowerCase();
+
+  if (driver === 'none' || driver === 'off') {
+    return null;
+  }
+
+  if (driver === 'mongo' || driver === 'mongodb') {
+    return new MongoCacheStore();
+  }
+
+  return new MemoryCacheStore(readInt('AWS_CACHE_MAX_ENTRIES', 500) || 500);
+};
+
+module.exports = {
+  MemoryCacheStore,
+  MongoCacheStore,
+  createCacheStore,
+  buildCacheKey,
+  normalizePayload,
+  getTtlForOperation,
+  getStaleWindow,
+};
@@ -0,0 +1,82 @@
+/**
+ * Retry policy for transient Amazon PA-API failures
+ */
+
+const { readInt } = require('../utils/env');
+
+// Error `Type` values (set by AmazonAPIService.makeRequest) that are worth retrying
+const RETRYABLE_ERROR_TYPES = [
+  'ServiceUnavailable',
+  'TooManyRequests',
+  'ServerError',
+  'ConnectionError',
+  'TimeoutError',
+];
+
+// Error `Code` values returned by PA-API in JSON error bodies that are worth retrying
+const RETRYABLE_ERROR_CODES = [
+  'TooManyRequests',
+  'RequestThrottled',
+  'ServiceUnavailable',
+  'InternalFailure',
+  'TimeoutError',
+  'NetworkError',
+];
+
+/**
+ * Create the retry policy from environment configuration
+ * AWS_API_MAX_ATTEMPTS, AWS_API_RETRY_BASE_MS, AWS_API_RETRY_MAX_MS
+ * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs }
+ */
+const createRetryPolicy = () => ({
+  maxAttempts: Math.max(1, readInt('AWS_API_MAX_ATTEMPTS', 3)),
+  baseDelayMs: readInt('AWS_API_RETRY_BASE_MS', 500),
+  maxDelayMs: readInt('AWS_API_RETRY_MAX_MS', 8000),
+});
+
+/**
+ * Check whether a failed service result is a transient error
+ * Requests rejected by our own rate limiter are never retried.
+ * @param {Object} result - Service result from makeRequest
+ * @returns {boolean} True if the request may succeed when retried
+ */
+const isRetryableResult = (result) => {
+  if (!result || result.success || result.rateLimited) {
+    return false;
+  }
+
+  const error = result.error || {};
+  const type = error.Type || error.type;
+  const code = error.Code || error.code || '';
+  const statusCode = error.StatusCode || result.statusCode;
+
+  // Unexpected local failures (bugs) will not fix themselves
+  if (type === 'UnknownError') {
+    return false;
+  }
+
+  if (RETRYABLE_ERROR_TYPES.includes(type) || RETRYABLE_ERROR_CODES.includes(code)) {
+    return true;
+  }
+
+  return statusCode === 429 || (statusCode >= 500 && statusCode < 600);
+};
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds before the next attempt
+ */
+const getBackoffDelay = (attempt, policy) => {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+};
+
+module.exports = {
+  RETRYABLE_ERROR_TYPES,
+  RETRYABLE_ERROR_CODES,
+  createRetryPolicy,
+  isRetryableResult,
+  getBackoffDelay,
+};
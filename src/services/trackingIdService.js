@@ -0,0 +1,163 @@
+const TrackingId = require('../models/TrackingId');
+const { TrackingIdError } = require('../utils/trackingIdErrors');
+
+// Agent id -> { tag, expiresAt }; tags change rarely and are read on every product request
+const TAG_CACHE_TTL_MS = 5 * 60 * 1000;
+const tagCache = new Map();
+
+/**
+ * The account-wide Associates tag used when no agent is attributed
+ * @returns {string|null} AWS_PARTNER_TAG
+ */
+const getDefaultTrackingTag = () => process.env.AWS_PARTNER_TAG || null;
+
+const clearCachedTag = (agentId) => {
+  if (agentId) tagCache.delete(String(agentId));
+};
+
+/**
+ * Hand the oldest available tag in the pool to an agent
+ * @param {string} agentId - Agent user id
+ * @returns {Object|null} Assigned TrackingId, or null if the pool is empty
+ */
+const assignFromPool = async (agentId) => {
+  try {
+    return await TrackingId.findOneAndUpdate(
+      { status: 'available' },
+      { $set: { status: 'assigned', agent: agentId, assignedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  } catch (error) {
+    // Another request assigned this agent a tag at the same moment
+    if (error.code === 11000) {
+      return TrackingId.findOne({ agent: agentId, status: 'assigned' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get an agent's tracking tag, assigning one from the pool on first use
+ * Falls back to the default tag when the pool is empty.
+ * @param {string} agentId - Agent user id
+ * @returns {string|null} Associates tracking ID
+ */
+const getTrackingTagForAgent = async (agentId) => {
+  if (!agentId) return getDefaultTrackingTag();
+
+  const key = String(agentId);
+  const cached = tagCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.tag;
+  }
+
+  let trackingId = await TrackingId.findOne({ agent: agentId, status: 'assigned' }).lean();
+  if (!trackingId) {
+    trackingId = await assignFromPool(agentId);
+    if (trackingId) {
+      console.log(`[Tracking ID] Assigned ${trackingId.tag} to agent ${agentId}`);
+    } else {
+      console.warn(`[Tracking ID] Pool is empty, agent ${agentId} uses the default tag`);
+    }
+  }
+
+  const tag = trackingId ? trackingId.tag : getDefaultTrackingTag();
+  // Don't remember the fallback for long: the pool may be refilled any time
+  if (trackingId) {
+    tagCache.set(key, { tag, expiresAt: Date.now() + TAG_CACHE_TTL_MS });
+  }
+  return tag;
+};
+
+/**
+ * Add tags to the pool
+ * @param {Array<string>} tags - Tracking IDs created in Associates Central
+ * @param {string} createdBy - Admin user id
+ * @returns {Object} { added: Array<TrackingId>, skipped: Array<{ tag, reason }> }
+ */
+const addTrackingIds = async (tags, createdBy = null) => {
+  const added = [];
+  const skipped = [];
+
+  for (const raw of tags) {
+    const tag = String(raw || '').trim().toLowerCase();
+    if (!tag) continue;
+
+    try {
+      added.push(await TrackingId.create({ tag, createdBy }));
+    } catch (error) {
+      if (error.code === 11000) {
+        skipped.push({ tag, reason: 'Already in the pool' });
+      } else if (error.name === 'ValidationError') {
+        skipped.push({ tag, reason: Object.values(error.errors).map((e) => e.message).join(', ') });
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  return { added, skipped };
+};
+
+/**
+ * Assign a specific tag to an agent, retiring the agent's previous tag
+ * @param {string} trackingIdId - TrackingId document id
+ * @param {string} agentId - Agent user id
+ * @returns {Object} Assigned TrackingId
+ * @throws {TrackingIdError} If the tag is missing or not available
+ */
+const assignTrackingId = async (trackingIdId, agentId) => {
+  const trackingId = await TrackingId.findById(trackingIdId);
+  if (!trackingId) {
+    throw new TrackingIdError('Tracking ID not found', 404);
+  }
+  if (trackingId.status !== 'available') {
+    throw new TrackingIdError(`Tracking ID is ${trackingId.status} and cannot be assigned`);
+  }
+
+  await TrackingId.updateMany(
+    { agent: agentId, status: 'assigned' },
+    { $set: { status: 'retired', retiredAt: new Date() } }
+  );
+
+  trackingId.status = 'assigned';
+  trackingId.agent = agentId;
+  trackingId.assignedAt = new Date();
+  await trackingId.save();
+
+  clearCachedTag(agentId);
+  return trackingId;
+};
+
+/**
+ * Take a tag out of use
+ * Assigned tags are retired (kept for report matching); unused ones are deleted.
+ * @param {string} trackingIdId - TrackingId document id
+ * @returns {Object|null} Retired TrackingId, or null if it was deleted
+ * @throws {TrackingIdError} If the tag is missing
+ */
+const releaseTrackingId = async (trackingIdId) => {
+  const trackingId = await TrackingId.findById(trackingIdId);
+  if (!trackingId) {
+    throw new TrackingIdError('Tracking ID not found', 404);
+  }
+
+  if (trackingId.status === 'available') {
+    await trackingId.deleteOne();
+    return null;
+  }
+
+  clearCachedTag(trackingId.agent);
+  trackingId.status = 'retired';
+  trackingId.retiredAt = trackingId.retiredAt || new Date();
+  await trackingId.save();
+  return trackingId;
+};
+
+module.exports = {
+  getDefaultTrackingTag,
+  getTrackingTagForAgent,
+  addTrackingIds,
+  assignTrackingId,
+  releaseTrackingId,
+};
@@ -0,0 +1,83 @@
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const WatchlistItem = require('../models/WatchlistItem');
+const RefreshToken = require('../models/RefreshToken');
+const AgentApplication = require('../models/AgentApplication');
+const TrackingId = require('../models/TrackingId');
+const { releaseTrackingId } = require('./trackingIdService');
+
+// Referral chains deeper than this are treated as broken rather than walked forever
+const MAX_REFERRAL_DEPTH = 50;
+
+/**
+ * Whether making referrerId the referrer of userId would close a referral loop
+ * @param {string} userId - User whose referredBy is changing
+ * @param {string} referrerId - Proposed referrer
+ * @returns {boolean} True if userId is the referrer or one of the referrer's uplines
+ */
+const wouldCreateReferralCycle = async (userId, referrerId) => {
+  let currentId = referrerId;
+
+  for (let depth = 0; currentId && depth < MAX_REFERRAL_DEPTH; depth += 1) {
+    if (String(currentId) === String(userId)) return true;
+    const current = await User.findById(currentId).select('referredBy').lean();
+    currentId = current ? current.referredBy : null;
+  }
+
+  return Boolean(currentId);
+};
+
+/**
+ * Why an account can't be deleted yet, if anything
+ * Money still owed to the user has to be paid out first, and pending commissions settled
+ * (confirmed or expired) so none is left to complete for an account that no longer exists.
+ * @param {Object} user - User document
+ * @returns {string|null} Reason, or null when the account can be deleted
+ */
+const getDeletionBlocker = async (user) => {
+  if ((user.balance || 0) !== 0) {
+    return 'Accounts with a non-zero balance cannot be deleted. Withdraw or settle the balance first.';
+  }
+
+  const pendingWithdrawal = await Withdrawal.exists({ user: user._id, status: 'pending' });
+  if (pendingWithdrawal) {
+    return 'Accounts with a pending withdrawal cannot be deleted';
+  }
+
+  const pendingEarnings = await Transaction.exists({ user: user._id, type: 'earnings', status: 'pending' });
+  if (pendingEarnings) {
+    return 'Accounts with pending commissions cannot be deleted until they are confirmed or expire';
+  }
+
+  return null;
+};
+
+/**
+ * Delete a user and the records that only exist for them
+ * Transactions and ledger entries are kept for the audit trail. Users they referred
+ * keep their accounts but lose the referrer.
+ * @param {Object} user - User document
+ */
+const deleteUserAccount = async (user) => {
+  const trackingId = await TrackingId.findOne({ agent: user._id, status: 'assigned' }).select('_id');
+  if (trackingId) {
+    await releaseTrackingId(trackingId._id);
+  }
+
+  await Promise.all([
+    WatchlistItem.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    AgentApplication.deleteMany({ user: user._id }),
+    User.updateMany({ referredBy: user._id }, { $set: { referredBy: null } }),
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+  console.log(`[Users] Deleted account ${user.email}`);
+};
+
+module.exports = {
+  wouldCreateReferralCycle,
+  getDeletionBlocker,
+  deleteUserAccount,
+};
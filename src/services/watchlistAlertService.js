@@ -0,0 +1,151 @@
+const WatchlistItem = require('../models/WatchlistItem');
+const amazonApiService = require('./amazonApiService');
+const { recordPriceObservation, isSignificantDrop } = require('./priceHistoryService');
+const { AmazonApiError, AmazonRateLimitError } = require('../utils/amazonApiErrors');
+const { extractItemPrice } = require('../utils/amazonItemMapper');
+const sendEmail = require('../utils/sendEmail');
+
+// PA-API GetItems accepts at most 10 ASINs per request
+const BATCH_SIZE = 10;
+
+let isChecking = false;
+
+/**
+ * Decide whether a watchlist entry should trigger an alert at the current price
+ * With a target price: alert once the price is at or below the target.
+ * Without one: alert on a significant drop from the price when added.
+ * Either way, a repeat alert needs a price lower than the last alerted one.
+ * @param {Object} entry - WatchlistItem
+ * @param {number} price - Current price
+ * @returns {boolean} True if the user should be notified
+ */
+const shouldNotify = (entry, price) => {
+  const hit = entry.targetPrice !== null && entry.targetPrice !== undefined
+    ? price <= entry.targetPrice
+    : isSignificantDrop(entry.priceWhenAdded, price);
+
+  if (!hit) return false;
+  return entry.notifiedPrice === null || price < entry.notifiedPrice;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatAmount = (amount, currency) => (currency === 'INR' ? `₹${amount}` : `${amount} ${currency}`);
+
+/**
+ * Email a user about a price drop on a watched product
+ * @param {Object} entry - WatchlistItem with populated user
+ * @param {number} price - Current price
+ */
+const sendPriceAlert = async (entry, price) => {
+  const priceText = formatAmount(price, entry.currency);
+  const title = entry.title || entry.asin;
+  const reason = entry.targetPrice !== null
+    ? `reached your target price of ${formatAmount(entry.targetPrice, entry.currency)}`
+    : `dropped from ${formatAmount(entry.priceWhenAdded, entry.currency)}`;
+
+  await sendEmail({
+    email: entry.user.email,
+    subject: `Price drop: ${title} is now ${priceText}`,
+    message: `Hi ${entry.user.name},\n\n${title} has ${reason} and is now ${priceText}.\n\n${entry.productUrl}\n\nYou are receiving this because the product is on your HasCart watchlist.`,
+    html: `<p>Hi ${escapeHtml(entry.user.name)},</p><p><strong>${escapeHtml(title)}</strong> has ${reason} and is now <strong>${priceText}</strong>.</p><p><a href="${escapeHtml(entry.productUrl)}">View on Amazon</a></p><p>You are receiving this because the product is on your HasCart watchlist.</p>`,
+  });
+};
+
+/**
+ * Apply a fresh price to every active watchlist entry for an ASIN
+ * @param {string} asin - Product ASIN
+ * @param {Object} price - { amount, currency }
+ * @returns {number} Alerts sent
+ */
+const applyPrice = async (asin, price) => {
+  const entries = await WatchlistItem.find({ asin, isActive: true }).populate('user', 'name email isDeactivated');
+  const now = new Date();
+  let sent = 0;
+
+  for (const entry of entries) {
+    entry.lastPrice = price.amount;
+    entry.currency = price.currency;
+    entry.lastCheckedAt = now;
+
+    // Price went back above the alerted level: allow a new alert on the next drop
+    if (entry.notifiedPrice !== null && price.amount > entry.notifiedPrice) {
+      entry.notifiedPrice = null;
+    }
+
+    if (entry.user && !entry.user.isDeactivated && shouldNotify(entry, price.amount)) {
+      try {
+        await sendPriceAlert(entry, price.amount);
+        entry.notifiedPrice = price.amount;
+        entry.lastNotifiedAt = now;
+        sent += 1;
+      } catch (error) {
+        console.error(`[Watchlist] Failed to email ${entry.user.email} about ${asin}:`, error.message);
+      }
+    }
+
+    await entry.save();
+  }
+
+  return sent;
+};
+
+/**
+ * Check current prices for every watched ASIN and send alerts
+ * Runs one pass at a time; overlapping calls return immediately.
+ * @returns {Object|null} { checked, alertsSent, failed } or null if a check is already running
+ */
+const checkWatchlistPrices = async () => {
+  if (isChecking) return null;
+  isChecking = true;
+
+  const summary = { checked: 0, alertsSent: 0, failed: 0 };
+
+  try {
+    const asins = await WatchlistItem.distinct('asin', { isActive: true });
+
+    for (let i = 0; i < asins.length; i += BATCH_SIZE) {
+      const batch = asins.slice(i, i + BATCH_SIZE);
+      let items = [];
+
+      try {
+        const result = await amazonApiService.getItems(batch, { skipCache: true });
+        items = result.data?.ItemsResult?.Items || [];
+      } catch (error) {
+        if (error instanceof AmazonRateLimitError) {
+          console.warn('[Watchlist] Rate limited by PA-API, stopping this check early');
+          break;
+        }
+        if (!(error instanceof AmazonApiError)) throw error;
+
+        console.error(`[Watchlist] Price check failed for ${batch.join(', ')}:`, error.message);
+        summary.failed += batch.length;
+        continue;
+      }
+
+      for (const item of items) {
+        const asin = String(item.ASIN).toUpperCase();
+        const price = extractItemPrice(item);
+        if (!price) continue;
+
+        await recordPriceObservation({ asin, ...price, source: 'watchlist_check' });
+        summary.alertsSent += await applyPrice(asin, price);
+        summary.checked += 1;
+      }
+    }
+
+    console.log('[Watchlist] Price check finished:', summary);
+    return summary;
+  } finally {
+    isChecking = false;
+  }
+};
+
+module.exports = {
+  checkWatchlistPrices,
+  shouldNotify,
+};
@@ -0,0 +1,51 @@
+/**
+ * Helpers for putting an Associates tracking ID on Amazon links
+ */
+
+/**
+ * Set the `tag` query parameter on an Amazon URL
+ * @param {string} url - Amazon product URL
+ * @param {string} tag - Associates tracking ID
+ * @returns {string} URL carrying the tag (unchanged if it isn't a valid URL or no tag is given)
+ */
+const applyTrackingTag = (url, tag) => {
+  if (!url || !tag) return url;
+
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.set('tag', tag);
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * Copy a PA-API response with every DetailPageURL carrying the given tag
+ * The response may be shared with the cache, so it is never modified in place.
+ * @param {Object} data - PA-API response body (SearchResult / ItemsResult)
+ * @param {string} tag - Associates tracking ID
+ * @returns {Object} Response with rewritten links (the original object when no tag is given)
+ */
+const applyTrackingTagToResponse = (data, tag) => {
+  if (!data || !tag) return data;
+
+  const copy = structuredClone(data);
+  const items = [
+    ...(copy.SearchResult?.Items || []),
+    ...(copy.ItemsResult?.Items || []),
+  ];
+
+  items.forEach((item) => {
+    if (item.DetailPageURL) {
+      item.DetailPageURL = applyTrackingTag(item.DetailPageURL, tag);
+    }
+  });
+
+  return copy;
+};
+
+module.exports = {
+  applyTrackingTag,
+  applyTrackingTagToResponse,
+};
@@ -0,0 +1,189 @@
+const { validateAPIResult } = require('./awsApiValidator');
+
+/**
+ * Amazon PA-API error taxonomy
+ * AmazonAPIService throws these for failed requests; the global error
+ * middleware in server.js turns them into HTTP responses.
+ */
+
+class AmazonApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details
+   * @param {string} details.amazonCode - Code reported by Amazon (e.g., TooManyRequests, HTTP_503)
+   * @param {string} details.type - Error type set by the service (e.g., ServiceUnavailable)
+   * @param {number} details.retries - Retries performed before giving up
+   * @param {number} details.retryAfter - Seconds the client should wait before retrying
+   * @param {Object} details.context - Extra data for the response (e.g., queue stats)
+   * @param {*} details.originalError - Raw error returned by Amazon
+   * @param {Object} details.responseData - Full response body returned by Amazon
+   */
+  constructor(message, details = {}) {
+    super(message || 'Amazon API request failed');
+    this.name = this.constructor.name;
+    this.statusCode = 400;
+    this.errorCode = 'AMAZON_API_ERROR';
+    this.amazonCode = details.amazonCode || null;
+    this.type = details.type || null;
+    this.retries = details.retries || 0;
+    this.retryAfter = details.retryAfter || null;
+    this.context = details.context || null;
+    this.originalError = details.originalError || null;
+    // Full response body, for callers that need every error (not sent to clients)
+    this.responseData = details.responseData || null;
+  }
+
+  // Used by express default handling (err.status)
+  get status() {
+    return this.statusCode;
+  }
+
+  /**
+   * Error details included in API responses
+   * @returns {Object} Serializable error details
+   */
+  toJSON() {
+    const json = {
+      code: this.errorCode,
+      amazonCode: this.amazonCode,
+      type: this.type,
+      retries: this.retries,
+    };
+
+    if (this.retryAfter) json.retryAfter = this.retryAfter;
+    if (this.context) json.context = this.context;
+    if (this.originalError) json.originalError = this.originalError;
+
+    return json;
+  }
+}
+
+// Builds a subclass with a fixed status code, error code and fallback message
+const defineError = (name, statusCode, errorCode, defaultMessage) => {
+  const ErrorClass = class extends AmazonApiError {
+    constructor(message, details) {
+      super(message || defaultMessage, details);
+      this.statusCode = statusCode;
+      this.errorCode = errorCode;
+    }
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  return ErrorClass;
+};
+
+const AmazonBadRequestError = defineError('AmazonBadRequestError', 400, 'AMAZON_BAD_REQUEST', 'Invalid request to Amazon API');
+const AmazonUnauthorizedError = defineError('AmazonUnauthorizedError', 401, 'AMAZON_UNAUTHORIZED', 'Invalid Amazon API credentials');
+const AmazonForbiddenError = defineError('AmazonForbiddenError', 403, 'AMAZON_FORBIDDEN', 'Access denied to Amazon API');
+const AmazonNotFoundError = defineError('AmazonNotFoundError', 404, 'AMAZON_NOT_FOUND', 'No results found on Amazon');
+const AmazonRateLimitError = defineError('AmazonRateLimitError', 429, 'AMAZON_RATE_LIMITED', 'Rate limit exceeded for Amazon API');
+const AmazonServerError = defineError('AmazonServerError', 500, 'AMAZON_SERVER_ERROR', 'Amazon API server error');
+const AmazonConfigurationError = defineError('AmazonConfigurationError', 500, 'AMAZON_NOT_CONFIGURED', 'AWS API credentials not configured');
+const AmazonServiceUnavailableError = defineError('AmazonServiceUnavailableError', 503, 'AMAZON_UNAVAILABLE', 'Amazon API service temporarily unavailable');
+const AmazonTimeoutError = defineError('AmazonTimeoutError', 504, 'AMAZON_TIMEOUT', 'Request to Amazon API timed out');
+
+// Error `Type` values set by AmazonAPIService.makeRequest
+const TYPE_MAP = {
+  BadRequest: AmazonBadRequestError,
+  Unauthorized: AmazonUnauthorizedError,
+  Forbidden: AmazonForbiddenError,
+  TooManyRequests: AmazonRateLimitError,
+  ServerError: AmazonServerError,
+  InvalidResponse: AmazonServerError,
+  ServiceUnavailable: AmazonServiceUnavailableError,
+  ConnectionError: AmazonServiceUnavailableError,
+  TimeoutError: AmazonTimeoutError,
+};
+
+// Error `Code` values returned by PA-API (and by the service for local failures)
+const CODE_MAP = {
+  MissingCredentials: AmazonConfigurationError,
+  TooManyRequests: AmazonRateLimitError,
+  RequestThrottled: AmazonRateLimitError,
+  RateLimited: AmazonRateLimitError,
+  InvalidSignature: AmazonUnauthorizedError,
+  IncompleteSignature: AmazonUnauthorizedError,
+  UnrecognizedClient: AmazonUnauthorizedError,
+  InvalidClientTokenId: AmazonUnauthorizedError,
+  AccessDenied: AmazonForbiddenError,
+  AccessDeniedAwsUsers: AmazonForbiddenError,
+  InvalidAssociate: AmazonForbiddenError,
+  NoResults: AmazonNotFoundError,
+  ItemNotAccessible: AmazonNotFoundError,
+  InvalidParameterValue: AmazonBadRequestError,
+  InvalidPartnerTag: AmazonBadRequestError,
+  MissingParameter: AmazonBadRequestError,
+  UnknownOperation: AmazonBadRequestError,
+  InternalFailure: AmazonServerError,
+  TimeoutError: AmazonTimeoutError,
+  NetworkError: AmazonServiceUnavailableError,
+};
+
+/**
+ * Pick an error class from an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @returns {Function|null} Error class
+ */
+const classFromStatus = (statusCode) => {
+  if (!statusCode) return null;
+  if (statusCode === 400) return AmazonBadRequestError;
+  if (statusCode === 401) return AmazonUnauthorizedError;
+  if (statusCode === 403) return AmazonForbiddenError;
+  if (statusCode === 404) return AmazonNotFoundError;
+  if (statusCode === 429) return AmazonRateLimitError;
+  if (statusCode === 503) return AmazonServiceUnavailableError;
+  if (statusCode === 504) return AmazonTimeoutError;
+  if (statusCode >= 500) return AmazonServerError;
+  return null;
+};
+
+/**
+ * Build the typed error for a failed service result
+ * @param {Object} result - Failed result from AmazonAPIService (success: false)
+ * @param {Object} context - Extra data to include in the response (optional)
+ * @returns {AmazonApiError} Typed error
+ */
+const createAmazonApiError = (result, context = null) => {
+  const validation = validateAPIResult(result);
+  const details = validation.errorDetails || {};
+  const original = typeof result?.error === 'object' && result.error !== null ? result.error : {};
+
+  const type = details.type || original.Type || original.type || null;
+  const amazonCode = details.code || original.Code || original.code || null;
+  const httpMatch = /^HTTP_(\d{3})$/.exec(amazonCode || '');
+  const statusCode = details.statusCode
+    || result?.statusCode
+    || (httpMatch ? parseInt(httpMatch[1], 10) : null);
+
+  let ErrorClass = null;
+  if (result?.rateLimited) {
+    ErrorClass = AmazonRateLimitError;
+  } else if (CODE_MAP[amazonCode] === AmazonConfigurationError) {
+    ErrorClass = AmazonConfigurationError;
+  } else {
+    ErrorClass = TYPE_MAP[type] || CODE_MAP[amazonCode] || classFromStatus(statusCode) || AmazonBadRequestError;
+  }
+
+  return new ErrorClass(validation.error, {
+    amazonCode,
+    type,
+    retries: result?.retries || 0,
+    retryAfter: result?.retryAfter || (ErrorClass === AmazonRateLimitError ? 1 : null),
+    context,
+    originalError: result?.error,
+    responseData: result?.data,
+  });
+};
+
+module.exports = {
+  AmazonApiError,
+  AmazonBadRequestError,
+  AmazonUnauthorizedError,
+  AmazonForbiddenError,
+  AmazonNotFoundError,
+  AmazonRateLimitError,
+  AmazonServerError,
+  AmazonConfigurationError,
+  AmazonServiceUnavailableError,
+  AmazonTimeoutError,
+  createAmazonApiError,
+};
@@ -0,0 +1,75 @@
+
+/**
+ * Helpers for reading PA-API 5.0 item payloads
+ */
+
+/**
+ * Extract the best available price from an item
+ * Checks the common PA-API 5.0 paths in order of preference
+ * @param {Object} item - PA-API item
+ * @returns {Object|null} { amount: number, currency: string } or null if no price
+ */
+const extractItemPrice = (item) => {
+  if (!item || typeof item !== 'object') return null;
+
+  const candidates = [
+    item.Offers?.Listings?.[0]?.Price,
+    item.ItemInfo?.ProductInfo?.Price,
+    item.ItemInfo?.ProductInfo?.ListPrice,
+    item.Offers?.Summaries?.[0]?.LowestPrice,
+  ];
+
+  for (const price of candidates) {
+    if (price?.Amount && price.Amount > 0) {
+      return { amount: price.Amount, currency: price.Currency || 'INR' };
+    }
+    if (price?.DisplayAmount || price?.DisplayValue) {
+      const value = parseFloat(String(price.DisplayAmount || price.DisplayValue).replace(/[^0-9.]/g, ''));
+      if (value > 0) {
+        return { amount: value, currency: price.Currency || 'INR' };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Map an item to the Product fields we keep in sync with Amazon
+ * Category/searchIndex are admin-managed and intentionally left out.
+ * @param {Object} item - PA-API item
+ * @returns {Object} Fields for a Product $set update
+ */
+const mapItemToProductFields = (item) => {
+  const listing = item?.Offers?.Listings?.[0];
+  const price = extractItemPrice(item);
+
+  const fields = {
+    title: item?.ItemInfo?.Title?.DisplayValue || 'Unknown Product',
+    imageUrl: item?.Images?.Primary?.Large?.URL || item?.Images?.Primary?.Medium?.URL || '',
+    productUrl: item?.DetailPageURL || `https://www.amazon.in/dp/${item?.ASIN}`,
+    brand: item?.ItemInfo?.ByLineInfo?.Brand?.DisplayValue || '',
+    features: item?.ItemInfo?.Features?.DisplayValues || [],
+    isPrimeEligible: listing?.DeliveryInfo?.IsPrimeEligible || false,
+    availability: listing ? 'In Stock' : 'Currently Unavailable',
+  };
+
+  if (price) {
+    fields['price.amount'] = price.amount;
+    fields['price.currency'] = price.currency;
+  }
+
+  if (item?.CustomerReviews?.StarRating?.Value !== undefined) {
+    fields['rating.value'] = item.CustomerReviews.StarRating.Value;
+  }
+  if (item?.CustomerReviews?.Count !== undefined) {
+    fields['rating.count'] = item.CustomerReviews.Count;
+  }
+
+  return fields;
+};
+
+module.exports = {
+  extractItemPrice,
+  mapItemToProductFields,
+};
@@ -0,0 +1,177 @@
+/**
+ * Parser for Amazon Associates report downloads (CSV or TSV)
+ *
+ * Associates Central exports start with a title line (e.g. "Fee-Earnings reports from ...")
+ * followed by the header row. Column names vary by marketplace and report type
+ * ("Ad Fees($)", "Ad Fees(Rs.)", "Tracking ID", "Tag", ...), so headers are matched by alias.
+ */
+
+// Normalized header -> field name
+const COLUMN_ALIASES = {
+  asin: 'asin',
+  name: 'title',
+  title: 'title',
+  productname: 'title',
+  trackingid: 'trackingId',
+  tag: 'trackingId',
+  dateshipped: 'date',
+  shipdate: 'date',
+  date: 'date',
+  orderdate: 'date',
+  itemsshipped: 'quantity',
+  qty: 'quantity',
+  quantity: 'quantity',
+  returns: 'returns',
+  price: 'price',
+  revenue: 'revenue',
+  adfees: 'earnings',
+  earnings: 'earnings',
+  commission: 'earnings',
+};
+
+// Lowercase and drop currency suffixes/punctuation: "Ad Fees(Rs.)" -> "adfees"
+const normalizeHeader = (header) => header
+  .toLowerCase()
+  .replace(/\(.*?\)/g, '')
+  .replace(/[^a-z]/g, '');
+
+/**
+ * Split one delimited line, honouring double-quoted fields
+ * @param {string} line - Raw line
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {Array<string>} Field values
+ */
+const splitLine = (line, delimiter) => {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Parse report dates: "2024-01-15", "2024-01-15 10:20:30" or US style "01/15/2024"
+ * @param {string} value - Raw date
+ * @returns {Date|null} Parsed date (UTC) or null
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(value);
+  if (us) {
+    return new Date(Date.UTC(parseInt(us[3], 10), parseInt(us[1], 10) - 1, parseInt(us[2], 10)));
+  }
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(value);
+  if (iso) {
+    return new Date(Date.UTC(
+      parseInt(iso[1], 10),
+      parseInt(iso[2], 10) - 1,
+      parseInt(iso[3], 10),
+      parseInt(iso[4] || '0', 10),
+      parseInt(iso[5] || '0', 10),
+      parseInt(iso[6] || '0', 10)
+    ));
+  }
+
+  return null;
+};
+
+/**
+ * Parse an Associates earnings/orders report
+ * @param {string} content - File contents
+ * @returns {Object} { delimiter, columns, rows: [{ rowNumber, asin, trackingId, date, quantity, returns, price, earnings, title }], errors }
+ * @throws {Error} If no header row with an ASIN column is found
+ */
+const parseAssociatesReport = (content) => {
+  const lines = String(content || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/);
+
+  const headerIndex = lines.findIndex((line) => /(^|[\t,"])\s*ASIN\s*([\t,"]|$)/i.test(line));
+  if (headerIndex === -1) {
+    throw new Error('No header row with an ASIN column found in the report');
+  }
+
+  const headerLine = lines[headerIndex];
+  const delimiter = headerLine.split('\t').length > headerLine.split(',').length ? '\t' : ',';
+  const headers = splitLine(headerLine, delimiter);
+  const columns = headers.map((header) => COLUMN_ALIASES[normalizeHeader(header)] || null);
+
+  if (!columns.includes('date')) {
+    throw new Error('Report has no date column');
+  }
+
+  const rows = [];
+  const errors = [];
+
+  for (let i = headerIndex + 1; i < lines.length; i += 1) {
+    if (!lines[i].trim()) continue;
+
+    const values = splitLine(lines[i], delimiter);
+    const raw = {};
+    columns.forEach((field, index) => {
+      if (field && raw[field] === undefined) raw[field] = values[index];
+    });
+
+    const rowNumber = i + 1;
+    const asin = (raw.asin || '').trim().toUpperCase();
+    const date = parseDate(raw.date);
+
+    if (!/^[A-Z0-9]{10}$/.test(asin) || !date) {
+      errors.push({ rowNumber, error: !date ? `Invalid date '${raw.date || ''}'` : `Invalid ASIN '${raw.asin || ''}'` });
+      continue;
+    }
+
+    rows.push({
+      rowNumber,
+      asin,
+      trackingId: (raw.trackingId || '').trim() || null,
+      date,
+      quantity: parseNumber(raw.quantity) ?? 1,
+      returns: parseNumber(raw.returns) || 0,
+      price: parseNumber(raw.price),
+      earnings: parseNumber(raw.earnings),
+      title: (raw.title || '').trim(),
+    });
+  }
+
+  return {
+    delimiter: delimiter === '\t' ? 'tsv' : 'csv',
+    columns: headers,
+    rows,
+    errors,
+  };
+};
+
+module.exports = {
+  parseAssociatesReport,
+};
@@ -128,6 +128,7 @@ const validateAPIResult = (result) => {
             code: errorCode,
             statusCode: statusCode,
             type: errorType,
+            retries: result.retries || 0,
             originalError: result.error,
           }
         };
@@ -149,6 +150,7 @@ const validateAPIResult = (result) => {
       errorDetails: {
         code: errorCode,
         statusCode: statusCode,
+        retries: result.retries || 0,
         originalError: result.error,
       }
     };
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { getBackoffDelay } = require('../services/retryPolicy');
+const { readInt } = require('./env');
+
+/**
+ * Retry configuration for MongoDB transactions
+ * MONGO_TXN_MAX_ATTEMPTS, MONGO_TXN_RETRY_BASE_MS, MONGO_TXN_RETRY_MAX_MS
+ * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs }
+ */
+const createTransactionPolicy = () => ({
+  maxAttempts: Math.max(1, readInt('MONGO_TXN_MAX_ATTEMPTS', 5)),
+  baseDelayMs: readInt('MONGO_TXN_RETRY_BASE_MS', 50),
+  maxDelayMs: readInt('MONGO_TXN_RETRY_MAX_MS', 1000),
+});
+
+const hasLabel = (error, label) => typeof error?.hasErrorLabel === 'function' && error.hasErrorLabel(label);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Commit, retrying when the server could not confirm the outcome
+ * @param {ClientSession} session - Session with an active transaction
+ * @param {Object} policy - Transaction retry policy
+ */
+const commitWithRetry = async (session, policy) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (attempt < policy.maxAttempts && hasLabel(error, 'UnknownTransactionCommitResult')) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Run work inside a MongoDB transaction so all its writes commit or roll back together
+ * The whole callback is re-run on transient errors (write conflicts, primary step-downs),
+ * so it must read the documents it changes through the session rather than reuse stale copies.
+ * Requires a replica set (MongoDB Atlas clusters are one).
+ * @param {Function} work - async (session) => result; pass the session to every read and write
+ * @returns {*} Result of the callback
+ */
+const runInTransaction = async (work) => {
+  const policy = createTransactionPolicy();
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt += 1) {
+      session.startTransaction();
+
+      try {
+        const result = await work(session);
+        await commitWithRetry(session, policy);
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction().catch(() => {});
+        }
+
+        if (attempt < policy.maxAttempts && hasLabel(error, 'TransientTransactionError')) {
+          const delay = getBackoffDelay(attempt, policy);
+          console.warn(`[DB] Transient transaction error (attempt ${attempt}/${policy.maxAttempts}), retrying in ${delay}ms:`, error.message);
+          await sleep(delay);
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction,
+};
@@ -0,0 +1,30 @@
+/**
+ * Helpers for reading numeric settings from the environment
+ */
+
+/**
+ * Read a non-negative integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset, invalid or negative
+ * @returns {number} Parsed value
+ */
+const readInt = (name, fallback) => {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Read a positive number (decimals allowed) from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset, invalid, zero or negative
+ * @returns {number} Parsed value
+ */
+const readNumber = (name, fallback) => {
+  const parsed = parseFloat(process.env[name]);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+module.exports = {
+  readInt,
+  readNumber,
+};
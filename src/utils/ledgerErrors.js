@@ -0,0 +1,25 @@
+/**
+ * Errors raised by the ledger service
+ * The global error middleware in server.js sends err.message with err.status.
+ */
+
+class LedgerError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {number} statusCode - HTTP status code (default 400)
+   */
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.statusCode = statusCode;
+  }
+
+  // Used by express default handling (err.status)
+  get status() {
+    return this.statusCode;
+  }
+}
+
+module.exports = {
+  LedgerError,
+};
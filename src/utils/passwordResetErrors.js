@@ -0,0 +1,27 @@
+/**
+ * Errors raised by the password reset service
+ * The global error middleware in server.js sends err.message with err.status.
+ */
+
+class PasswordResetError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {number} statusCode - HTTP status code (default 400)
+   * @param {number} retryAfter - Seconds until the account unlocks (lockouts only)
+   */
+  constructor(message, statusCode = 400, retryAfter = null) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+
+  // Used by express default handling (err.status)
+  get status() {
+    return this.statusCode;
+  }
+}
+
+module.exports = {
+  PasswordResetError,
+};
@@ -86,6 +86,20 @@ const sendForbidden = (res, message = 'Access denied') => {
   return sendError(res, message, 403);
 };
 
+/**
+ * Send too many requests error response
+ * @param {Object} res - Express response object
+ * @param {string} message - Rate limit message
+ * @param {number} retryAfter - Seconds until the client may retry (optional)
+ * @param {Object|string} error - Error details (optional)
+ */
+const sendTooManyRequests = (res, message = 'Too many requests', retryAfter = null, error = null) => {
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  return sendError(res, message, 429, error);
+};
+
 module.exports = {
   sendSuccess,
   sendError,
@@ -93,6 +107,7 @@ module.exports = {
   sendNotFound,
   sendUnauthorized,
   sendForbidden,
+  sendTooManyRequests,
 };
 
 
@@ -1,12 +1,16 @@
 const jwt = require('jsonwebtoken');
 
+// Access tokens are short-lived; clients renew them with a refresh token
+const DEFAULT_ACCESS_TOKEN_EXPIRE = '15m';
+
 /**
- * Generate JWT Token
+ * Generate JWT access token
  * @param {string} id - User ID
+ * @param {number} tokenVersion - User's current tokenVersion; bumping it invalidates the token
  * @returns {string} JWT token
  * @throws {Error} If JWT_SECRET is not configured or token generation fails
  */
-const generateToken = (id) => {
+const generateToken = (id, tokenVersion = 0) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not configured in environment variables');
   }
@@ -16,8 +20,8 @@ const generateToken = (id) => {
   }
 
   try {
-    const token = jwt.sign({ id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE || '30d',
+    const token = jwt.sign({ id, tv: tokenVersion }, process.env.JWT_SECRET, {
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || DEFAULT_ACCESS_TOKEN_EXPIRE,
     });
 
     if (!token) {